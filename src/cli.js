@@ -1,7 +1,29 @@
 #!/usr/bin/env node
 import { Store } from './db/store.js';
 import { install, uninstall } from './install.js';
-import { loadConfig, DATA_DIR } from './core/config.js';
+import { loadConfig, saveConfig, DATA_DIR } from './core/config.js';
+import { getMigrationStatus } from './db/migrations.js';
+import { loadEmbedder, primeEmbeddings } from './core/embedder.js';
+import { consolidateProject } from './core/consolidator.js';
+import { buildManualMemory, CATEGORIES } from './core/authoring.js';
+import { importMemories, parseRemap, readImportFile } from './core/importer.js';
+import { resolveScope, loadProjectResolver, transcriptSlug, GLOBAL_PROJECT } from './core/project.js';
+import { loadRules } from './core/rules.js';
+import { archiveTranscript } from './core/archive-pipeline.js';
+import { formatRuns } from './core/extractors.js';
+import { backfill } from './core/backfill.js';
+import { transcriptInfo } from './core/transcript-parser.js';
+import { drainQueue, claimWorker, releaseWorker, runningWorker } from './core/worker.js';
+import { usageReport } from './core/usage.js';
+import { scanMemories } from './core/redact.js';
+import { archivePolicy, pathRule } from './core/exclusions.js';
+import { existsSync, readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { createRequire } from 'module';
+import { join, resolve, basename } from 'path';
+import { tmpdir } from 'os';
+import { spawnSync } from 'child_process';
+
+const require = createRequire(import.meta.url);
 
 const [,, command, ...args] = process.argv;
 
@@ -11,7 +33,10 @@ function formatBytes(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-function doStatus() {
+async function doStatus() {
+  await loadProjectResolver();
+  const pathIdx = args.indexOf('--path');
+  const checkPath = pathIdx !== -1 ? args[pathIdx + 1] : null;
   const db = new Store().open();
   try {
     const stats = db.getStats();
@@ -20,6 +45,7 @@ function doStatus() {
     console.log(`  Size:        ${formatBytes(stats.dbSize)}`);
     console.log(`  Total:       ${stats.total} memories`);
     console.log('');
+    printPolicy(archivePolicy(resolveScope(process.cwd()).project, process.cwd()), checkPath);
 
     if (stats.byProject.length > 0) {
       console.log('  By project:');
@@ -34,7 +60,8 @@ function doStatus() {
       console.log(`  Sessions: ${stats.sessions.length}`);
       for (const s of stats.sessions.slice(0, 5)) {
         const ended = s.ended_at ? ` → ${s.ended_at}` : ' (active)';
-        console.log(`    ${s.session_id.slice(0, 8)}... | ${s.started_at}${ended} | ${s.memories_created} memories, ${s.compactions} compactions`);
+        const dropped = s.llm_dropped + s.llm_invalid > 0 ? `, ${s.llm_dropped} LLM items dropped (${s.llm_invalid} unusable replies)` : '';
+        console.log(`    ${s.session_id.slice(0, 8)}... | ${s.started_at}${ended} | ${s.memories_created} memories, ${s.compactions} compactions${dropped}`);
       }
       console.log('');
     }
@@ -43,16 +70,41 @@ function doStatus() {
   }
 }
 
-function doSearch(query) {
+// The archive policy for the current directory: whether it is archived, the
+// rule that decided it, and the path rules (with `checkPath` tested against them)
+function printPolicy(policy, checkPath) {
+  console.log(`  Project:     ${policy.project}`);
+  console.log(`  Archiving:   ${policy.excluded ? `off, ${policy.reason}` : 'on'}`);
+  if (policy.excluded) {
+    console.log('');
+    return;
+  }
+  if (policy.repoFile) console.log(`  Repo file:   ${policy.repoFile}`);
+  for (const [label, key] of [['Exclude:', 'excludePaths'], ['Include:', 'includePaths']]) {
+    if (policy[key].length === 0) continue;
+    console.log(`  ${label.padEnd(13)}${policy[key].map(r => `${r.pattern} (${r.source})`).join(', ')}`);
+  }
+  if (checkPath) {
+    const rule = pathRule(policy, resolve(checkPath));
+    const verdict = !rule ? 'archived'
+      : rule.kind === 'exclude' ? `excluded by "${rule.pattern}" (${rule.source})` : 'excluded, matches no includePaths pattern';
+    console.log(`  ${checkPath}: ${verdict}`);
+  }
+  console.log('');
+}
+
+async function doSearch(query) {
   if (!query) {
     console.error('Usage: ic search <keywords>');
     process.exit(1);
   }
 
+  await loadEmbedder();
   const projIdx = args.indexOf('--project');
   const project = (projIdx !== -1 && args[projIdx + 1]) ? args[projIdx + 1] : null;
   const db = new Store().open();
   try {
+    await primeEmbeddings(db.embedder, [query]);
     const results = db.search(query, project, 20);
     if (results.length === 0) {
       console.log('No matches found.');
@@ -61,7 +113,8 @@ function doSearch(query) {
     console.log(`\n  Found ${results.length} memories:\n`);
     for (const m of results) {
       const proj = m.project.length > 30 ? '...' + m.project.slice(-27) : m.project;
-      console.log(`  [${m.category}] score=${m.score.toFixed(2)} | ${proj}`);
+      const sim = m.similarity ? ` sim=${m.similarity.toFixed(2)}` : '';
+      console.log(`  [${m.category}] score=${m.score.toFixed(2)}${sim} | ${proj}`);
       console.log(`    ${m.content.slice(0, 200)}`);
       console.log(`    created: ${m.created_at} | accessed: ${m.access_count}x`);
       console.log('');
@@ -71,6 +124,74 @@ function doSearch(query) {
   }
 }
 
+function readStdin() {
+  return new Promise((res) => {
+    let data = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', c => { data += c; });
+    process.stdin.on('end', () => res(data));
+  });
+}
+
+function readFromEditor() {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const dir = mkdtempSync(join(tmpdir(), 'ic-add-'));
+  const file = join(dir, 'MEMORY.md');
+  try {
+    writeFileSync(file, '', 'utf-8');
+    const result = spawnSync(editor, [file], { stdio: 'inherit', shell: true });
+    if (result.status !== 0) throw new Error(`${editor} exited with status ${result.status}`);
+    return readFileSync(file, 'utf-8');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function doAdd() {
+  const flags = { '--project': null, '--category': 'note', '--score': null };
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] in flags) flags[args[i]] = args[++i] ?? null;
+    else if (args[i] !== '--pin' && args[i] !== '--global') words.push(args[i]);
+  }
+  const global = args.includes('--global');
+  if (global && flags['--project']) {
+    console.error('Error: --global and --project are mutually exclusive');
+    process.exit(1);
+  }
+
+  await loadProjectResolver();
+  let content = words.join(' ');
+  if (!content) content = process.stdin.isTTY ? readFromEditor() : await readStdin();
+
+  const score = flags['--score'] !== null ? parseFloat(flags['--score']) : undefined;
+  const scope = global ? { project: GLOBAL_PROJECT, subpath: '' }
+    : flags['--project'] ? { project: projectArg(flags['--project']), subpath: '' }
+    : resolveScope(process.cwd());
+  let memory;
+  try {
+    memory = { ...buildManualMemory({ project: scope.project, category: flags['--category'], content, score }), subpath: scope.subpath };
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error(`Usage: ic add [--project <path> | --global] [--category ${CATEGORIES.join('|')}] [--score <0-1>] [--pin] "text"`);
+    process.exit(1);
+  }
+
+  const db = new Store().open();
+  try {
+    const id = db.insertMemory(memory);
+    if (!id) {
+      console.error('An identical memory already exists.');
+      process.exitCode = 1;
+      return;
+    }
+    if (args.includes('--pin')) db.setPinned(id);
+    console.log(`Added memory #${id} [${memory.category}] to ${global ? 'global memories' : memory.project}.`);
+  } finally {
+    db.close();
+  }
+}
+
 function doExport() {
   const projIdx = args.indexOf('--project');
   const project = (projIdx !== -1 && args[projIdx + 1]) ? args[projIdx + 1] : null;
@@ -83,6 +204,49 @@ function doExport() {
   }
 }
 
+async function doImport() {
+  const dryRun = args.includes('--dry-run');
+  const remapSpecs = [];
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--remap-project') remapSpecs.push(args[++i]);
+    else if (args[i] !== '--dry-run') file = args[i];
+  }
+  if (!file) {
+    console.error('Usage: ic import <file|-> [--remap-project old=new]... [--dry-run]');
+    process.exit(1);
+  }
+
+  let data, remap;
+  try {
+    remap = parseRemap(remapSpecs);
+    data = file === '-' ? JSON.parse(await readStdin()) : readImportFile(file);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  await loadEmbedder();
+  const db = new Store().open();
+  try {
+    const result = importMemories(db, data, { remap, dryRun });
+    const verb = dryRun ? 'Would insert' : 'Inserted';
+    console.log(`${verb} ${result.inserted}, skipped ${result.skipped} duplicates, ${result.conflicts} conflicts, ${result.invalid} invalid, ${result.excluded} excluded.`);
+    if (result.redacted > 0) console.log(`  Redacted secrets in ${result.redacted} memories.`);
+    if (result.conflicts > 0) {
+      console.log(`  Conflicting source ids (same source_hash, different content or project): ${result.conflictIds.join(', ')}`);
+    }
+    for (const { index, reason } of result.invalidRows.slice(0, 10)) {
+      console.log(`  Row ${index}: ${reason}`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
 function doPrune() {
   const dryRun = args.includes('--dry-run');
   const olderThanIdx = args.indexOf('--older-than');
@@ -131,6 +295,64 @@ function doPrune() {
   }
 }
 
+function doConsolidate() {
+  const dryRun = args.includes('--dry-run');
+  const projIdx = args.indexOf('--project');
+  const project = (projIdx !== -1 && args[projIdx + 1]) ? args[projIdx + 1] : null;
+  const thrIdx = args.indexOf('--threshold');
+  const threshold = thrIdx !== -1 ? parseFloat(args[thrIdx + 1]) : undefined;
+  if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+    console.error('--threshold must be a number in (0, 1]');
+    process.exit(1);
+  }
+
+  const db = new Store().open();
+  try {
+    if (args.includes('--log')) {
+      const log = db.getMergeLog(project, 20);
+      if (log.length === 0) console.log('No merges recorded.');
+      for (const entry of log) {
+        console.log(`  ${entry.created_at} | #${entry.survivor_id} ← ${JSON.parse(entry.merged_ids).map(id => '#' + id).join(', ')} | sim=${(entry.similarity ?? 0).toFixed(2)}`);
+      }
+      return;
+    }
+
+    const projects = project ? [project] : db.getStats().byProject.map(p => p.project);
+    let total = 0;
+    for (const p of projects) {
+      const { clusters, merged } = consolidateProject(db, p, { threshold, dryRun });
+      if (clusters.length === 0) continue;
+      total += merged;
+      console.log(`\n  ${p}: ${clusters.length} clusters, ${merged} memories ${dryRun ? 'would be ' : ''}merged`);
+      for (const c of clusters.slice(0, 10)) {
+        console.log(`    #${c.survivor.id} [${c.survivor.category}] ${c.survivor.content.split('\n')[0].slice(0, 80)} (+${c.merged.length})`);
+      }
+    }
+    console.log(`\n${dryRun ? 'Would merge' : 'Merged'} ${total} memories.`);
+  } finally {
+    db.close();
+  }
+}
+
+function doPin(pinned) {
+  const id = parseInt(args[0], 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    console.error(`Usage: ic ${pinned ? 'pin' : 'unpin'} <id>`);
+    process.exit(1);
+  }
+  const db = new Store().open();
+  try {
+    if (db.setPinned(id, pinned) === 0) {
+      console.error(`Memory #${id} not found.`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`Memory #${id} ${pinned ? 'pinned' : 'unpinned'}.`);
+  } finally {
+    db.close();
+  }
+}
+
 function doConfig() {
   const cfg = loadConfig();
   if (args.length === 0) {
@@ -143,13 +365,365 @@ function doConfig() {
   }
 }
 
+function inspectSchema() {
+  const dbPath = loadConfig().dbPath;
+  if (!existsSync(dbPath)) return { dbPath, ...getMigrationStatus(null) };
+  const Database = require('better-sqlite3');
+  const raw = new Database(dbPath, { readonly: true, fileMustExist: true });
+  try {
+    return { dbPath, ...getMigrationStatus(raw) };
+  } finally {
+    raw.close();
+  }
+}
+
+async function doReindex() {
+  await loadEmbedder();
+  const db = new Store().open();
+  try {
+    if (!db.embedder) {
+      console.log('Semantic search is disabled (set "semanticSearch": true in config).');
+      return;
+    }
+    const pending = db.countUnindexedVectors();
+    let indexed = 0;
+    for (;;) {
+      await primeEmbeddings(db.embedder, db.getUnindexedMemories(500).map(m => m.content));
+      const batch = db.indexVectors(500);
+      if (batch === 0) break;
+      indexed += batch;
+      process.stderr.write(`\r  Indexed ${indexed}/${pending}`);
+    }
+    if (indexed > 0) process.stderr.write('\n');
+    console.log(`Indexed ${indexed} memories with ${db.embedder.id}.`);
+  } finally {
+    db.close();
+  }
+}
+
+async function doDb() {
+  const [sub] = args;
+  if (sub === 'reindex') return doReindex();
+  if (sub !== 'migrate') {
+    console.error('Usage: ic db migrate [--status] [--dry-run] | ic db reindex');
+    process.exit(1);
+  }
+
+  if (args.includes('--status') || args.includes('--dry-run')) {
+    const status = inspectSchema();
+    console.log(`\n  Database:  ${status.dbPath}`);
+    console.log(`  Schema:    v${status.current} (latest v${status.latest})\n`);
+    for (const m of status.applied) console.log(`    [applied] v${m.version} ${m.name}`);
+    for (const m of status.pending) console.log(`    [pending] v${m.version} ${m.name}`);
+    if (args.includes('--dry-run')) {
+      console.log(status.pending.length
+        ? `\n  Would apply ${status.pending.length} migration(s).`
+        : '\n  Schema is up to date.');
+    }
+    console.log('');
+    return;
+  }
+
+  const db = new Store().open();
+  try {
+    const { from, to, applied, backupPath } = db.migration;
+    if (applied.length === 0) {
+      console.log(`Schema is up to date (v${to}).`);
+      return;
+    }
+    console.log(`Migrated schema v${from} → v${to}:`);
+    for (const m of applied) console.log(`  v${m.version} ${m.name}`);
+    if (backupPath) console.log(`Backup: ${backupPath}`);
+  } finally {
+    db.close();
+  }
+}
+
+function projectArg(value) {
+  return value === '.' || value === '..' || /^\.\.?\//.test(value) ? resolve(value) : value;
+}
+
+async function doProject() {
+  const [sub, ...rest] = args;
+  const positional = rest.filter(a => !a.startsWith('--'));
+
+  if (sub === 'resolve') {
+    await loadProjectResolver();
+    const scope = resolveScope(resolve(positional[0] || process.cwd()));
+    console.log(scope.project);
+    if (args.includes('--verbose')) {
+      if (scope.subpath) console.log(`  subpath:  ${scope.subpath}`);
+      for (const a of scope.ancestors) console.log(`  inherits: ${a.project} (depth ${a.depth})`);
+    }
+    return;
+  }
+
+  if (sub !== 'move' && sub !== 'merge') {
+    console.error('Usage: ic project resolve [path] [--verbose] | ic project move <old> <new> | ic project merge <from> <into> [--alias]');
+    process.exit(1);
+  }
+  if (positional.length !== 2) {
+    console.error(`Usage: ic project ${sub} <${sub === 'move' ? 'old' : 'from'}> <${sub === 'move' ? 'new' : 'into'}> [--alias]`);
+    process.exit(1);
+  }
+
+  const [from, to] = positional.map(projectArg);
+  const db = new Store().open();
+  try {
+    const result = db.moveProject(from, to, { merge: sub === 'merge', transcriptSlug });
+    console.log(`${sub === 'move' ? 'Moved' : 'Merged'} ${from} → ${to}: ${result.memories} memories, ${result.sessions} sessions, ${result.checkpoints} checkpoints.`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  } finally {
+    db.close();
+  }
+
+  const cfg = loadConfig();
+  const updates = {};
+  if (cfg.projects[from] && !cfg.projects[to]) {
+    const { [from]: moved, ...others } = cfg.projects;
+    updates.projects = { ...others, [to]: moved };
+  }
+  if (args.includes('--alias')) {
+    updates.aliases = { ...cfg.aliases, [from]: to };
+    console.log(`Sessions in ${from} will now use ${to}.`);
+  }
+  if (Object.keys(updates).length > 0) saveConfig(updates);
+}
+
 async function doDashboard() {
   const portIdx = args.indexOf('--port');
   const port = (portIdx !== -1 && args[portIdx + 1]) ? parseInt(args[portIdx + 1], 10) : 3333;
   const { startServer } = await import('./web/server.js');
+  await loadEmbedder();
   startServer(port);
 }
 
+async function doArchive() {
+  const flags = { '--project': null, '--session': null };
+  let file = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] in flags) flags[args[i]] = args[++i] ?? null;
+    else if (!args[i].startsWith('--')) file = args[i];
+  }
+  if (!file) {
+    console.error('Usage: ic archive <transcript.jsonl> [--project <path>] [--session <id>] [--json]');
+    process.exit(1);
+  }
+  const transcriptPath = resolve(file);
+  if (!existsSync(transcriptPath)) {
+    console.error(`Error: ${transcriptPath} not found`);
+    process.exit(1);
+  }
+
+  await loadProjectResolver();
+  await loadEmbedder();
+  const info = transcriptInfo(transcriptPath);
+  const sessionId = flags['--session'] || info.sessionId || basename(transcriptPath, '.jsonl');
+  const cwd = info.cwd || process.cwd();
+  const scope = flags['--project'] ? { project: projectArg(flags['--project']), subpath: '' } : resolveScope(cwd);
+
+  const db = new Store().open();
+  try {
+    const { memories, ...result } = await archiveTranscript(db, {
+      sessionId, transcriptPath, project: scope.project, subpath: scope.subpath, cwd,
+      source: 'cli',
+      log: msg => console.error(`  ${msg}`),
+    });
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (result.excluded) {
+      console.log(`Not archived: ${scope.project} ${result.excluded}.`);
+      return;
+    }
+    if (result.messages === 0) {
+      console.log(`Nothing new in ${transcriptPath} since line ${result.startLine}.`);
+      return;
+    }
+    const { timings: ms } = result;
+    console.log(`Archived session ${sessionId} into ${scope.project}:`);
+    console.log(`  Lines:       ${result.startLine + 1}–${result.lastLine} (${result.messages} messages, ${result.turns} turns)`);
+    console.log(`  Memories:    ${result.inserted} new, ${result.deduped} deduped`);
+    console.log(`  Extractors:  ${formatRuns(result.extractors)}`);
+    console.log(`  Time:        ${ms.totalMs}ms (parse ${ms.parseMs}, extract ${ms.extractMs}, store ${ms.storeMs})`);
+  } finally {
+    db.close();
+  }
+}
+
+async function doBackfill() {
+  const flags = { '--project': null, '--since': null, '--mode': null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] in flags) flags[args[i]] = args[++i] ?? null;
+  }
+  const since = flags['--since'] ? Date.parse(flags['--since']) : null;
+  if (Number.isNaN(since) || (flags['--mode'] && !['rules', 'llm'].includes(flags['--mode']))) {
+    console.error('Usage: ic backfill [--project <path>] [--since <date>] [--mode rules|llm]');
+    process.exit(1);
+  }
+
+  await loadProjectResolver();
+  await loadEmbedder();
+  const db = new Store().open();
+  try {
+    const summary = await backfill(db, {
+      project: flags['--project'] ? projectArg(flags['--project']) : null,
+      since,
+      mode: flags['--mode'],
+      onProgress: (done, total) => process.stderr.write(`\r  Backfilling ${done}/${total} transcripts`),
+    });
+    if (summary.transcripts > 0) process.stderr.write('\n');
+
+    console.log(`\n  Backfilled ${summary.archived} of ${summary.transcripts} transcripts\n`);
+    console.log(`  Memories:    ${summary.inserted} new, ${summary.deduped} deduped`);
+    console.log(`  Up to date:  ${summary.upToDate}`);
+    console.log(`  Skipped:     ${summary.skipped}${flags['--project'] ? ' (other projects or no working directory)' : ' (no working directory)'}`);
+    console.log(`  Failed:      ${summary.failed}`);
+    for (const err of summary.errors) console.log(`    ${err}`);
+    const projects = Object.entries(summary.projects).sort((a, b) => b[1] - a[1]);
+    if (projects.length > 0) {
+      console.log('\n  By project:');
+      for (const [project, count] of projects) console.log(`    ${project}: ${count}`);
+    }
+    console.log('');
+    if (summary.failed > 0) process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
+
+async function doWorker() {
+  if (args.includes('--status')) {
+    const db = new Store().open();
+    try {
+      const counts = db.getJobCounts();
+      const pid = runningWorker();
+      console.log(`\n  Worker:  ${pid ? `running (pid ${pid})` : 'not running'}`);
+      console.log(`  Jobs:    ${counts.pending} pending, ${counts.running} running, ${counts.done} done, ${counts.failed} failed\n`);
+      const open = [...db.getJobs({ status: 'pending' }), ...db.getJobs({ status: 'failed', limit: 10 })];
+      for (const job of open) {
+        const when = job.status === 'pending' && job.run_after > Date.now() ? ` (retry ${new Date(job.run_after).toISOString()})` : '';
+        console.log(`    #${job.id} ${job.status}${when} ${job.session_id.slice(0, 8)} lines ${job.start_line + 1}–${job.end_line}, ${job.attempts} attempts${job.last_error ? `: ${job.last_error}` : ''}`);
+      }
+      if (open.length > 0) console.log('');
+    } finally {
+      db.close();
+    }
+    return;
+  }
+
+  await loadProjectResolver();
+  await loadEmbedder();
+  const db = new Store().open();
+  try {
+    if (!claimWorker()) {
+      console.log(`A worker is already running (pid ${runningWorker()}).`);
+      return;
+    }
+    const summary = await drainQueue(db, {
+      once: args.includes('--once'),
+      log: msg => console.error(`  ${msg}`),
+    });
+    console.log(`Jobs: ${summary.done} done, ${summary.continued} continued, ${summary.retried} to retry, ${summary.failed} failed; ${summary.inserted} memories.`);
+    if (summary.failed > 0) process.exitCode = 1;
+  } finally {
+    releaseWorker();
+    db.close();
+  }
+}
+
+function doUsage() {
+  const flags = { '--project': null, '--months': '3' };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] in flags) flags[args[i]] = args[++i] ?? null;
+  }
+  const months = parseInt(flags['--months'], 10);
+  if (!(months >= 1)) {
+    console.error('Usage: ic usage [--project <path>] [--months <n>] [--json]');
+    process.exit(1);
+  }
+
+  const db = new Store().open();
+  try {
+    const report = usageReport(db, { project: flags['--project'] ? projectArg(flags['--project']) : null, months });
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+    console.log(`\n  LLM usage — last ${months} month${months === 1 ? '' : 's'}\n`);
+    if (report.rows.length === 0) console.log('  No LLM calls recorded.\n');
+    for (const r of report.rows) {
+      const proj = r.project.length > 40 ? '...' + r.project.slice(-37) : r.project;
+      const failed = r.failed > 0 ? ` (${r.failed} failed)` : '';
+      const cost = r.cost === null ? '' : `, $${r.cost.toFixed(2)}`;
+      console.log(`  ${r.month}  ${proj}  ${r.model}`);
+      console.log(`    ${r.calls} calls${failed}, ${r.input_tokens} in / ${r.output_tokens} out tokens, avg ${r.avg_latency_ms}ms${cost}`);
+    }
+    if (report.rows.length > 0) console.log('');
+    if (report.budgets.length > 0) {
+      console.log(`  Budgets (${report.month}):`);
+      for (const b of report.budgets) {
+        const pct = Math.round(b.used / b.budget * 100);
+        console.log(`    ${b.project}: ${b.used} of ${b.budget} tokens (${pct}%)${b.exceeded ? ' — used up, extracting with rules' : ''}`);
+      }
+      console.log('');
+    }
+  } finally {
+    db.close();
+  }
+}
+
+async function doScan() {
+  const projIdx = args.indexOf('--project');
+  const project = projIdx !== -1 && args[projIdx + 1] ? projectArg(args[projIdx + 1]) : null;
+  const dryRun = args.includes('--dry-run');
+  await loadEmbedder();
+  const db = new Store().open();
+  try {
+    const summary = scanMemories(db, { project, dryRun });
+    for (const err of summary.errors) console.error(`  ${err}`);
+    console.log(`\n  Scanned ${summary.scanned} memories\n`);
+    if (summary.secrets === 0 && summary.redacted === 0 && summary.mergeRows === 0) {
+      console.log('  No secrets found.\n');
+      return;
+    }
+    const verb = dryRun ? 'Would redact' : 'Redacted';
+    console.log(`  ${verb} ${summary.secrets} secrets in ${summary.redacted} memories and ${summary.mergeRows} merge log entries:`);
+    for (const [name, n] of Object.entries(summary.kinds).sort((a, b) => b[1] - a[1])) console.log(`    ${name}: ${n}`);
+    console.log(`\n  Memories: ${summary.ids.slice(0, 20).join(', ')}${summary.ids.length > 20 ? ', ...' : ''}`);
+    console.log(dryRun ? '\n  Dry run — nothing changed.\n' : '');
+  } finally {
+    db.close();
+  }
+}
+
+async function doRules() {
+  const [sub, dir] = args;
+  if (sub !== 'check') {
+    console.error('Usage: ic rules check [path]');
+    process.exit(1);
+  }
+
+  const { packs, errors } = await loadRules(resolve(dir || process.cwd()));
+  console.log('\n  Rule packs:\n');
+  for (const { file, name, counts } of packs) {
+    const summary = Object.entries(counts).map(([list, n]) => `${n} ${list}`).join(', ') || 'no patterns';
+    console.log(`    ${name ? `${name} — ` : ''}${file} (${summary})`);
+  }
+  if (errors.length === 0) {
+    console.log('\n  No problems found.\n');
+    return;
+  }
+  console.log(`\n  ${errors.length} problem(s):\n`);
+  for (const err of errors) console.log(`    ${err}`);
+  console.log('');
+  process.exitCode = 1;
+}
+
 function showHelp() {
   console.log(`
   infinite-context (ic) — Infinite context for Claude Code
@@ -157,13 +731,38 @@ function showHelp() {
   Commands:
     install              Install hooks into Claude Code settings
     uninstall            Remove hooks (data preserved)
-    status               Show database statistics
+    status               Show database statistics and the archive policy for this directory
+                         [--path <file>]
     search <keywords>    Search memories [--project <path>]
+    add [text]           Add a memory by hand (text, stdin or $EDITOR)
+                         [--project <path> | --global] [--category <name>] [--score <0-1>] [--pin]
     export               Export all memories as JSON [--project <path>]
+    import <file|->      Import memories from an export (dedupes by source hash)
+                         [--remap-project old=new]... [--dry-run]
     prune                Decay and prune old memories
                          [--older-than <days>] [--below-score <n>] [--dry-run]
     dashboard            Start web dashboard [--port 3333]
+    consolidate          Merge near-duplicate memories
+                         [--project <path>] [--threshold <0-1>] [--dry-run] [--log]
+    pin <id>             Pin a memory so it is never decayed or pruned
+    unpin <id>           Remove the pin from a memory
+    project resolve      Show the project identity for a path [path] [--verbose]
+    project move         Re-key all data from one project to another <old> <new>
+    project merge        Fold one project into another <from> <into> [--alias]
+    archive <file>       Archive a transcript now (resumes from its checkpoint)
+                         [--project <path>] [--session <id>] [--json]
+    backfill             Archive existing Claude Code transcripts (resumable)
+                         [--project <path>] [--since <date>] [--mode rules|llm]
+    rules check          Validate the rule packs that apply to a directory [path]
+    worker               Run queued background LLM extraction jobs until none are left
+                         [--once] [--status]
+    usage                Show LLM calls, tokens and cost per month, and project budgets
+                         [--project <path>] [--months <n>] [--json]
+    scan                 Redact secrets from stored memories [--project <path>] [--dry-run]
     config               Show configuration
+    db migrate           Apply pending schema migrations (backs up first)
+                         [--status] [--dry-run]
+    db reindex           Compute missing vectors for semantic search
     help                 Show this help
 
   Data: ${DATA_DIR}
@@ -180,10 +779,23 @@ switch (command) {
     doSearch(searchArgs.join(' '));
     break;
   }
+  case 'add': doAdd(); break;
   case 'export': doExport(); break;
+  case 'import': doImport(); break;
   case 'prune': doPrune(); break;
   case 'dashboard': case 'web': doDashboard(); break;
+  case 'consolidate': doConsolidate(); break;
+  case 'pin': doPin(true); break;
+  case 'unpin': doPin(false); break;
+  case 'project': doProject(); break;
+  case 'archive': doArchive(); break;
+  case 'backfill': doBackfill(); break;
+  case 'rules': doRules(); break;
+  case 'worker': doWorker(); break;
+  case 'usage': doUsage(); break;
+  case 'scan': doScan(); break;
   case 'config': doConfig(); break;
+  case 'db': doDb(); break;
   case 'help': case '--help': case '-h': case undefined: showHelp(); break;
   default:
     console.error(`Unknown command: ${command}`);
@@ -0,0 +1,187 @@
+import { parseTranscript, transcriptBranches, groupIntoTurns } from './transcript-parser.js';
+import { runExtractors, formatRuns, extractorPipeline, runsInBackground } from './extractors.js';
+import { loadRules } from './rules.js';
+import { loadConfig, getProjectConfig } from './config.js';
+import { llmBudget, budgetMessage } from './usage.js';
+import { providerUnavailable } from './llm-provider.js';
+import { archivePolicy, filterFileChanges } from './exclusions.js';
+
+// Archives what was appended to a transcript since its checkpoint: parse,
+// extract through the project's pipeline, store, checkpoint. `source` names
+// the caller (a hook name, or 'cli'); a 'pre-compact' run that archives
+// something also counts a compaction. With `agent` ({ id, type }) the transcript is a subagent's: it is
+// checkpointed and archived under `<sessionId>:<agent id>`, while memory counts
+// go to the parent session. `mode` replaces the project's extractor pipeline
+// with the one for that extractionMode. Turns the LLM extractor could not get
+// to are kept in the checkpoint and handed to it again on the next run.
+//
+// With `background` (and backgroundExtraction enabled) LLM extraction is not
+// run here: the line range is queued as an 'llm-extract' job for the worker,
+// whose id is returned as `queuedJob`. The job is written in one transaction
+// with its stand-in memories, so the worker never finishes it before they
+// exist. Without a usable provider (no API key) nothing is queued and the LLM
+// extractor fails over to its fallback right away. A project that used up its
+// monthly LLM token budget gets the LLM extractor's fallback instead.
+//
+// A project excluded by its archive policy (see exclusions.js) is not read at
+// all; `excluded` then gives the reason. file_change memories about files the
+// path rules exclude are dropped before storing.
+export async function archiveTranscript(db, {
+  sessionId, transcriptPath, project, subpath = '', cwd = null, source = 'cli', agent = null, mode = null,
+  background = false, log = () => {},
+}) {
+  const started = Date.now();
+  const archiveId = agent?.id ? `${sessionId}:${agent.id}` : sessionId;
+  const result = {
+    source, project, sessionId: archiveId, startLine: 0, lastLine: 0, messages: 0, turns: 0,
+    extracted: 0, inserted: 0, deduped: 0, pendingTurns: 0, queuedJob: null, extractors: [], memories: [],
+    excluded: null, pathExcluded: 0,
+    timings: { parseMs: 0, extractMs: 0, storeMs: 0, totalMs: 0 },
+  };
+  const policy = archivePolicy(project, cwd);
+  if (policy.excluded) {
+    result.excluded = policy.reason;
+    log(`not archived: ${policy.reason}`);
+    return result;
+  }
+  if (!agent) db.upsertSession(sessionId, project);
+
+  const parsed = readTranscript(db, archiveId, transcriptPath, { log });
+  Object.assign(result, { startLine: parsed.startLine, lastLine: parsed.lastLine, messages: parsed.messages.length });
+  result.timings.parseMs = Date.now() - started;
+  if (parsed.messages.length === 0 && parsed.pendingTurns.length === 0) {
+    result.timings.totalMs = Date.now() - started;
+    return result;
+  }
+
+  const extractStarted = Date.now();
+  const turns = groupIntoTurns(parsed.messages);
+  const { rules, errors } = await loadRules(cwd);
+  for (const err of errors) log(`rule pack ${err}`);
+  const projectCfg = getProjectConfig(project);
+  const config = mode ? { ...projectCfg, extractionMode: mode, extractors: null } : projectCfg;
+  let pendingTurns = parsed.pendingTurns;
+  const usesLlm = extractorPipeline(config).some(runsInBackground);
+  const budget = usesLlm ? llmBudget(db, project) : null;
+  const llmSkipped = budget?.exceeded ? budgetMessage(budget) : null;
+  const queued = background && config.backgroundExtraction && usesLlm && !llmSkipped && !providerUnavailable(config);
+  const job = queued ? {
+    kind: 'llm-extract', sessionId: archiveId, project, transcriptPath,
+    startLine: parsed.startLine, endLine: parsed.lastLine,
+    payload: { parentSessionId: sessionId, subpath: subpath || '', cwd, agent, mode, pendingTurns },
+  } : null;
+  if (queued) pendingTurns = [];
+  const extraction = await runExtractors(turns, {
+    project, sessionId: archiveId, cwd, config,
+    priorErrors: db.getOpenErrors(archiveId),
+    rules,
+    pendingTurns,
+    deferTurns: remainder => { pendingTurns = remainder; },
+    recordLlmStats: stats => recordLlmStats(db, sessionId, stats, log),
+    recordLlmCall: call => db.recordLlmCall({ ...call, project, sessionId }),
+    queued,
+    llmSkipped,
+  });
+  const { runs } = extraction;
+  const { memories, dropped } = filterFileChanges(extraction.memories, policy);
+  if (dropped > 0) log(`${dropped} file changes excluded by path rules`);
+  if (pendingTurns.length > 0) log(`${pendingTurns.length} turns left for the next LLM pass`);
+  result.timings.extractMs = Date.now() - extractStarted;
+
+  const storeStarted = Date.now();
+  const inserted = db.transaction(() => {
+    if (job) {
+      result.queuedJob = db.enqueueJob(job);
+      for (const run of runs) if (run.queued) run.queued = result.queuedJob;
+      for (const m of memories) if (m.metadata?.pendingJob) m.metadata.pendingJob = result.queuedJob;
+    }
+    const count = storeMemories(db, memories, { project, sessionId, subpath, agent });
+    if (source === 'pre-compact' && (memories.length > 0 || result.queuedJob)) db.incrSessionCompactions(sessionId);
+    db.saveCheckpoint(archiveId, transcriptPath, parsed.lastLine, { ...parsed, pendingTurns });
+    return count;
+  });
+  log(`extractors ${formatRuns(runs)}`);
+  result.timings.storeMs = Date.now() - storeStarted;
+
+  Object.assign(result, {
+    turns: turns.length, extracted: memories.length, inserted, deduped: memories.length - inserted,
+    extractors: runs, memories, pendingTurns: pendingTurns.length, pathExcluded: dropped,
+  });
+  result.timings.totalMs = Date.now() - started;
+  return result;
+}
+
+// Adds the LLM reply counters to the (parent) session and logs what was wrong
+// with the replies
+export function recordLlmStats(db, sessionId, stats, log = () => {}) {
+  for (const err of stats.errors.slice(0, 10)) log(`llm reply ${err}`);
+  if (stats.dropped + stats.repaired + stats.retries + stats.invalid === 0) return;
+  log(`llm replies: ${stats.dropped} items dropped, ${stats.repaired} repaired, ${stats.retries} retries, ${stats.invalid} unusable`);
+  db.addSessionLlmStats(sessionId, stats);
+}
+
+// Inserts extracted memories with their subpath and subagent details and counts
+// them for the (parent) session.
+export function storeMemories(db, memories, { project, sessionId, subpath = '', agent = null }) {
+  for (const m of memories) {
+    m.subpath = subpath || '';
+    if (agent) {
+      m.metadata = {
+        agentId: agent.id || null,
+        agentType: agent.type || null,
+        ...(m.metadata && typeof m.metadata === 'object' ? m.metadata : {}),
+      };
+    }
+  }
+  const inserted = memories.length > 0 ? db.insertMany(memories) : 0;
+  db.incrSessionMemories(sessionId, inserted);
+  if (inserted > 0) db.enforceProjectLimit(project);
+  return inserted;
+}
+
+// Parses what was appended to a transcript since its last checkpoint. A
+// transcript that shrank is re-parsed from the start. After a rewind (the new
+// branch forks before the last processed message) or a shrink, memories from
+// turns no longer on the active branch are handled per abandonedBranchPolicy,
+// and turns still pending for the LLM extractor are dropped.
+export function readTranscript(db, sessionId, transcriptPath, { log = () => {} } = {}) {
+  const checkpoint = db.getCheckpoint(sessionId, transcriptPath);
+  const startLine = checkpoint ? checkpoint.last_line_number : 0;
+  let parsed = parseTranscript(transcriptPath, startLine, {
+    byteOffset: checkpoint?.byte_offset,
+    boundaryHash: checkpoint?.boundary_hash,
+    lastUuid: checkpoint?.last_uuid,
+  });
+
+  const truncated = parsed.messages.length === 0 && parsed.lastLine < startLine;
+  if (truncated) {
+    log(`transcript rollback detected (checkpoint=${startLine} > transcript=${parsed.lastLine}), re-parsing`);
+    parsed = parseTranscript(transcriptPath, 0);
+  } else if (parsed.forkUuid) {
+    log(`transcript rewound to ${parsed.forkUuid}, following the new branch`);
+  }
+
+  let pendingTurns = [];
+  try { pendingTurns = JSON.parse(checkpoint?.pending_turns || '[]'); } catch {}
+  if (truncated || parsed.forkUuid) {
+    pendingTurns = [];
+    const { deleted, flagged } = abandonRewoundMemories(db, sessionId, transcriptPath, truncated);
+    if (deleted + flagged > 0) {
+      log(`${deleted} memories from abandoned branches deleted, ${flagged} flagged`);
+    }
+  }
+  return { ...parsed, startLine: truncated ? 0 : startLine, pendingTurns };
+}
+
+function abandonRewoundMemories(db, sessionId, transcriptPath, truncated) {
+  const { known, abandoned } = transcriptBranches(transcriptPath);
+  const ids = [];
+  for (const m of db.getSessionMemories(sessionId)) {
+    let turnUuid = null;
+    try { turnUuid = JSON.parse(m.metadata)?.turnUuid; } catch {}
+    if (!turnUuid) continue;
+    if (abandoned.has(turnUuid) || (truncated && !known.has(turnUuid))) ids.push(m.id);
+  }
+  if (ids.length === 0) return { deleted: 0, flagged: 0 };
+  return db.abandonMemories(ids, { policy: loadConfig().abandonedBranchPolicy });
+}
@@ -1,10 +1,19 @@
 import { createHash } from 'crypto';
 import { scoreMemory, extractKeywords } from './scorer.js';
+import { loadConfig } from './config.js';
+import { DEFAULT_RULES, matchRule } from './rules.js';
+import { redact } from './redact.js';
 
-export function extractMemories(turns, project, sessionId) {
+// `priorErrors` ({ call, content }, from Store.getOpenErrors) are failures
+// archived from this session earlier that a fix in `turns` may still resolve.
+// `rules` comes from loadRules() and extends the built-in patterns.
+export function extractMemories(turns, project, sessionId, { priorErrors = [], rules = DEFAULT_RULES } = {}) {
   const memories = [];
+  const memory = fields => buildMemory({ project, sessionId, weights: rules.scores, ...fields });
+  const { resolved, fixes } = resolveFailures(turns, priorErrors);
 
-  for (const turn of turns) {
+  for (const [t, turn] of turns.entries()) {
+    const from = memories.length;
     for (const tc of turn.allToolCalls) {
       if (tc.name === 'Write' || tc.name === 'Edit' || tc.name === 'MultiEdit') {
         const filePath = tc.input.file_path || tc.input.path || '';
@@ -18,33 +27,62 @@ export function extractMemories(turns, project, sessionId) {
           ? `\n  Changed: "${truncate(tc.input.old_string, 80)}" → "${truncate(tc.input.new_string, 80)}"`
           : '';
 
-        memories.push(buildMemory({
-          project, sessionId, category: 'file_change',
+        memories.push(memory({
+          category: 'file_change',
           content: desc + detail,
-          keywords: extractKeywords(filePath + ' ' + desc),
+          keywordText: filePath + ' ' + desc,
           sourceText: desc + filePath,
         }));
       }
 
       if (tc.name === 'Bash') {
         const cmd = tc.input.command || '';
-        if (isNotableCommand(cmd)) {
-          memories.push(buildMemory({
-            project, sessionId, category: 'note',
+        const rule = cmd.length >= 5 ? matchRule(rules.commands, cmd) : null;
+        if (rule) {
+          memories.push(memory({
+            category: rule.category,
             content: `Ran command: ${truncate(cmd, 200)}`,
-            keywords: extractKeywords(cmd),
+            keywordText: cmd,
             sourceText: cmd,
+            scoreOverride: rule.score,
           }));
         }
       }
     }
 
+    const described = new Set(resolved);
+    for (const ex of turn.toolExchanges || []) {
+      if (!ex.isError || !ex.call || !ex.result?.content || described.has(ex.result)) continue;
+      described.add(ex.result);
+      const metadata = { tool: ex.call.name, call: callSignature(ex.call) };
+      if (ex.durationMs !== null) metadata.durationMs = ex.durationMs;
+      memories.push(memory({
+        category: 'error',
+        content: describeFailure(ex.call, ex.result.content),
+        keywordText: describeCall(ex.call) + ' ' + ex.result.content,
+        sourceText: ex.result.content,
+        metadata,
+      }));
+    }
+
+    for (const fix of fixes[t]) {
+      const solution = fix.files.length ? `fixed by editing ${fix.files.slice(0, 5).join(', ')}` : 'passed on retry';
+      memories.push(memory({
+        category: 'error',
+        content: `${fix.problem} → ${solution}`,
+        keywordText: `${fix.problem} ${fix.files.join(' ')}`,
+        // Per session: the resolution is what supersedes this session's raw errors
+        sourceText: `${sessionId}\n${fix.problem}\n${fix.call}\n${fix.files.join('\n')}`,
+        metadata: { tool: fix.tool, call: fix.call, resolves: fix.call, files: fix.files },
+      }));
+    }
+
     for (const tr of turn.allToolResults) {
-      if (tr.isError && tr.content) {
-        memories.push(buildMemory({
-          project, sessionId, category: 'error',
+      if (tr.isError && tr.content && !described.has(tr)) {
+        memories.push(memory({
+          category: 'error',
           content: `Error encountered: ${truncate(tr.content, 300)}`,
-          keywords: extractKeywords(tr.content),
+          keywordText: tr.content,
           sourceText: tr.content,
         }));
       }
@@ -52,25 +90,27 @@ export function extractMemories(turns, project, sessionId) {
 
     for (const msg of turn.assistantMessages) {
       if (msg.text) {
-        const decisions = extractDecisions(msg.text);
-        for (const d of decisions) {
-          memories.push(buildMemory({
-            project, sessionId, category: 'decision',
+        for (const { text: d, rule } of extractDecisions(msg.text, rules)) {
+          const replaced = detectReplacedSubject(d);
+          memories.push(memory({
+            category: rule?.category ?? 'decision',
             content: d,
-            keywords: extractKeywords(d),
+            keywordText: d,
             sourceText: d,
+            scoreOverride: rule?.score,
+            metadata: replaced ? { replaces: [replaced] } : null,
           }));
         }
       }
 
       if (msg.thinking) {
-        const archItems = extractArchitecture(msg.thinking);
-        for (const a of archItems) {
-          memories.push(buildMemory({
-            project, sessionId, category: 'architecture',
+        for (const { text: a, rule } of extractArchitecture(msg.thinking, rules)) {
+          memories.push(memory({
+            category: rule.category,
             content: a,
-            keywords: extractKeywords(a),
+            keywordText: a,
             sourceText: a,
+            scoreOverride: rule.score,
           }));
         }
       }
@@ -79,30 +119,39 @@ export function extractMemories(turns, project, sessionId) {
     if (turn.userMessage?.text) {
       const userText = turn.userMessage.text;
       if (userText.length > 20 && userText.length <= 500 && isUserMessageWorthSaving(userText)) {
-        memories.push(buildMemory({
-          project, sessionId, category: 'note',
+        memories.push(memory({
+          category: 'note',
           content: `User request: ${truncate(userText, 200)}`,
-          keywords: extractKeywords(userText),
+          keywordText: userText,
           sourceText: userText,
           scoreOverride: 0.35,
         }));
       }
     }
+
+    // Lets memories from a branch the user later rewinds past be found again
+    const turnUuid = turn.userMessage?.uuid;
+    if (turnUuid) {
+      for (let i = from; i < memories.length; i++) memories[i].metadata = { ...memories[i].metadata, turnUuid };
+    }
   }
 
   return memories;
 }
 
-function buildMemory({ project, sessionId, category, content, keywords, sourceText, scoreOverride }) {
+// Secrets are redacted from the content and the keyword text before anything
+// is kept; the source hash still covers the original text so dedup is stable.
+function buildMemory({ project, sessionId, category, content, keywordText, sourceText, scoreOverride, weights, metadata = null }) {
+  const clean = redact(content);
   return {
     project,
     sessionId,
     category,
-    content,
-    keywords,
-    score: scoreOverride ?? scoreMemory(category, content),
+    content: clean.text,
+    keywords: extractKeywords(redact(keywordText).text),
+    score: scoreOverride ?? scoreMemory(category, clean.text, weights),
     sourceHash: hashText(sourceText || content),
-    metadata: null,
+    metadata: clean.count > 0 ? { ...metadata, redactions: clean.count } : metadata,
   };
 }
 
@@ -116,53 +165,118 @@ function truncate(s, max) {
   return s.length > max ? s.slice(0, max) + '...' : s;
 }
 
-function isNotableCommand(cmd) {
-  if (!cmd || cmd.length < 5) return false;
-  const patterns = [
-    /npm\s+(install|uninstall|init|run|test)/,
-    /pip\s+(install|uninstall)/,
-    /git\s+(init|clone|checkout|merge|rebase|tag)/,
-    /docker\s+(build|run|compose|push|pull)/,
-    /cargo\s+(build|run|test|add)/,
-    /make\b/,
-    /createdb|dropdb|psql|mysql|mongo/,
-    /curl\s+.*(-X|--request)\s+(POST|PUT|DELETE|PATCH)/,
-    /mkdir\s+-p/,
-    /chmod|chown/,
-    /systemctl|service/,
-    /ssh\s+/,
-  ];
-  return patterns.some(p => p.test(cmd));
+const EDIT_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+
+function describeCall(call) {
+  const input = call.input || {};
+  if (call.name === 'Bash') return truncate(input.command, 120) || 'Bash';
+  const target = input.file_path || input.notebook_path || input.path || input.pattern || input.url || '';
+  return target ? `${call.name} ${truncate(target, 120)}` : call.name;
+}
+
+// Stored in metadata and compared with later calls, so redacted the same way
+function callSignature(call) {
+  if (call.name === 'Bash') return redact(`Bash:${(call.input?.command || '').trim()}`).text;
+  return redact(`${call.name}:${JSON.stringify(call.input || {})}`).text;
+}
+
+function describeFailure(call, content) {
+  return `\`${describeCall(call)}\` failed with: ${truncate(content, 250)}`;
+}
+
+// Follows each failing call through the batch, after any `priorErrors`, until
+// the same call succeeds. The failed results resolved that way are returned in
+// `resolved`; `fixes[t]` lists the problems resolved in turn t together with
+// the files edited in between.
+function resolveFailures(turns, priorErrors) {
+  const open = new Map();
+  for (const { call, content } of priorErrors) {
+    if (call && !open.has(call)) open.set(call, { problem: content, files: [], results: [] });
+  }
+  const resolved = new Set();
+  const fixes = turns.map(() => []);
+
+  turns.forEach((turn, t) => {
+    for (const ex of turn.toolExchanges || []) {
+      if (!ex.call || !ex.result) continue;
+      if (EDIT_TOOLS.has(ex.call.name)) {
+        const file = ex.call.input?.file_path || ex.call.input?.notebook_path;
+        if (ex.isError || !file) continue;
+        for (const problem of open.values()) {
+          if (!problem.files.includes(file)) problem.files.push(file);
+        }
+        continue;
+      }
+      const call = callSignature(ex.call);
+      const problem = open.get(call);
+      if (ex.isError) {
+        if (problem) problem.results.push(ex.result);
+        else if (ex.result.content) {
+          open.set(call, { problem: describeFailure(ex.call, ex.result.content), files: [], results: [ex.result] });
+        }
+      } else if (problem) {
+        open.delete(call);
+        for (const result of problem.results) resolved.add(result);
+        fixes[t].push({ ...problem, tool: ex.call.name, call });
+      }
+    }
+  });
+  return { resolved, fixes };
 }
 
-const DECISION_NOISE = [
-  /^now\s+(let|i)/i,
-  /^(good|great|perfect|alright|ok|excellent|nice|sure)\b/i,
-  /^(here|this|that|these|those)\s+(is|are|shows|looks|seems)/i,
-  /^no\s+action\s+needed/i,
-  /^all\s+\d+\s+tests?\s+pass/i,
-  /task\s+(as\s+)?(completed|done|finished)/i,
-  /let\s+me\s+(mark|share|send|notify|report|acknowledge|respond|quick)/i,
-  /^i('ll|'m\s+going\s+to)\s+(start|begin|continue|proceed|move\s+on|now)\b/i,
-  /^i\s+have\s+(a\s+thorough|all|now|the)\b/i,
-  /^(let me|i'll)\s+(create|write|build|implement|add|make|run|execute|generate)\s+(the|this|that|it)\b/i,
+const REVERSAL_PATTERNS = [
+  /\binstead of\s+(?:using\s+|the\s+)?([\w.+#-]+)/i,
+  /\brather than\s+(?:using\s+|the\s+)?([\w.+#-]+)/i,
+  /\b(?:switch(?:ed|ing)?|migrat(?:e|ed|ing)|mov(?:e|ed|ing))\s+(?:away\s+)?from\s+([\w.+#-]+)/i,
+  /\breplac(?:e|ed|ing)\s+([\w.+#-]+)\s+with\b/i,
+  /\bno longer\s+(?:use|using|need)\s+([\w.+#-]+)/i,
+  /\bdrop(?:ped|ping)?\s+([\w.+#-]+)\s+in favou?r of\b/i,
 ];
 
-function extractDecisions(text) {
+// Words the reversal patterns catch that name no technology ("instead of
+// guessing", "moved from default")
+const GENERIC_SUBJECTS = new Set([
+  'default', 'defaults', 'scratch', 'hand', 'manual', 'manually', 'before', 'now', 'here', 'there', 'it', 'one',
+  'approach', 'way', 'method', 'code', 'logic', 'version', 'solution', 'option', 'plan', 'idea', 'fix', 'hack',
+  'workaround', 'loop', 'loops', 'function', 'functions', 'file', 'files', 'test', 'tests', 'data', 'value', 'values',
+]);
+
+// The technology a decision moves away from, lowercased, or null. Only a
+// name-like token counts: capitalised or mixed case (Postgres, SQLite), with
+// digits or punctuation (date-fns, vue3, next.js), or a plain word that is not
+// an inflected or generic English one (webpack, but not "iterating").
+export function detectReplacedSubject(text) {
+  if (!text) return null;
+  const stopwords = loadConfig().stopwords;
+  for (const pattern of REVERSAL_PATTERNS) {
+    const m = text.match(pattern);
+    if (!m) continue;
+    const raw = m[1].replace(/^[.-]+|[.,-]+$/g, '');
+    const subject = raw.toLowerCase();
+    if (subject.length > 1 && !stopwords.has(subject) && looksLikeTechnology(raw)) return subject;
+  }
+  return null;
+}
+
+function looksLikeTechnology(word) {
+  if (/[A-Z]/.test(word) || /\d/.test(word) || /[.+#-]/.test(word)) return !GENERIC_SUBJECTS.has(word.toLowerCase());
+  return !GENERIC_SUBJECTS.has(word) && !/(?:ing|ed|ly|ion|ness|ity|ance|ence|ful|less|ous|ive|al)$/.test(word);
+}
+
+function extractDecisions(text, rules) {
   const decisions = [];
   const lines = text.split('\n');
 
   for (const line of lines) {
     const trimmed = line.trim();
     if (trimmed.length < 20 || trimmed.length > 300) continue;
+    if (rules.noise.some(p => p.test(trimmed))) continue;
 
-    const isDecision =
-      /\b(i'll|i will|let's|let me|we should|we'll|the approach|instead of|rather than|decided to|choosing|going with|opted for)\b/i.test(trimmed) &&
-      !/\b(i'll read|i'll check|let me read|let me look|let me search|let me check)\b/i.test(trimmed) &&
-      !DECISION_NOISE.some(p => p.test(trimmed));
-
-    if (isDecision) {
-      decisions.push(trimmed);
+    // A line moving away from a named technology is a decision even without a
+    // decision phrase ("Migrating from Jest to node:test")
+    const rule = matchRule(rules.decisions, trimmed);
+    if (rule || detectReplacedSubject(trimmed) !== null) {
+      decisions.push({ text: trimmed, rule });
     }
   }
 
@@ -178,7 +292,7 @@ function isUserMessageWorthSaving(text) {
   return true;
 }
 
-function extractArchitecture(thinking) {
+function extractArchitecture(thinking, rules) {
   const items = [];
   const lines = thinking.split('\n');
 
@@ -186,11 +300,9 @@ function extractArchitecture(thinking) {
     const trimmed = line.trim();
     if (trimmed.length < 30 || trimmed.length > 400) continue;
 
-    const isArch =
-      /\b(architecture|design pattern|module structure|interface design|abstraction layer|separation of concerns|dependency injection|coupling|cohesion|trade.?off|strategy pattern|refactor(ing)?|migration plan|schema design|database design|api design|data model|state management|caching strategy|message queue|middleware|microservice|monolith|event.?driven|pub.?sub|clean architecture|domain.?driven|bounded context|service layer|repository pattern)\b/i.test(trimmed);
-
-    if (isArch) {
-      items.push(trimmed);
+    const rule = matchRule(rules.architecture, trimmed);
+    if (rule) {
+      items.push({ text: trimmed, rule });
     }
   }
 
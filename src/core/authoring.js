@@ -0,0 +1,58 @@
+import { createHash } from 'crypto';
+import { scoreMemory, extractKeywords } from './scorer.js';
+import { detectReplacedSubject } from './archiver.js';
+
+// Hand-written memories (ic add, dashboard form). They go through the same
+// Store.insertMemory path as extracted ones, tagged with a synthetic session.
+
+export const MANUAL_SESSION_ID = 'manual';
+export const CATEGORIES = ['architecture', 'decision', 'error', 'finding', 'file_change', 'note'];
+const MAX_CONTENT_CHARS = 10000;
+
+export function validateMemoryFields(fields, { partial = false } = {}) {
+  const { category, content, score } = fields || {};
+  if (!partial || content !== undefined) {
+    if (typeof content !== 'string' || !content.trim()) throw new Error('content must be a non-empty string');
+    if (content.length > MAX_CONTENT_CHARS) throw new Error(`content must be at most ${MAX_CONTENT_CHARS} characters`);
+  }
+  if (!partial || category !== undefined) {
+    if (!CATEGORIES.includes(category)) throw new Error(`category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (score !== undefined && score !== null) {
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 1) {
+      throw new Error('score must be a number between 0 and 1');
+    }
+  }
+}
+
+export function buildManualMemory({ project, category, content, score }) {
+  if (typeof project !== 'string' || !project.trim()) throw new Error('project is required');
+  validateMemoryFields({ category, content, score });
+  const text = content.trim();
+  const metadata = { source: 'manual' };
+  const replaced = (category === 'decision' || category === 'architecture') ? detectReplacedSubject(text) : null;
+  if (replaced) metadata.replaces = [replaced];
+  return {
+    project,
+    sessionId: MANUAL_SESSION_ID,
+    category,
+    content: text,
+    keywords: extractKeywords(text),
+    score: score ?? scoreMemory(category, text),
+    sourceHash: createHash('sha256').update(`manual\u0000${project}\u0000${text}`).digest('hex').slice(0, 16),
+    metadata,
+  };
+}
+
+export function buildMemoryUpdate(fields) {
+  validateMemoryFields(fields, { partial: true });
+  const update = {};
+  if (fields.content !== undefined) {
+    update.content = fields.content.trim();
+    update.keywords = extractKeywords(update.content);
+  }
+  if (fields.category !== undefined) update.category = fields.category;
+  if (fields.score !== undefined && fields.score !== null) update.score = fields.score;
+  if (Object.keys(update).length === 0) throw new Error('nothing to update: provide content, category or score');
+  return update;
+}
@@ -0,0 +1,80 @@
+import { existsSync, readdirSync, statSync } from 'fs';
+import { join, basename } from 'path';
+import { homedir } from 'os';
+import { archiveTranscript } from './archive-pipeline.js';
+import { transcriptInfo } from './transcript-parser.js';
+import { resolveScope } from './project.js';
+
+export const TRANSCRIPTS_DIR = join(homedir(), '.claude', 'projects');
+
+// Session transcripts (<root>/<project slug>/<session>.jsonl), oldest first,
+// optionally only those modified since `since` (ms).
+export function discoverTranscripts(root = TRANSCRIPTS_DIR, { since = null } = {}) {
+  if (!existsSync(root)) return [];
+  const found = [];
+  for (const dir of readdirSync(root, { withFileTypes: true })) {
+    if (!dir.isDirectory()) continue;
+    for (const file of readdirSync(join(root, dir.name), { withFileTypes: true })) {
+      if (!file.isFile() || !file.name.endsWith('.jsonl')) continue;
+      const path = join(root, dir.name, file.name);
+      const { mtimeMs, size } = statSync(path);
+      if (since === null || mtimeMs >= since) found.push({ path, mtimeMs, size });
+    }
+  }
+  return found.sort((a, b) => a.mtimeMs - b.mtimeMs || a.path.localeCompare(b.path));
+}
+
+// Archives every discovered transcript through the archive pipeline. The
+// project comes from the working directory recorded in the transcript, and
+// checkpoints make an interrupted backfill pick up where it stopped.
+// Transcripts of excluded projects count as skipped.
+// `onProgress(done, total, transcript)` is called before each transcript.
+export async function backfill(db, {
+  root = TRANSCRIPTS_DIR, project = null, since = null, mode = null, onProgress = () => {}, log = () => {},
+} = {}) {
+  const transcripts = discoverTranscripts(root, { since });
+  const summary = {
+    transcripts: transcripts.length, archived: 0, upToDate: 0, skipped: 0, failed: 0,
+    inserted: 0, deduped: 0, projects: {}, errors: [],
+  };
+
+  for (const [i, transcript] of transcripts.entries()) {
+    onProgress(i, transcripts.length, transcript);
+    const info = transcriptInfo(transcript.path);
+    if (!info.cwd) {
+      summary.skipped++;
+      continue;
+    }
+    const scope = resolveScope(info.cwd);
+    if (project && scope.project !== project) {
+      summary.skipped++;
+      continue;
+    }
+    const sessionId = info.sessionId || basename(transcript.path, '.jsonl');
+
+    try {
+      const result = await archiveTranscript(db, {
+        sessionId, transcriptPath: transcript.path, project: scope.project, subpath: scope.subpath, cwd: info.cwd,
+        source: 'backfill', mode,
+        log: msg => log(`${transcript.path}: ${msg}`),
+      });
+      if (result.excluded) {
+        summary.skipped++;
+        continue;
+      }
+      if (result.messages === 0) {
+        summary.upToDate++;
+        continue;
+      }
+      summary.archived++;
+      summary.inserted += result.inserted;
+      summary.deduped += result.deduped;
+      summary.projects[scope.project] = (summary.projects[scope.project] || 0) + result.inserted;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push(`${transcript.path}: ${err.message}`);
+    }
+  }
+  onProgress(transcripts.length, transcripts.length, null);
+  return summary;
+}
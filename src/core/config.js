@@ -1,5 +1,5 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
 import { homedir } from 'os';
 
 const DATA_DIR = join(homedir(), '.claude', 'infinite-context');
@@ -40,8 +40,47 @@ const DEFAULTS = {
     'let', 'use', 'using', 'used', 'like', 'need', 'want', 'get',
   ]),
   extractionMode: 'rules',
+  extractors: null,
+  extractorTimeoutMs: 10000,
+  llmProvider: 'anthropic',
   llmModel: 'claude-opus-4-6',
+  llmBaseUrl: null,
+  llmApiKeyEnv: null,
+  llmAuthHeader: null,
+  llmTimeoutMs: 25000,
   llmMaxTranscriptChars: 12000,
+  llmChunkOverlapTurns: 1,
+  llmConcurrency: 2,
+  llmMaxChunks: 8,
+  llmBudgetMs: 8000,
+  llmRepairRetries: 1,
+  llmMonthlyTokenBudget: null,
+  llmPrices: {},
+  backgroundExtraction: true,
+  jobMaxAttempts: 5,
+  jobRetryDelayMs: 30000,
+  semanticSearch: false,
+  embedderModule: null,
+  embeddingDims: 256,
+  semanticWeight: 0.4,
+  semanticMinSimilarity: 0.2,
+  semanticCandidates: 1000,
+  consolidationThreshold: 0.7,
+  consolidateOnSessionEnd: true,
+  pinnedRestoreFraction: 0.25,
+  globalRestoreFraction: 0.2,
+  abandonedBranchPolicy: 'delete',
+  redaction: true,
+  redactionPatterns: [],
+  redactionSkip: [],
+  excludeProjects: [],
+  includeProjects: [],
+  excludePaths: [],
+  includePaths: [],
+  projectResolver: 'path',
+  ancestorWeight: 0.6,
+  subpathBoost: 0.5,
+  aliases: {},
   projects: {},
   debug: false,
 };
@@ -71,13 +110,16 @@ export function loadConfig() {
   }
 
   const numericFields = ['maxRestoreTokens', 'maxMemoriesPerRestore', 'maxPromptRecallResults',
-    'decayIntervalDays', 'maxMemoriesPerProject', 'llmMaxTranscriptChars'];
+    'decayIntervalDays', 'maxMemoriesPerProject', 'llmMaxTranscriptChars', 'embeddingDims', 'extractorTimeoutMs',
+    'llmTimeoutMs', 'llmConcurrency', 'llmMaxChunks', 'llmBudgetMs', 'jobMaxAttempts', 'jobRetryDelayMs',
+    'semanticCandidates'];
   for (const key of numericFields) {
     if (typeof _config[key] !== 'number' || !Number.isFinite(_config[key]) || _config[key] < 1) {
       _config[key] = DEFAULTS[key];
     }
   }
-  const fractionFields = ['decayFactor', 'pruneThreshold', 'scoreFloor'];
+  const fractionFields = ['decayFactor', 'pruneThreshold', 'scoreFloor', 'semanticWeight', 'semanticMinSimilarity',
+    'consolidationThreshold', 'pinnedRestoreFraction', 'globalRestoreFraction', 'ancestorWeight', 'subpathBoost'];
   for (const key of fractionFields) {
     if (typeof _config[key] !== 'number' || !Number.isFinite(_config[key]) || _config[key] < 0 || _config[key] > 1) {
       _config[key] = DEFAULTS[key];
@@ -88,16 +130,66 @@ export function loadConfig() {
   if (!validModes.includes(_config.extractionMode)) {
     _config.extractionMode = DEFAULTS.extractionMode;
   }
+  if (!Array.isArray(_config.extractors)) {
+    _config.extractors = null;
+  }
+  if (!['delete', 'flag'].includes(_config.abandonedBranchPolicy)) {
+    _config.abandonedBranchPolicy = DEFAULTS.abandonedBranchPolicy;
+  }
   if (typeof _config.llmModel !== 'string' || !_config.llmModel) {
     _config.llmModel = DEFAULTS.llmModel;
   }
+  if (!['anthropic', 'openai', 'ollama'].includes(_config.llmProvider)) {
+    _config.llmProvider = DEFAULTS.llmProvider;
+  }
+  for (const key of ['llmChunkOverlapTurns', 'llmRepairRetries']) {
+    if (!Number.isInteger(_config[key]) || _config[key] < 0) _config[key] = DEFAULTS[key];
+  }
+  if (typeof _config.llmMonthlyTokenBudget !== 'number' || !(_config.llmMonthlyTokenBudget >= 1)) {
+    _config.llmMonthlyTokenBudget = null;
+  }
+  if (typeof _config.llmPrices !== 'object' || Array.isArray(_config.llmPrices) || !_config.llmPrices) {
+    _config.llmPrices = {};
+  }
+  for (const key of ['llmBaseUrl', 'llmApiKeyEnv', 'llmAuthHeader']) {
+    if (typeof _config[key] !== 'string' || !_config[key]) _config[key] = null;
+  }
+  _config.embeddingDims = Math.round(_config.embeddingDims);
+  _config.semanticSearch = _config.semanticSearch === true;
+  _config.consolidateOnSessionEnd = _config.consolidateOnSessionEnd !== false;
+  _config.backgroundExtraction = _config.backgroundExtraction !== false;
+  _config.redaction = _config.redaction !== false;
+  for (const key of ['redactionPatterns', 'redactionSkip']) {
+    if (!Array.isArray(_config[key])) _config[key] = [];
+  }
+  for (const key of ['excludeProjects', 'includeProjects', 'excludePaths', 'includePaths']) {
+    _config[key] = Array.isArray(_config[key]) ? _config[key].filter(p => typeof p === 'string' && p.trim()) : [];
+  }
+  if (typeof _config.embedderModule !== 'string' || !_config.embedderModule) {
+    _config.embedderModule = null;
+  }
   if (typeof _config.projects !== 'object' || Array.isArray(_config.projects) || !_config.projects) {
     _config.projects = {};
   }
+  if (typeof _config.projectResolver !== 'string' || !_config.projectResolver) {
+    _config.projectResolver = DEFAULTS.projectResolver;
+  }
+  if (typeof _config.aliases !== 'object' || Array.isArray(_config.aliases) || !_config.aliases) {
+    _config.aliases = {};
+  } else {
+    _config.aliases = Object.fromEntries(Object.entries(_config.aliases).filter(([, v]) => typeof v === 'string' && v));
+  }
 
   return _config;
 }
 
+// Module paths in the config are relative to the data directory, which holds
+// config.json, not to the working directory of whichever hook loads them
+export function resolveDataPath(path) {
+  if (path === '~' || path.startsWith('~/')) return join(homedir(), path.slice(1));
+  return resolve(loadConfig().dataDir, path);
+}
+
 export function resetConfig() {
   _config = null;
 }
@@ -0,0 +1,116 @@
+import { loadConfig } from './config.js';
+
+const MAX_POSTING = 500;
+
+// Near-duplicate consolidation. Memories in the same project and category are
+// compared by keyword-set and content-shingle Jaccard similarity. Clusters are
+// built around their best member: members are taken in survivor order, and each
+// one still unclaimed gathers the unclaimed memories similar to it, so every
+// merged memory is close to the one it is folded into (no A~B~C chains).
+// A pinned member always survives, so the text the user pinned is kept; other
+// pinned members of the cluster are left alone. Superseded memories are skipped.
+
+export function findClusters(memories, { threshold, onlyIds = null } = {}) {
+  const cfg = loadConfig();
+  const minSim = threshold ?? cfg.consolidationThreshold;
+  const live = memories.filter(m => !m.superseded_by);
+
+  const features = new Map();
+  for (const m of live) {
+    features.set(m.id, {
+      keywords: new Set((m.keywords || '').split(' ').filter(Boolean)),
+      shingles: shingles(m.content),
+    });
+  }
+
+  // Block on shared keywords so only plausible pairs are compared
+  const index = new Map();
+  for (const m of live) {
+    for (const kw of features.get(m.id).keywords) {
+      const key = `${m.category}\u0000${kw}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(m);
+    }
+  }
+
+  const similar = new Map(live.map(m => [m.id, new Map()]));
+  const seeds = onlyIds ? live.filter(m => onlyIds.has(m.id)) : live;
+  for (const a of seeds) {
+    const fa = features.get(a.id);
+    const compared = new Set([a.id]);
+    for (const kw of fa.keywords) {
+      const posting = index.get(`${a.category}\u0000${kw}`) || [];
+      // Very common words can't carry a pair past the threshold on their own
+      if (posting.length > MAX_POSTING) continue;
+      for (const b of posting) {
+        if (compared.has(b.id)) continue;
+        compared.add(b.id);
+        const fb = features.get(b.id);
+        const sim = Math.max(jaccard(fa.keywords, fb.keywords), jaccard(fa.shingles, fb.shingles));
+        if (sim < minSim) continue;
+        similar.get(a.id).set(b, sim);
+        similar.get(b.id).set(a, sim);
+      }
+    }
+  }
+
+  const byRank = (x, y) => (y.pinned ? 1 : 0) - (x.pinned ? 1 : 0)
+    || y.score - x.score || String(y.created_at).localeCompare(String(x.created_at)) || y.id - x.id;
+  const claimed = new Set();
+  const clusters = [];
+  for (const survivor of [...live].sort(byRank)) {
+    if (claimed.has(survivor.id)) continue;
+    claimed.add(survivor.id);
+    const merged = [...similar.get(survivor.id)]
+      .filter(([m]) => !claimed.has(m.id) && !m.pinned)
+      .sort(([x], [y]) => byRank(x, y));
+    if (merged.length === 0) continue;
+    for (const [m] of merged) claimed.add(m.id);
+    clusters.push({
+      survivor,
+      merged: merged.map(([m]) => m),
+      similarity: Math.min(...merged.map(([, sim]) => sim)),
+    });
+  }
+  return clusters;
+}
+
+export function consolidateProject(db, project, { sessionId = null, threshold, dryRun = false } = {}) {
+  const memories = db.exportAll(project);
+  const onlyIds = sessionId
+    ? new Set(memories.filter(m => m.session_id === sessionId).map(m => m.id))
+    : null;
+  if (onlyIds && onlyIds.size === 0) return { clusters: [], merged: 0 };
+
+  const clusters = findClusters(memories, { threshold, onlyIds });
+  let merged = 0;
+  if (!dryRun) {
+    for (const c of clusters) {
+      merged += db.mergeMemories(c.survivor.id, c.merged.map(m => m.id), { similarity: c.similarity }) || 0;
+    }
+  } else {
+    merged = clusters.reduce((sum, c) => sum + c.merged.length, 0);
+  }
+  return { clusters, merged };
+}
+
+function shingles(text, size = 3) {
+  const words = (text || '').toLowerCase().split(/[^a-z0-9а-яё_./-]+/i).filter(Boolean);
+  const out = new Set();
+  if (words.length < size) {
+    if (words.length) out.add(words.join(' '));
+    return out;
+  }
+  for (let i = 0; i + size <= words.length; i++) {
+    out.add(words.slice(i, i + size).join(' '));
+  }
+  return out;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let inter = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const x of small) if (large.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
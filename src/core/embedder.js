@@ -0,0 +1,165 @@
+import { pathToFileURL } from 'url';
+import { loadConfig, resolveDataPath } from './config.js';
+
+// Embedders turn text into a fixed-size vector for semantic recall.
+// Interface: { id: string, dims: number, embed(text) => number[] | Float32Array | Promise }.
+// Search and indexing run inside sync Store calls, so an embedder whose embed()
+// returns a Promise only has vectors for text passed to primeEmbeddings() first;
+// other text is left unindexed (and a query falls back to keywords) until then.
+// Any expensive setup (e.g. loading an ONNX model) belongs in createEmbedder().
+
+const MAX_PRIMED = 2000;
+
+let _custom = null;
+let _hashing = null;
+let _failed = false;
+
+export function createHashingEmbedder({ dims = 256 } = {}) {
+  const cfg = loadConfig();
+  return {
+    id: `hashing-${dims}`,
+    dims,
+    embed(text) {
+      const vec = new Float32Array(dims);
+      for (const token of tokenize(text, cfg.stopwords)) {
+        addFeature(vec, 'w:' + token, 1.0);
+        if (token.length > 3) {
+          const padded = `^${token}$`;
+          for (let i = 0; i + 3 <= padded.length; i++) {
+            addFeature(vec, 'g:' + padded.slice(i, i + 3), 0.35);
+          }
+        }
+      }
+      return normalize(vec);
+    },
+  };
+}
+
+export function registerEmbedder(embedder) {
+  if (embedder && (typeof embedder.embed !== 'function' || !embedder.id)) {
+    throw new Error('Embedder must provide an id and an embed(text) function');
+  }
+  _custom = embedder ? withPrimedVectors(embedder) : null;
+  _failed = false;
+}
+
+export function getEmbedder() {
+  const cfg = loadConfig();
+  if (!cfg.semanticSearch) return null;
+  if (_custom) return _custom;
+  // Vectors from the built-in embedder would not match the configured model's
+  if (_failed) return null;
+  if (!_hashing || _hashing.dims !== cfg.embeddingDims) {
+    _hashing = createHashingEmbedder({ dims: cfg.embeddingDims });
+  }
+  return _hashing;
+}
+
+export async function loadEmbedder() {
+  const cfg = loadConfig();
+  if (!cfg.semanticSearch || !cfg.embedderModule || _custom) return getEmbedder();
+
+  try {
+    const mod = await import(pathToFileURL(resolveDataPath(cfg.embedderModule)).href);
+    const factory = mod.createEmbedder || mod.default;
+    if (typeof factory !== 'function') {
+      throw new Error(`${cfg.embedderModule} does not export createEmbedder()`);
+    }
+    registerEmbedder(await factory(cfg));
+  } catch (err) {
+    _failed = true;
+    throw err;
+  }
+  return _custom;
+}
+
+export async function primeEmbeddings(embedder, texts) {
+  if (embedder?.prime) await embedder.prime(texts.filter(Boolean));
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / Math.sqrt(na * nb);
+}
+
+export function vectorToBlob(vec) {
+  const arr = vec instanceof Float32Array ? vec : Float32Array.from(vec);
+  return Buffer.from(arr.buffer, arr.byteOffset, arr.byteLength);
+}
+
+export function blobToVector(blob) {
+  // Copy first: SQLite buffers are not guaranteed to be 4-byte aligned
+  const bytes = new Uint8Array(blob);
+  return new Float32Array(bytes.buffer, 0, bytes.byteLength / 4);
+}
+
+function withPrimedVectors(embedder) {
+  const primed = new Map();
+  let isAsync = null;
+  const compute = (text) => {
+    const vec = embedder.embed(text);
+    isAsync = typeof vec?.then === 'function';
+    return vec;
+  };
+  return {
+    id: embedder.id,
+    dims: embedder.dims,
+    embed(text) {
+      if (primed.has(text)) return primed.get(text);
+      if (isAsync) return null;
+      const vec = compute(text);
+      if (!isAsync) return vec;
+      vec.catch(() => {});
+      return null;
+    },
+    async prime(texts) {
+      for (const text of texts) {
+        if (isAsync === false) return;
+        if (primed.has(text)) continue;
+        const vec = compute(text);
+        if (!isAsync) return;
+        primed.set(text, await vec);
+        if (primed.size > MAX_PRIMED) primed.delete(primed.keys().next().value);
+      }
+    },
+  };
+}
+
+function tokenize(text, stopwords) {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9а-яё_]+/i)
+    .filter(w => w.length > 1 && !stopwords.has(w));
+}
+
+function addFeature(vec, feature, weight) {
+  const h = fnv1a(feature);
+  const sign = (h & 0x80000000) ? -1 : 1;
+  vec[h % vec.length] += sign * weight;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  if (norm === 0) return vec;
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
@@ -0,0 +1,170 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname, resolve, relative, isAbsolute, sep } from 'path';
+import { homedir } from 'os';
+import { loadConfig, getProjectConfig } from './config.js';
+
+// Exclusion policies. `excludeProjects` / `includeProjects` globs decide
+// whether a project is archived and given memories at all; `excludePaths` /
+// `includePaths` (also settable per project) drop file_change memories about
+// matching files. A `.infinite-context.json` at or above the working directory
+// can opt a repository out ({ "enabled": false }) or add its own path globs.
+
+export const REPO_POLICY_FILE = '.infinite-context.json';
+
+// The policy for a project and working directory:
+// { project, cwd, excluded, reason, repoFile, repoError, root, excludePaths, includePaths },
+// where the path globs are { pattern, source } and source names where they
+// were configured.
+export function archivePolicy(project, cwd = null) {
+  const cfg = loadConfig();
+  const repo = findRepoPolicy(cwd);
+  const policy = {
+    project, cwd, excluded: false, reason: null,
+    repoFile: repo?.file ?? null, repoError: repo?.error ?? null,
+    root: repo ? dirname(repo.file) : (cwd ? resolve(cwd) : null),
+    excludePaths: [], includePaths: [],
+  };
+
+  const candidates = [project, cwd && resolve(cwd)].filter(Boolean);
+  const excludedBy = cfg.excludeProjects.find(p => candidates.some(c => matchProject(p, c)));
+  if (repo && !repo.enabled) {
+    policy.excluded = true;
+    policy.reason = `opted out by ${repo.file}${repo.error ? ` (${repo.error})` : ''}`;
+  } else if (excludedBy) {
+    policy.excluded = true;
+    policy.reason = `matches excludeProjects "${excludedBy}"`;
+  } else if (cfg.includeProjects.length > 0 && !cfg.includeProjects.some(p => candidates.some(c => matchProject(p, c)))) {
+    policy.excluded = true;
+    policy.reason = 'matches no includeProjects pattern';
+  }
+
+  const overrides = cfg.projects[project];
+  const projectCfg = getProjectConfig(project);
+  for (const key of ['excludePaths', 'includePaths']) {
+    const source = Array.isArray(overrides?.[key]) ? `projects["${project}"]` : 'config';
+    policy[key] = [
+      ...stringList(projectCfg[key]).map(pattern => ({ pattern, source })),
+      ...(repo?.[key] || []).map(pattern => ({ pattern, source: repo.file })),
+    ];
+  }
+  return policy;
+}
+
+// The nearest `.infinite-context.json` at or above `cwd` as
+// { file, enabled, excludePaths, includePaths, error }, or null. A file that is
+// empty or not valid JSON opts the repository out.
+export function findRepoPolicy(cwd) {
+  for (let cur = cwd ? resolve(cwd) : null; cur; ) {
+    const file = join(cur, REPO_POLICY_FILE);
+    if (existsSync(file)) return readRepoPolicy(file);
+    const parent = dirname(cur);
+    cur = parent === cur ? null : parent;
+  }
+  return null;
+}
+
+function readRepoPolicy(file) {
+  let data;
+  try {
+    const text = readFileSync(file, 'utf-8');
+    if (!text.trim()) return { file, enabled: false, excludePaths: [], includePaths: [], error: null };
+    data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('must be a JSON object');
+  } catch (err) {
+    return { file, enabled: false, excludePaths: [], includePaths: [], error: err.message };
+  }
+  return {
+    file,
+    enabled: data.enabled !== false,
+    excludePaths: stringList(data.excludePaths),
+    includePaths: stringList(data.includePaths),
+    error: null,
+  };
+}
+
+// The rule a file path falls foul of, or null when it may be archived:
+// { kind: 'exclude', pattern, source } for a matching excludePaths glob, or
+// { kind: 'include', pattern: null, source: null } when includePaths are set
+// and none matches.
+export function pathRule(policy, filePath) {
+  const forms = pathForms(policy.root, filePath);
+  const hit = list => list.find(({ pattern }) => matchPath(pattern, forms));
+  const excluded = hit(policy.excludePaths);
+  if (excluded) return { kind: 'exclude', ...excluded };
+  if (policy.includePaths.length > 0 && !hit(policy.includePaths)) return { kind: 'include', pattern: null, source: null };
+  return null;
+}
+
+// Drops file_change memories whose every referenced file is excluded by the
+// policy's path rules. Returns { memories, dropped }.
+export function filterFileChanges(memories, policy) {
+  if (policy.excludePaths.length === 0 && policy.includePaths.length === 0) return { memories, dropped: 0 };
+  const kept = memories.filter(m => {
+    if (m.category !== 'file_change') return true;
+    const paths = referencedPaths(m);
+    return paths.length === 0 || paths.some(p => !pathRule(policy, p));
+  });
+  return { memories: kept, dropped: memories.length - kept.length };
+}
+
+// The files a file_change memory is about: the path of a rule-based
+// "Edited file: <path>" memory, metadata.files, or path-like words in the text
+function referencedPaths(memory) {
+  const named = memory.content.match(/^(?:Created\/wrote|Edited) file:\s*(.+)/)?.[1]?.trim();
+  if (named) return [named];
+  if (Array.isArray(memory.metadata?.files)) return memory.metadata.files.filter(f => typeof f === 'string');
+  return (memory.content.match(/(?:~|\.{1,2})?(?:\/?[\w.@-]+)+\/[\w.@-]+/g) || [])
+    .map(p => p.replace(/[.]+$/, ''));
+}
+
+// A project glob matches the identity or path itself and everything below it
+function matchProject(pattern, candidate) {
+  const glob = expandHome(pattern).replace(/\/+$/, '');
+  return glob !== '' && new RegExp(`^${globSource(glob)}(?:/.*)?$`).test(candidate);
+}
+
+// Path globs starting with / or ~ match the absolute path and ones starting
+// with ./ the path relative to the project root. Others match the relative
+// path (the absolute one for files outside the root) at any depth, so
+// `vendor/` and `vendor/**` both cover vendor/a/b.js and packages/x/vendor/c.js.
+function matchPath(pattern, { abs, rel }) {
+  const glob = expandHome(pattern).replace(/\/+$/, '').replace(/\/\*\*$/, '');
+  if (!glob || glob === '.') return false;
+  if (isAbsolute(glob)) return abs !== null && new RegExp(`^${globSource(glob)}(?:/.*)?$`).test(abs);
+  if (glob.startsWith('./')) return rel !== null && new RegExp(`^${globSource(glob.slice(2))}(?:/.*)?$`).test(rel);
+  return new RegExp(`(?:^|/)${globSource(glob)}(?:/.*)?$`).test(rel ?? abs);
+}
+
+function pathForms(root, filePath) {
+  const abs = isAbsolute(filePath) ? filePath : (root ? resolve(root, filePath) : null);
+  if (!abs) return { abs: null, rel: filePath };
+  const rel = root ? relative(root, abs) : null;
+  return { abs, rel: rel && !rel.startsWith('..') && !isAbsolute(rel) ? rel.split(sep).join('/') : null };
+}
+
+function globSource(glob) {
+  let out = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      out += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      out += '[^/]*';
+    } else if (ch === '?') {
+      out += '[^/]';
+    } else {
+      out += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return out;
+}
+
+function expandHome(pattern) {
+  return pattern === '~' || pattern.startsWith('~/') ? homedir() + pattern.slice(1) : pattern;
+}
+
+function stringList(value) {
+  return Array.isArray(value) ? value.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim()) : [];
+}
@@ -0,0 +1,196 @@
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { join, resolve, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { extractMemories } from './archiver.js';
+import { extractMemoriesLLM } from './llm-archiver.js';
+import { scoreMemory, extractKeywords } from './scorer.js';
+import { CATEGORIES } from './authoring.js';
+import { redact } from './redact.js';
+
+// An extractor is `(turns, ctx) => memories[]` (async allowed). ctx carries
+// project, sessionId, cwd, config (the project config), options (from the
+// pipeline entry), signal (aborted once the extractor's time limit passes), the
+// rules extractor's priorErrors and rules, and the LLM extractor's
+// pendingTurns, deferTurns(remainder), recordLlmStats(stats) and
+// recordLlmCall(call).
+const _registry = new Map([
+  ['rules', (turns, ctx) => extractMemories(turns, ctx.project, ctx.sessionId, {
+    priorErrors: ctx.priorErrors,
+    rules: ctx.rules,
+  })],
+  ['llm', (turns, ctx) => extractMemoriesLLM(turns, ctx.project, ctx.sessionId, {
+    config: ctx.config,
+    pendingTurns: ctx.pendingTurns,
+    deferTurns: ctx.deferTurns,
+    recordStats: ctx.recordLlmStats,
+    recordCall: ctx.recordLlmCall,
+    signal: ctx.signal,
+  })],
+]);
+const BUILTIN = new Set(_registry.keys());
+const _modules = new Map();
+
+export function registerExtractor(name, fn) {
+  if (typeof name !== 'string' || !name) throw new Error('Extractor name must be a non-empty string');
+  if (fn === null) {
+    _registry.delete(name);
+    return;
+  }
+  if (typeof fn !== 'function') throw new Error('Extractor must be a function');
+  _registry.set(name, fn);
+}
+
+// The configured pipeline, or the one implied by extractionMode: LLM output
+// comes first and rules stand in when the LLM fails.
+export function extractorPipeline(cfg) {
+  const entries = Array.isArray(cfg.extractors)
+    ? cfg.extractors
+    : {
+      rules: ['rules'],
+      llm: [{ name: 'llm', fallback: 'rules' }],
+      hybrid: ['llm', 'rules'],
+    }[cfg.extractionMode] || ['rules'];
+  return entries.map(entry => {
+    const spec = typeof entry === 'string' ? { name: entry } : { ...entry };
+    if (!spec.name) spec.name = spec.module;
+    return spec;
+  });
+}
+
+// The built-in LLM extractor can be left to a background job (see worker.js)
+export function runsInBackground(spec) {
+  return spec.name === 'llm' && !spec.module;
+}
+
+// Runs the pipeline in order. A failing or timed-out extractor is reported in
+// `runs` and skipped (or replaced by its `fallback`); the others still count.
+// With `ctx.queued` the background extractor is skipped and its fallback runs
+// instead, its memories marked `pendingJob` so the caller can tie them to the
+// job it queues (they are replaced when that job lands). With
+// `ctx.llmSkipped` (the reason) it is skipped for good and its fallback runs.
+export async function runExtractors(turns, ctx) {
+  const memories = [];
+  const runs = [];
+
+  for (const spec of extractorPipeline(ctx.config)) {
+    const skip = !runsInBackground(spec) ? null
+      : ctx.queued ? { queued: true }
+        : ctx.llmSkipped ? { skipped: ctx.llmSkipped } : null;
+    if (skip) {
+      runs.push({ name: spec.name, memories: [], error: null, ms: 0, ...skip });
+      if (spec.fallback) {
+        const fallback = await runExtractor({ name: spec.fallback }, turns, ctx);
+        if (skip.queued) for (const m of fallback.memories) m.metadata = { ...m.metadata, pendingJob: true };
+        runs.push({ ...fallback, fallbackFor: spec.name });
+        memories.push(...fallback.memories);
+      }
+      continue;
+    }
+    const run = await runExtractor(spec, turns, ctx);
+    runs.push(run);
+    memories.push(...run.memories);
+    if (run.error && spec.fallback) {
+      const fallback = await runExtractor({ name: spec.fallback }, turns, ctx);
+      runs.push({ ...fallback, fallbackFor: spec.name });
+      memories.push(...fallback.memories);
+    }
+  }
+
+  return { memories, runs: runs.map(({ memories: m, ...run }) => ({ ...run, count: m.length })) };
+}
+
+async function runExtractor(spec, turns, ctx) {
+  const started = Date.now();
+  try {
+    const fn = await loadExtractor(spec, ctx.cwd);
+    const timeoutMs = spec.timeoutMs ?? ctx.config.extractorTimeoutMs;
+    const result = await withTimeout(signal => fn(turns, { ...ctx, options: spec.options || {}, signal }), timeoutMs);
+    return { name: spec.name, memories: normalizeMemories(result, spec.name, ctx), error: null, ms: Date.now() - started };
+  } catch (err) {
+    return { name: spec.name, memories: [], error: err.message, ms: Date.now() - started };
+  }
+}
+
+export function formatRuns(runs) {
+  return runs.map(r => {
+    const label = r.fallbackFor ? `${r.name} (fallback for ${r.fallbackFor})` : r.name;
+    if (r.queued) return `${label} queued as job ${r.queued}`;
+    if (r.skipped) return `${label} skipped: ${r.skipped}`;
+    return r.error ? `${label} failed: ${r.error}` : `${label}=${r.count}`;
+  }).join(', ');
+}
+
+async function loadExtractor(spec, cwd) {
+  if (!spec.module) {
+    const fn = _registry.get(spec.name);
+    if (!fn) throw new Error(`unknown extractor "${spec.name}"`);
+    return fn;
+  }
+  const url = resolveModule(spec.module, cwd);
+  if (!_modules.has(url)) {
+    const mod = await import(url);
+    const fn = mod.extract || mod.default;
+    if (typeof fn !== 'function') throw new Error(`${spec.module} does not export extract()`);
+    _modules.set(url, fn);
+  }
+  return _modules.get(url);
+}
+
+// Paths are relative to the session directory; package names are looked up
+// from there too, then from this package.
+function resolveModule(specifier, cwd) {
+  const base = cwd || process.cwd();
+  if (specifier.startsWith('.') || isAbsolute(specifier)) {
+    return pathToFileURL(resolve(base, specifier)).href;
+  }
+  try {
+    return pathToFileURL(createRequire(join(base, 'noop.js')).resolve(specifier)).href;
+  } catch {
+    return specifier;
+  }
+}
+
+// Runs `run(signal)`, giving up after `ms`. The signal is aborted then, so an
+// extractor that honours it (the LLM one cancels its requests) does not keep
+// the hook process alive after its result was abandoned.
+function withTimeout(run, ms) {
+  const controller = new AbortController();
+  const value = run(controller.signal);
+  if (!ms || !(value instanceof Promise)) return Promise.resolve(value);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`timed out after ${ms}ms`);
+      reject(err);
+      controller.abort(err);
+    }, ms);
+  });
+  return Promise.race([value, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Custom extractors may return just { category, content } (plus optional
+// score, keywords, metadata); the rest is filled in here, and their name is
+// recorded in metadata.extractor. Their content is redacted like the built-in
+// extractors'. Invalid items are dropped.
+function normalizeMemories(result, name, ctx) {
+  if (!Array.isArray(result)) throw new Error('did not return an array');
+  const builtin = BUILTIN.has(name);
+  return result
+    .filter(m => m && CATEGORIES.includes(m.category) && typeof m.content === 'string' && m.content.trim())
+    .map(m => {
+      const clean = builtin ? { text: m.content, count: 0 } : redact(m.content, ctx.config);
+      const metadata = builtin ? m.metadata ?? null : { ...m.metadata, extractor: name };
+      if (clean.count > 0) metadata.redactions = clean.count;
+      return {
+        ...m,
+        content: clean.text,
+        project: m.project || ctx.project,
+        sessionId: m.sessionId || ctx.sessionId,
+        keywords: typeof m.keywords === 'string' && clean.count === 0 ? m.keywords : extractKeywords(clean.text),
+        score: typeof m.score === 'number' && m.score >= 0 && m.score <= 1 ? m.score : scoreMemory(m.category, clean.text),
+        sourceHash: m.sourceHash || createHash('sha256').update(`${name}:${m.content}`).digest('hex').slice(0, 16),
+        metadata,
+      };
+    });
+}
@@ -0,0 +1,116 @@
+import { readFileSync } from 'fs';
+import { isAbsolute } from 'path';
+import { extractKeywords } from './scorer.js';
+import { CATEGORIES } from './authoring.js';
+import { redactMemoryRow } from './redact.js';
+import { archivePolicy, filterFileChanges } from './exclusions.js';
+
+// Reads the JSON written by `ic export` (an array of memory rows) back into a
+// Store. Rows are validated and normalised here; Store.importRows does the
+// dedupe and insert. An export may come from a machine with other settings, so
+// rows go through the same exclusion policies and redaction as archived ones.
+
+export function parseRemap(specs) {
+  const remap = {};
+  for (const spec of [].concat(specs || [])) {
+    const idx = String(spec).lastIndexOf('=');
+    if (idx <= 0 || idx === spec.length - 1) throw new Error(`Invalid remap "${spec}", expected old=new`);
+    remap[spec.slice(0, idx)] = spec.slice(idx + 1);
+  }
+  return remap;
+}
+
+export function normalizeImportRows(data, { remap = {} } = {}) {
+  if (!Array.isArray(data)) throw new Error('Import data must be a JSON array of memories (the ic export format)');
+
+  const rows = [];
+  const invalid = [];
+  data.forEach((raw, index) => {
+    const reason = validateRow(raw);
+    if (reason) {
+      invalid.push({ index, reason });
+      return;
+    }
+    const project = Object.hasOwn(remap, raw.project) ? remap[raw.project] : raw.project;
+    rows.push({
+      id: Number.isInteger(raw.id) ? raw.id : null,
+      project,
+      session_id: typeof raw.session_id === 'string' && raw.session_id ? raw.session_id : 'import',
+      category: raw.category,
+      content: raw.content,
+      keywords: typeof raw.keywords === 'string' ? raw.keywords : extractKeywords(raw.content),
+      score: typeof raw.score === 'number' && raw.score >= 0 && raw.score <= 1 ? raw.score : 0.5,
+      created_at: validTimestamp(raw.created_at),
+      last_accessed: validTimestamp(raw.last_accessed ?? raw.created_at),
+      access_count: Number.isInteger(raw.access_count) && raw.access_count >= 0 ? raw.access_count : 0,
+      source_hash: typeof raw.source_hash === 'string' && raw.source_hash ? raw.source_hash : null,
+      metadata: normalizeMetadata(raw.metadata),
+      pinned: raw.pinned ? 1 : 0,
+      superseded_by: Number.isInteger(raw.superseded_by) ? raw.superseded_by : null,
+      subpath: typeof raw.subpath === 'string' ? raw.subpath : '',
+    });
+  });
+  return { rows, invalid };
+}
+
+export function importMemories(db, data, { remap = {}, dryRun = false } = {}) {
+  const { rows, invalid } = normalizeImportRows(data, { remap });
+  const allowed = applyArchivePolicies(rows);
+  let redacted = 0;
+  for (const row of allowed) {
+    const cleaned = redactMemoryRow(row);
+    if (!cleaned) continue;
+    redacted++;
+    row.content = cleaned.fields.content;
+    row.keywords = cleaned.fields.keywords;
+    if (cleaned.fields.metadata) row.metadata = JSON.stringify(cleaned.fields.metadata);
+  }
+  const result = db.importRows(allowed, { dryRun });
+  return { ...result, invalid: invalid.length, invalidRows: invalid, excluded: rows.length - allowed.length, redacted };
+}
+
+// Drops rows of excluded projects and file_change rows about excluded paths.
+// A project identity that is a path is also checked for a repository opt-out.
+function applyArchivePolicies(rows) {
+  const policies = new Map();
+  return rows.filter(row => {
+    if (!policies.has(row.project)) {
+      policies.set(row.project, archivePolicy(row.project, isAbsolute(row.project) ? row.project : null));
+    }
+    const policy = policies.get(row.project);
+    if (policy.excluded) return false;
+    let metadata = null;
+    try { metadata = row.metadata ? JSON.parse(row.metadata) : null; } catch {}
+    return filterFileChanges([{ ...row, metadata }], policy).memories.length > 0;
+  });
+}
+
+export function readImportFile(path) {
+  const text = readFileSync(path, 'utf-8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${path} is not valid JSON: ${err.message}`);
+  }
+}
+
+function validateRow(raw) {
+  if (!raw || typeof raw !== 'object') return 'not an object';
+  if (typeof raw.project !== 'string' || !raw.project) return 'missing project';
+  if (typeof raw.content !== 'string' || !raw.content.trim()) return 'missing content';
+  if (!CATEGORIES.includes(raw.category)) return `unknown category "${raw.category}"`;
+  return null;
+}
+
+function validTimestamp(value) {
+  if (typeof value !== 'string' || isNaN(Date.parse(value.replace(' ', 'T')))) {
+    return new Date().toISOString().replace('T', ' ').slice(0, 19);
+  }
+  return value;
+}
+
+function normalizeMetadata(value) {
+  if (value == null) return null;
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+}
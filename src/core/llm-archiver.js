@@ -1,6 +1,10 @@
 import { createHash } from 'crypto';
 import { extractKeywords } from './scorer.js';
 import { loadConfig } from './config.js';
+import { createProvider } from './llm-provider.js';
+import { findClusters } from './consolidator.js';
+import { parseLlmResponse } from './llm-response.js';
+import { redact } from './redact.js';
 
 const SYSTEM_PROMPT = `You are a context extraction assistant for a coding tool called "Infinite Context". Your job is to analyze a conversation transcript from a coding session and extract ONLY the most important information that should be remembered across sessions.
 
@@ -25,143 +29,209 @@ Rules:
 Respond with a JSON array ONLY, no other text:
 [{"category":"...","content":"...","importance":0.0}]
 
-importance is 0.0-1.0 where 1.0 = critical architectural decision, 0.1 = minor note.`;
-
-export async function extractMemoriesLLM(turns, project, sessionId) {
-  const cfg = loadConfig();
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+importance is 0.0-1.0 where 1.0 = critical architectural decision, 0.1 = minor note.
+
+If a decision reverses or replaces an earlier choice (e.g. "use Postgres instead of SQLite"), add "supersedes" with the replaced technology or approach in 1-3 words (e.g. "supersedes":"SQLite").`;
+
+// Long transcripts are split into chunks of up to llmMaxTranscriptChars, each
+// repeating the last llmChunkOverlapTurns turns of the one before, and run with
+// at most llmConcurrency requests in flight. No chunk starts after llmMaxChunks
+// or once llmBudgetMs is spent (so the hook's time limit holds); the turns from
+// the first chunk that did not complete go to `deferTurns`, and come back as
+// `pendingTurns` on the next archive run.
+//
+// A reply that is not valid JSON is repaired where possible; when it still has
+// problems, they are sent back to the model for a corrected reply (up to
+// llmRepairRetries times). Items that stay invalid are dropped. `recordStats`
+// receives { dropped, repaired, retries, invalid, errors } for the whole call,
+// and `recordCall` the usage of every request (see createProvider's onCall).
+// Aborting `signal` cancels the requests in flight and starts no more chunks.
+export async function extractMemoriesLLM(turns, project, sessionId, {
+  config = loadConfig(), pendingTurns = [], deferTurns = () => {}, recordStats = () => {}, recordCall = () => {},
+  signal = null,
+} = {}) {
+  const provider = createProvider(config, { onCall: recordCall });
+
+  const entries = [...pendingTurns, ...formatTurns(turns, config)];
+  if (entries.reduce((n, e) => n + e.text.length, 0) < 50) {
+    deferTurns([]);
+    return [];
+  }
 
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY not set — cannot use LLM extraction');
+  const stats = { dropped: 0, repaired: 0, retries: 0, invalid: 0, errors: [] };
+  const chunks = chunkTurns(entries, config.llmMaxTranscriptChars, config.llmChunkOverlapTurns);
+  const results = await mapChunks(chunks, config, signal, async (chunk, timeoutMs) => {
+    const reply = await completeValidated(provider, chunk.text, { retries: config.llmRepairRetries, timeoutMs, signal, stats });
+    const memories = toMemories(reply.items, project, sessionId, config);
+    // Attributed to the chunk's first turn, so a batch only counts as abandoned
+    // once the user rewinds past all of it
+    if (chunk.uuid) for (const m of memories) m.metadata.turnUuid = chunk.uuid;
+    return memories;
+  });
+
+  recordStats(stats);
+  // The turns from the first incomplete chunk on are deferred, so what later
+  // chunks in flight returned is left for the next run to extract again
+  const incomplete = results.findIndex(r => !r?.memories);
+  if (incomplete === 0) {
+    // The first chunk may not have started at all (aborted, or out of time)
+    throw results[0]?.error || new Error(signal?.aborted ? 'LLM extraction cancelled' : 'LLM time budget ran out before the first chunk');
   }
+  deferTurns(incomplete === -1 ? [] : entries.slice(chunks[incomplete].start));
+  const done = incomplete === -1 ? results : results.slice(0, incomplete);
+  return mergeChunkMemories(done.map(r => r.memories));
+}
 
-  const transcript = formatTurns(turns, cfg.llmMaxTranscriptChars);
-  if (!transcript || transcript.length < 50) {
-    return [];
+// The retries share the first request's time limit, so a chunk never takes
+// longer than the timeoutMs it was given.
+async function completeValidated(provider, prompt, { retries, timeoutMs, signal, stats }) {
+  const deadline = Date.now() + timeoutMs;
+  const messages = [{ role: 'user', content: prompt }];
+  const { text } = await provider.complete({ system: SYSTEM_PROMPT, messages, timeoutMs, signal });
+  let reply = parseLlmResponse(text);
+  let last = text;
+
+  for (let attempt = 0; attempt < retries && reply.errors.length > 0; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    messages.push({ role: 'assistant', content: last }, { role: 'user', content: correctionPrompt(reply.errors) });
+    stats.retries++;
+    try {
+      ({ text: last } = await provider.complete({ system: SYSTEM_PROMPT, messages, timeoutMs: remaining, signal }));
+    } catch {
+      break;
+    }
+    const retried = parseLlmResponse(last);
+    if (retried.items.length >= reply.items.length) reply = retried;
   }
 
-  const text = await callClaude(apiKey, cfg.llmModel, transcript);
-  return parseResponse(text, project, sessionId, cfg.llmModel);
+  if (reply.repaired) stats.repaired++;
+  if (reply.items.length === 0 && reply.dropped === 0 && reply.errors.length > 0) stats.invalid++;
+  stats.dropped += reply.dropped;
+  stats.errors.push(...reply.errors);
+  return reply;
 }
 
-function formatTurns(turns, maxChars) {
-  const parts = [];
-  let total = 0;
+function correctionPrompt(errors) {
+  return `Your reply could not be used as it is:\n${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\n`
+    + 'Reply again with ONLY the corrected JSON array, following the format from the instructions.';
+}
 
-  for (const turn of turns) {
-    if (total >= maxChars) break;
+// One { uuid, text } entry per turn that has something worth sending, with
+// secrets redacted before the text leaves the machine
+function formatTurns(turns, config) {
+  const entries = [];
 
+  for (const turn of turns) {
+    const parts = [];
     if (turn.userMessage?.text) {
       const cleaned = turn.userMessage.text.replace(/<task-notification>[\s\S]*?<\/task-notification>/g, '').trim();
       if (cleaned && cleaned.length > 5 && !/^<[a-z]/i.test(cleaned)) {
-        const line = `USER: ${cleaned.slice(0, 500)}`;
-        parts.push(line);
-        total += line.length;
+        parts.push(`USER: ${cleaned.slice(0, 500)}`);
       }
     }
 
     for (const msg of turn.assistantMessages || []) {
-      if (total >= maxChars) break;
-      if (msg.thinking) {
-        const line = `THINKING: ${msg.thinking.slice(0, 800)}`;
-        parts.push(line);
-        total += line.length;
-      }
-      if (msg.text) {
-        const line = `ASSISTANT: ${msg.text.slice(0, 1000)}`;
-        parts.push(line);
-        total += line.length;
-      }
+      if (msg.thinking) parts.push(`THINKING: ${msg.thinking.slice(0, 800)}`);
+      if (msg.text) parts.push(`ASSISTANT: ${msg.text.slice(0, 1000)}`);
     }
 
     for (const tc of turn.allToolCalls || []) {
-      if (total >= maxChars) break;
       const input = typeof tc.input === 'object' ? JSON.stringify(tc.input).slice(0, 200) : String(tc.input).slice(0, 200);
-      const line = `TOOL[${tc.name}]: ${input}`;
-      parts.push(line);
-      total += line.length;
+      parts.push(`TOOL[${tc.name}]: ${input}`);
     }
 
     for (const tr of turn.allToolResults || []) {
-      if (total >= maxChars) break;
-      if (tr.isError && tr.content) {
-        const line = `ERROR: ${tr.content.slice(0, 300)}`;
-        parts.push(line);
-        total += line.length;
-      }
+      if (tr.isError && tr.content) parts.push(`ERROR: ${tr.content.slice(0, 300)}`);
     }
+
+    if (parts.length > 0) entries.push({ uuid: turn.userMessage?.uuid || null, text: redact(parts.join('\n'), config).text });
   }
 
-  return parts.join('\n');
+  return entries;
 }
 
-async function callClaude(apiKey, model, transcript) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 25000);
-
-  try {
-    const resp = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      signal: controller.signal,
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model,
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: transcript }],
-        system: SYSTEM_PROMPT,
-      }),
-    });
-
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => '');
-      throw new Error(`Claude API ${resp.status}: ${body.slice(0, 200)}`);
+export function chunkTurns(entries, maxChars, overlap = 0) {
+  const chunks = [];
+  let start = 0;
+  while (start < entries.length) {
+    let end = start;
+    let size = 0;
+    while (end < entries.length && (end === start || size + entries[end].text.length + 1 <= maxChars)) {
+      size += entries[end].text.length + 1;
+      end++;
     }
-
-    const data = await resp.json();
-    return data.content?.[0]?.text || '';
-  } finally {
-    clearTimeout(timeout);
+    const text = entries.slice(start, end).map(e => e.text).join('\n').slice(0, maxChars);
+    chunks.push({ start, end, uuid: entries[start].uuid, text });
+    if (end >= entries.length) break;
+    start = Math.max(end - overlap, start + 1);
   }
+  return chunks;
 }
 
-function parseResponse(text, project, sessionId, model) {
-  let items;
-  try {
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (!jsonMatch) return [];
-    items = JSON.parse(jsonMatch[0]);
-  } catch {
-    return [];
-  }
-
-  if (!Array.isArray(items)) return [];
+// Runs `fn(chunk, timeoutMs)` over the chunks in order with bounded
+// concurrency, starting none after one failed; each result is { memories },
+// { error }, or undefined when the chunk was not started.
+async function mapChunks(chunks, cfg, signal, fn) {
+  const started = Date.now();
+  const limit = Math.min(chunks.length, cfg.llmMaxChunks);
+  const results = new Array(chunks.length).fill(undefined);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (next < limit) {
+      const remaining = cfg.llmBudgetMs - (Date.now() - started);
+      if (remaining <= 0 || signal?.aborted || failed) return;
+      const i = next++;
+      try {
+        results[i] = { memories: await fn(chunks[i], Math.min(cfg.llmTimeoutMs, remaining)) };
+      } catch (error) {
+        results[i] = { error };
+        failed = true;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(cfg.llmConcurrency, limit) }, worker));
+  return results;
+}
 
-  const validCategories = new Set(['architecture', 'decision', 'error', 'finding', 'file_change', 'note']);
+// Overlapping chunks see some turns twice: identical memories are dropped and
+// near-duplicates folded into the highest-scored one.
+function mergeChunkMemories(lists) {
+  const seen = new Set();
+  const memories = lists.flat().filter(m => !seen.has(m.sourceHash) && seen.add(m.sourceHash));
+  if (lists.length < 2) return memories;
+  const merged = new Set();
+  for (const cluster of findClusters(memories.map((m, id) => ({ ...m, id })))) {
+    for (const m of cluster.merged) merged.add(m.id);
+  }
+  return memories.filter((_, id) => !merged.has(id));
+}
 
+function toMemories(items, project, sessionId, config) {
+  const model = config.llmModel;
   return items
-    .filter(item =>
-      item &&
-      typeof item.content === 'string' &&
-      item.content.length >= 10 &&
-      validCategories.has(item.category)
-    )
     .slice(0, 15)
-    .map(item => ({
-      project,
-      sessionId,
-      category: item.category,
-      content: item.content.slice(0, 500),
-      keywords: extractKeywords(item.content),
-      score: typeof item.importance === 'number'
-        ? Math.min(Math.max(item.importance, 0.1), 1.0)
-        : 0.5,
-      sourceHash: hashText(item.content),
-      metadata: { source: 'llm', model },
-    }));
+    .map(item => {
+      const clean = redact(item.content, config);
+      const metadata = typeof item.supersedes === 'string' && item.supersedes.trim()
+        ? { source: 'llm', model, replaces: [item.supersedes.trim().toLowerCase().slice(0, 60)] }
+        : { source: 'llm', model };
+      if (clean.count > 0) metadata.redactions = clean.count;
+      return {
+        project,
+        sessionId,
+        category: item.category,
+        content: clean.text.slice(0, 500),
+        keywords: extractKeywords(clean.text),
+        score: typeof item.importance === 'number'
+          ? Math.min(Math.max(item.importance, 0.1), 1.0)
+          : 0.5,
+        sourceHash: hashText(item.content),
+        metadata,
+      };
+    });
 }
 
 function hashText(text) {
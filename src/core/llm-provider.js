@@ -0,0 +1,136 @@
+import { loadConfig } from './config.js';
+
+// Request formats the LLM extractor can speak. Each builds the HTTP request
+// for a system + user prompt and reads the text and token usage back.
+const FORMATS = {
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    authHeader: 'x-api-key',
+    path: '/v1/messages',
+    headers: { 'anthropic-version': '2023-06-01' },
+    body: ({ model, system, messages, maxTokens }) => ({ model, max_tokens: maxTokens, system, messages }),
+    parse: data => ({
+      text: data.content?.find(block => block.type === 'text')?.text ?? data.content?.[0]?.text ?? '',
+      usage: { inputTokens: data.usage?.input_tokens ?? null, outputTokens: data.usage?.output_tokens ?? null },
+    }),
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    authHeader: 'authorization',
+    path: '/chat/completions',
+    headers: {},
+    body: ({ model, system, messages, maxTokens }) => ({
+      model, max_tokens: maxTokens, messages: [{ role: 'system', content: system }, ...messages],
+    }),
+    parse: data => ({
+      text: data.choices?.[0]?.message?.content || '',
+      usage: { inputTokens: data.usage?.prompt_tokens ?? null, outputTokens: data.usage?.completion_tokens ?? null },
+    }),
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    apiKeyEnv: null,
+    authHeader: 'authorization',
+    path: '/api/chat',
+    headers: {},
+    body: ({ model, system, messages, maxTokens }) => ({
+      model, stream: false, options: { num_predict: maxTokens },
+      messages: [{ role: 'system', content: system }, ...messages],
+    }),
+    parse: data => ({
+      text: data.message?.content || '',
+      usage: { inputTokens: data.prompt_eval_count ?? null, outputTokens: data.eval_count ?? null },
+    }),
+  },
+};
+
+export const LLM_PROVIDERS = Object.keys(FORMATS);
+
+// Why the configured provider cannot be used (unknown, or its API key is not
+// set), or null
+export function providerUnavailable(cfg = loadConfig()) {
+  const format = FORMATS[cfg.llmProvider];
+  if (!format) return `Unknown LLM provider "${cfg.llmProvider}" (expected ${LLM_PROVIDERS.join(', ')})`;
+  const apiKeyEnv = cfg.llmApiKeyEnv || format.apiKeyEnv;
+  if (apiKeyEnv && !process.env[apiKeyEnv] && cfg.llmProvider !== 'ollama') {
+    return `${apiKeyEnv} not set — cannot use LLM extraction`;
+  }
+  return null;
+}
+
+// A provider for the configured endpoint: `complete({ system, prompt,
+// maxTokens, timeoutMs })` resolves to { text, usage: { inputTokens, outputTokens } }.
+// `messages` ([{ role: 'user' | 'assistant', content }]) replaces `prompt` for
+// a multi-turn exchange. The key is read from `llmApiKeyEnv` and sent in
+// `llmAuthHeader` ("Bearer" prefixed for Authorization); only the Ollama
+// format works without one. `onCall` gets { provider, model, status,
+// inputTokens, outputTokens, latencyMs, error } after every request, status
+// being 'ok', 'error' or 'timeout'.
+export function createProvider(cfg = loadConfig(), { onCall = () => {} } = {}) {
+  const unavailable = providerUnavailable(cfg);
+  if (unavailable) throw new Error(unavailable);
+  const format = FORMATS[cfg.llmProvider];
+  const baseUrl = (cfg.llmBaseUrl || format.baseUrl).replace(/\/+$/, '');
+  const apiKeyEnv = cfg.llmApiKeyEnv || format.apiKeyEnv;
+  const authHeader = (cfg.llmAuthHeader || format.authHeader).toLowerCase();
+  const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : null;
+
+  return {
+    name: cfg.llmProvider,
+    model: cfg.llmModel,
+    url: baseUrl + format.path,
+    async complete({ system, prompt, messages = [{ role: 'user', content: prompt }], maxTokens = 2048, timeoutMs = cfg.llmTimeoutMs, signal = null }) {
+      const headers = { 'Content-Type': 'application/json', ...format.headers };
+      if (apiKey) headers[authHeader] = authHeader === 'authorization' ? `Bearer ${apiKey}` : apiKey;
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), timeoutMs);
+      const cancel = () => controller.abort();
+      signal?.addEventListener('abort', cancel, { once: true });
+      if (signal?.aborted) cancel();
+      const started = Date.now();
+      const report = (status, usage = {}, error = null) => {
+        try {
+          onCall({
+            provider: cfg.llmProvider, model: cfg.llmModel, status,
+            inputTokens: usage.inputTokens ?? null, outputTokens: usage.outputTokens ?? null,
+            latencyMs: Date.now() - started, error,
+          });
+        } catch {}
+      };
+      try {
+        const resp = await fetch(baseUrl + format.path, {
+          method: 'POST',
+          signal: controller.signal,
+          headers,
+          body: JSON.stringify(format.body({ model: cfg.llmModel, system, messages, maxTokens })),
+        });
+        if (!resp.ok) {
+          const body = await resp.text().catch(() => '');
+          throw new Error(`${cfg.llmProvider} API ${resp.status}: ${body.slice(0, 200)}`);
+        }
+        const result = format.parse(await resp.json());
+        report('ok', result.usage);
+        return result;
+      } catch (err) {
+        if (err.name === 'AbortError' && signal?.aborted) {
+          const cancelled = new Error(`${cfg.llmProvider} API request cancelled`);
+          report('error', {}, cancelled.message);
+          throw cancelled;
+        }
+        if (err.name === 'AbortError') {
+          const timedOut = new Error(`${cfg.llmProvider} API timed out after ${timeoutMs}ms`);
+          report('timeout', {}, timedOut.message);
+          throw timedOut;
+        }
+        report('error', {}, err.message);
+        throw err;
+      } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', cancel);
+      }
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// Parsing and validation of the LLM extractor's JSON reply: an array of
+// { category, content, importance?, supersedes? } items.
+
+export const LLM_CATEGORIES = ['architecture', 'decision', 'error', 'finding', 'file_change', 'note'];
+
+// Problems with one item, empty when it is valid
+export function validateMemoryItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return ['not an object'];
+  const problems = [];
+  if (!LLM_CATEGORIES.includes(item.category)) {
+    problems.push(`category must be one of ${LLM_CATEGORIES.join(', ')} (got ${JSON.stringify(item.category)})`);
+  }
+  if (typeof item.content !== 'string') problems.push('content must be a string');
+  else if (item.content.trim().length < 10) problems.push('content must be at least 10 characters');
+  if (item.importance !== undefined
+    && (typeof item.importance !== 'number' || !(item.importance >= 0 && item.importance <= 1))) {
+    problems.push('importance must be a number from 0 to 1');
+  }
+  if (item.supersedes !== undefined && item.supersedes !== null && typeof item.supersedes !== 'string') {
+    problems.push('supersedes must be a string');
+  }
+  return problems;
+}
+
+// Best-effort fix of the usual model slips: code fences, prose around the
+// array, trailing commas, and an array cut off mid-item (the complete items are
+// kept). Returns null when there is no array at all.
+export function repairJson(text) {
+  const source = String(text).replace(/```[a-z]*[ \t]*\r?\n?/gi, '');
+  const start = source.indexOf('[');
+  if (start === -1) return null;
+
+  let out = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let lastItemEnd = -1;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    if (ch === ',' && closesNext(source, i + 1)) continue;
+    if (ch === '[' || ch === '{') depth++;
+    if (ch === ']' || ch === '}') depth--;
+    out += ch;
+    if (depth === 0) return out;
+    if (depth === 1 && ch === '}') lastItemEnd = out.length;
+  }
+  return lastItemEnd === -1 ? '[]' : `${out.slice(0, lastItemEnd)}]`;
+}
+
+function closesNext(text, from) {
+  for (let i = from; i < text.length; i++) {
+    if (/\s/.test(text[i])) continue;
+    return text[i] === ']' || text[i] === '}';
+  }
+  return false;
+}
+
+// { items, errors, dropped, repaired }: the valid items, one message per
+// problem (a reply that is not a usable array, or an invalid item), how many
+// items were dropped, and whether the JSON needed repairing.
+export function parseLlmResponse(text) {
+  const result = { items: [], errors: [], dropped: 0, repaired: false };
+  let raw;
+  try {
+    const match = String(text).match(/\[[\s\S]*\]/);
+    if (!match) throw new Error();
+    raw = JSON.parse(match[0]);
+  } catch {
+    const fixed = repairJson(text);
+    if (fixed === null) {
+      result.errors.push('reply contains no JSON array');
+      return result;
+    }
+    try {
+      raw = JSON.parse(fixed);
+      result.repaired = true;
+    } catch (err) {
+      result.errors.push(`reply is not valid JSON: ${err.message}`);
+      return result;
+    }
+  }
+  if (!Array.isArray(raw)) {
+    result.errors.push('reply is not a JSON array');
+    return result;
+  }
+
+  for (const [i, item] of raw.entries()) {
+    const problems = validateMemoryItem(item);
+    if (problems.length === 0) {
+      result.items.push(item);
+      continue;
+    }
+    result.dropped++;
+    result.errors.push(`item ${i}: ${problems.join('; ')}`);
+  }
+  return result;
+}
@@ -0,0 +1,151 @@
+import { existsSync, readFileSync, statSync } from 'fs';
+import { resolve, dirname, join, isAbsolute, relative, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { loadConfig, resolveDataPath } from './config.js';
+
+// Project identity. Memories are keyed by the string returned here rather than
+// the raw cwd, so a renamed checkout, a second clone or a git worktree can share
+// one memory pool. Resolvers: 'path' (the cwd as-is, default), 'git' (remote URL,
+// else the main repository root, else the path), or a module exporting
+// resolveProject(cwd). The `aliases` config map is applied last.
+
+// Memories stored under this key apply to every project (see getScopedMemories)
+export const GLOBAL_PROJECT = '@global';
+
+const _cache = new Map();
+let _custom = null;
+
+export function resolveProject(cwd) {
+  if (!cwd) return cwd;
+  const cfg = loadConfig();
+  const key = `${cfg.projectResolver}\u0000${cwd}`;
+  if (!_cache.has(key)) {
+    let id = cwd;
+    try {
+      if (_custom) id = _custom(cwd) || cwd;
+      else if (cfg.projectResolver === 'git') id = resolveGitProject(cwd) || cwd;
+    } catch {
+      id = cwd;
+    }
+    _cache.set(key, id);
+  }
+  const id = _cache.get(key);
+  if (Object.hasOwn(cfg.aliases, id)) return cfg.aliases[id];
+  if (Object.hasOwn(cfg.aliases, cwd)) return cfg.aliases[cwd];
+  return id;
+}
+
+// Hierarchical scope for a working directory: the project itself, the path of
+// the cwd inside it (git resolver only) and the identities of enclosing
+// directories, nearest first, whose memories are inherited at lower weight.
+export function resolveScope(cwd) {
+  if (!cwd) return null;
+  const cfg = loadConfig();
+  const project = resolveProject(cwd);
+  let root = resolve(cwd);
+  let subpath = '';
+  if (!_custom && cfg.projectResolver === 'git') {
+    const found = findGitDir(cwd);
+    if (found) {
+      root = found.worktree;
+      subpath = relative(root, resolve(cwd)).split(sep).join('/');
+    }
+  }
+
+  const ancestors = [];
+  const seen = new Set([project]);
+  let depth = 1;
+  for (let dir = dirname(root); dir !== dirname(dir); dir = dirname(dir)) {
+    const id = resolveProject(dir);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    ancestors.push({ project: id, depth: depth++ });
+  }
+  return { project, subpath, ancestors };
+}
+
+export function registerProjectResolver(fn) {
+  if (fn && typeof fn !== 'function') throw new Error('Project resolver must be a function (cwd) => string');
+  _custom = fn || null;
+  _cache.clear();
+}
+
+export async function loadProjectResolver() {
+  const cfg = loadConfig();
+  if (_custom || cfg.projectResolver === 'path' || cfg.projectResolver === 'git') return;
+  const mod = await import(pathToFileURL(resolveDataPath(cfg.projectResolver)).href);
+  const fn = mod.resolveProject || mod.default;
+  if (typeof fn !== 'function') {
+    throw new Error(`${cfg.projectResolver} does not export resolveProject()`);
+  }
+  registerProjectResolver(fn);
+}
+
+export function resolveGitProject(cwd) {
+  const found = findGitDir(cwd);
+  if (!found) return null;
+  const commonDir = readCommonDir(found.gitDir);
+  const remote = readRemoteUrl(join(commonDir, 'config'));
+  if (remote) return normalizeRemoteUrl(remote);
+  // No remote: worktrees share the main checkout's identity
+  return dirname(commonDir);
+}
+
+export function normalizeRemoteUrl(url) {
+  let u = url.trim();
+  const scp = u.match(/^([^@/:]+@)?([^/:]+):(?!\/)(.+)$/);
+  if (scp && !/^[a-z]+:\/\//i.test(u)) {
+    u = `${scp[2]}/${scp[3]}`;
+  } else {
+    u = u.replace(/^[a-z+]+:\/\//i, '').replace(/^[^@/]+@/, '');
+  }
+  u = u.replace(/\.git\/?$/, '').replace(/\/+$/, '');
+  const slash = u.indexOf('/');
+  const host = (slash === -1 ? u : u.slice(0, slash)).toLowerCase().replace(/:\d+$/, '');
+  return slash === -1 ? host : host + u.slice(slash);
+}
+
+// Claude Code stores transcripts under ~/.claude/projects/<slug of cwd>/
+export function transcriptSlug(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+export function clearProjectCache() {
+  _cache.clear();
+}
+
+function findGitDir(start) {
+  let dir = resolve(start);
+  for (;;) {
+    const candidate = join(dir, '.git');
+    if (existsSync(candidate)) {
+      if (statSync(candidate).isDirectory()) return { worktree: dir, gitDir: candidate };
+      const m = readFileSync(candidate, 'utf-8').match(/^gitdir:\s*(.+)$/m);
+      if (m) return { worktree: dir, gitDir: isAbsolute(m[1].trim()) ? m[1].trim() : resolve(dir, m[1].trim()) };
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function readCommonDir(gitDir) {
+  const file = join(gitDir, 'commondir');
+  if (!existsSync(file)) return gitDir;
+  const rel = readFileSync(file, 'utf-8').trim();
+  return isAbsolute(rel) ? rel : resolve(gitDir, rel);
+}
+
+function readRemoteUrl(configPath) {
+  if (!existsSync(configPath)) return null;
+  const remotes = {};
+  let current = null;
+  for (const line of readFileSync(configPath, 'utf-8').split('\n')) {
+    const section = line.match(/^\s*\[\s*remote\s+"([^"]+)"\s*\]/);
+    if (section) { current = section[1]; continue; }
+    if (/^\s*\[/.test(line)) { current = null; continue; }
+    const url = current && line.match(/^\s*url\s*=\s*(.+?)\s*$/);
+    if (url && !remotes[current]) remotes[current] = url[1];
+  }
+  return remotes.origin || Object.values(remotes)[0] || null;
+}
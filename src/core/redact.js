@@ -0,0 +1,195 @@
+import { loadConfig } from './config.js';
+import { extractKeywords } from './scorer.js';
+
+// Built-in detectors, most specific first. A match is replaced with
+// `[REDACTED:<name>]`; `keep` names the groups (prefix, suffix) left in place.
+const DETECTORS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: 'stripe-key', pattern: /\b[rsp]k_(?:live|test)_[A-Za-z0-9]{16,}/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: 'bearer-token', pattern: /(\b(?:Bearer|Basic|Token)\s+)([A-Za-z0-9._~+/-]{16,}=*)/gi, keep: [1] },
+  { name: 'url-credentials', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)((?!\[REDACTED:[a-z-]+\]@)[^\s@/]+)(@)/gi, keep: [1, 3] },
+  // .env lines and exported variables: AWS_SECRET_ACCESS_KEY=..., GITHUB_TOKEN: ...
+  {
+    name: 'env-secret',
+    pattern: /(\b(?:[A-Z][A-Z0-9_]*)?(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*[=:]\s*["']?)((?!\[REDACTED|\d+\b)[^\s"'`]{6,})/g,
+    keep: [1],
+  },
+  {
+    name: 'password',
+    pattern: /(\b(?:pass(?:word|wd)?|secret|api[_-]?key|auth[_-]?token|access[_-]?token)["']?\s*[=:]\s*["'])((?!\[REDACTED)[^"'\s]{4,})(["'])/gi,
+    keep: [1, 3],
+  },
+  { name: 'email', pattern: /(?<![\w.%+-])(?!git@)[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { name: 'high-entropy', pattern: /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/=_-]{32,}/g, test: isHighEntropy },
+];
+
+export const DETECTOR_NAMES = DETECTORS.map(d => d.name);
+
+// Long mixed-case tokens with base64-like entropy. Hex digests and UUIDs stay
+// below the entropy threshold; camelCase identifiers are told apart by their
+// long runs of lowercase letters, and paths by their plain-word directories.
+function isHighEntropy(token) {
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token)) return false;
+  if (token.split('/').filter(part => /^[a-z]{2,}(?:[-_.][a-z0-9]+)*$/.test(part)).length >= 2) return false;
+  const segments = token.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])|\d+/g);
+  if (segments.join('').length / segments.length >= 3.3) return false;
+  const counts = new Map();
+  for (const ch of token) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const n of counts.values()) entropy -= (n / token.length) * Math.log2(n / token.length);
+  return entropy >= 4.3;
+}
+
+// A redactor for the built-in detectors (minus `redactionSkip`) plus
+// `redactionPatterns` (regex strings or { name, pattern, flags }). Invalid
+// patterns are skipped and reported in `errors`. `redact(text)` returns
+// { text, count, kinds: { <detector>: n } }; with `redaction: false` it
+// changes nothing.
+export function createRedactor(cfg = loadConfig()) {
+  const errors = [];
+  const skip = new Set(Array.isArray(cfg.redactionSkip) ? cfg.redactionSkip : []);
+  const detectors = cfg.redaction === false ? [] : DETECTORS.filter(d => !skip.has(d.name));
+  if (cfg.redaction !== false) {
+    for (const [i, entry] of (Array.isArray(cfg.redactionPatterns) ? cfg.redactionPatterns : []).entries()) {
+      const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+      try {
+        if (!spec || typeof spec.pattern !== 'string' || !spec.pattern) throw new Error('pattern must be a non-empty string');
+        const flags = typeof spec.flags === 'string' ? spec.flags : '';
+        const pattern = new RegExp(spec.pattern, flags.includes('g') ? flags : `${flags}g`);
+        if (pattern.test('')) throw new Error('pattern matches the empty string');
+        pattern.lastIndex = 0;
+        detectors.push({ name: typeof spec.name === 'string' && spec.name ? spec.name : 'custom', pattern });
+      } catch (err) {
+        errors.push(`redactionPatterns[${i}]: ${err.message}`);
+      }
+    }
+  }
+
+  return {
+    errors,
+    redact(text) {
+      if (typeof text !== 'string' || !text || detectors.length === 0) return { text, count: 0, kinds: {} };
+      let out = text;
+      let count = 0;
+      const kinds = {};
+      for (const { name, pattern, keep = [], test } of detectors) {
+        out = out.replace(pattern, (match, ...groups) => {
+          if (test && !test(match)) return match;
+          count++;
+          kinds[name] = (kinds[name] || 0) + 1;
+          const at = i => (keep.includes(i) ? groups[i - 1] ?? '' : '');
+          return `${at(1)}[REDACTED:${name}]${keep.filter(i => i > 1).map(at).join('')}`;
+        });
+      }
+      return { text: out, count, kinds };
+    },
+  };
+}
+
+let _cached = { key: null, redactor: null };
+
+// Redacts with the configured redactor, rebuilt only when the settings change
+export function redact(text, cfg = loadConfig()) {
+  return configuredRedactor(cfg).redact(text);
+}
+
+// Redacts one memory row (content, keywords, metadata as JSON) with the
+// configured redactor: { fields, count, kinds }, or null when nothing matched
+export function redactMemoryRow(row, cfg = loadConfig()) {
+  return redactRow(row, configuredRedactor(cfg));
+}
+
+function configuredRedactor(cfg) {
+  const key = JSON.stringify([cfg.redaction, cfg.redactionPatterns, cfg.redactionSkip]);
+  if (_cached.key !== key) _cached = { key, redactor: createRedactor(cfg) };
+  return _cached.redactor;
+}
+
+// Retro-redacts stored memories (content, metadata strings; keywords are
+// rebuilt from the cleaned content) and the rows kept in the merge log.
+// metadata.redactions counts what was removed. With `dryRun` nothing is written.
+export function scanMemories(db, { project = null, dryRun = false, cfg = loadConfig() } = {}) {
+  const redactor = createRedactor(cfg);
+  const summary = { scanned: 0, redacted: 0, secrets: 0, kinds: {}, ids: [], mergeRows: 0, errors: redactor.errors };
+  const tally = kinds => {
+    for (const [name, n] of Object.entries(kinds)) summary.kinds[name] = (summary.kinds[name] || 0) + n;
+  };
+
+  for (const row of db.exportAll(project)) {
+    summary.scanned++;
+    const cleaned = redactRow(row, redactor);
+    if (!cleaned) continue;
+    summary.redacted++;
+    summary.secrets += cleaned.count;
+    summary.ids.push(row.id);
+    tally(cleaned.kinds);
+    if (!dryRun) db.updateMemory(row.id, cleaned.fields);
+  }
+
+  for (const entry of db.getMergeLog(project, -1)) {
+    let rows;
+    try { rows = JSON.parse(entry.merged_rows); } catch { continue; }
+    if (!Array.isArray(rows)) continue;
+    let changed = false;
+    const next = rows.map(r => {
+      const cleaned = r && typeof r === 'object' ? redactRow(r, redactor) : null;
+      if (!cleaned) return r;
+      changed = true;
+      summary.secrets += cleaned.count;
+      tally(cleaned.kinds);
+      const { metadata, ...fields } = cleaned.fields;
+      return { ...r, ...fields, ...(metadata !== undefined && { metadata: JSON.stringify(metadata) }) };
+    });
+    if (!changed) continue;
+    summary.mergeRows++;
+    if (!dryRun) db.setMergeRows(entry.id, next);
+  }
+  return summary;
+}
+
+// The cleaned { content, keywords, metadata? } of a stored row, or null when
+// there was nothing to redact. A secret that only survives in the keywords
+// is dropped by rebuilding them from the content.
+function redactRow(row, redactor) {
+  const content = redactor.redact(row.content);
+  const keywords = redactor.redact(row.keywords || '');
+  let metadata = null;
+  try { metadata = row.metadata ? JSON.parse(row.metadata) : null; } catch {}
+  const meta = redactValues(metadata, redactor);
+  const count = content.count + meta.count;
+  if (count + keywords.count === 0) return null;
+
+  const kinds = { ...content.kinds };
+  for (const [name, n] of Object.entries(meta.kinds)) kinds[name] = (kinds[name] || 0) + n;
+  const fields = { content: content.text, keywords: extractKeywords(content.text) };
+  if (count > 0) {
+    const base = meta.value && typeof meta.value === 'object' && !Array.isArray(meta.value) ? meta.value : {};
+    fields.metadata = { ...base, redactions: (Number(metadata?.redactions) || 0) + count };
+  }
+  return { fields, count, kinds };
+}
+
+function redactValues(value, redactor) {
+  if (typeof value === 'string') {
+    const { text, count, kinds } = redactor.redact(value);
+    return { value: text, count, kinds };
+  }
+  if (!value || typeof value !== 'object') return { value, count: 0, kinds: {} };
+  let count = 0;
+  const kinds = {};
+  const out = Array.isArray(value) ? [] : {};
+  for (const [k, v] of Object.entries(value)) {
+    const r = redactValues(v, redactor);
+    out[k] = r.value;
+    count += r.count;
+    for (const [name, n] of Object.entries(r.kinds)) kinds[name] = (kinds[name] || 0) + n;
+  }
+  return { value: out, count, kinds };
+}
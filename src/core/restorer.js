@@ -1,5 +1,6 @@
 import { computeImportance, estimateTokens } from './scorer.js';
 import { loadConfig } from './config.js';
+import { GLOBAL_PROJECT } from './project.js';
 
 export function restoreContext(memories, budget) {
   const cfg = loadConfig();
@@ -9,7 +10,8 @@ export function restoreContext(memories, budget) {
 
   const now = Date.now();
   const ranked = memories
-    .map(m => ({ ...m, importance: computeImportance(m, now) }))
+    .filter(m => !m.superseded_by)
+    .map(m => ({ ...m, importance: computeImportance(m, now) * (m.scope_weight ?? 1) }))
     .sort((a, b) => b.importance - a.importance);
 
   const groups = {
@@ -19,6 +21,7 @@ export function restoreContext(memories, budget) {
     finding: [],
     file_change: [],
     note: [],
+    global: [],
   };
 
   let totalTokens = 0;
@@ -28,14 +31,14 @@ export function restoreContext(memories, budget) {
   const seenCategories = new Set();
   const sectionHeaderTokens = estimateTokens('### Category Label\n');
 
-  for (const m of ranked) {
-    const cat = groups[m.category] ? m.category : 'note';
+  const take = (m, limit) => {
+    const cat = m.project === GLOBAL_PROJECT ? 'global' : groups[m.category] ? m.category : 'note';
     let extra = 0;
     if (!seenCategories.has(cat)) {
       extra = sectionHeaderTokens;
     }
     const lineTokens = estimateTokens(`- ${m.content}\n`);
-    if (totalTokens + lineTokens + extra > maxTokens) break;
+    if (totalTokens + lineTokens + extra > limit) return false;
 
     if (!seenCategories.has(cat)) {
       seenCategories.add(cat);
@@ -44,6 +47,24 @@ export function restoreContext(memories, budget) {
     groups[cat].push(m);
     totalTokens += lineTokens;
     restoredIds.push(m.id);
+    return true;
+  };
+
+  // Pinned memories go first, within their reserved slice of the budget, then
+  // global memories up to their share; project memories fill the remainder.
+  const pinnedBudget = Math.floor(maxTokens * cfg.pinnedRestoreFraction);
+  const rest = [];
+  for (const m of ranked) {
+    if (!m.pinned || !take(m, pinnedBudget)) rest.push(m);
+  }
+  const globalLimit = Math.min(maxTokens, totalTokens + Math.floor(maxTokens * cfg.globalRestoreFraction));
+  const local = [];
+  for (const m of rest) {
+    if (m.project !== GLOBAL_PROJECT) local.push(m);
+    else take(m, globalLimit);
+  }
+  for (const m of local) {
+    if (!take(m, maxTokens)) break;
   }
 
   const sections = [];
@@ -55,6 +76,7 @@ export function restoreContext(memories, budget) {
     finding: 'Findings',
     file_change: 'Files Modified',
     note: 'Notes',
+    global: 'Global (all projects)',
   };
 
   for (const [cat, label] of Object.entries(categoryLabels)) {
@@ -80,7 +102,9 @@ export function recallForPrompt(searchResults) {
   const ids = [];
 
   for (const m of searchResults) {
-    lines.push(`- [${m.category}] ${m.content}`);
+    const note = m.superseded_by ? ` (superseded by #${m.superseded_by})` : '';
+    const tag = m.project === GLOBAL_PROJECT ? `global ${m.category}` : m.category;
+    lines.push(`- [${tag}] ${m.content}${note}`);
     ids.push(m.id);
   }
 
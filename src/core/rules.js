@@ -0,0 +1,195 @@
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { loadConfig } from './config.js';
+import { CATEGORIES } from './authoring.js';
+
+const PACK_EXTENSIONS = ['.json', '.js', '.mjs'];
+const PATTERN_LISTS = { commands: 'note', decisions: 'decision', noise: null, architecture: 'architecture' };
+const PACK_KEYS = new Set(['name', 'scores', ...Object.keys(PATTERN_LISTS)]);
+
+const BUILTIN_PACK = {
+  commands: [
+    { pattern: 'npm\\s+(install|uninstall|init|run|test)', flags: '' },
+    { pattern: 'pip\\s+(install|uninstall)', flags: '' },
+    { pattern: 'git\\s+(init|clone|checkout|merge|rebase|tag)', flags: '' },
+    { pattern: 'docker\\s+(build|run|compose|push|pull)', flags: '' },
+    { pattern: 'cargo\\s+(build|run|test|add)', flags: '' },
+    { pattern: 'make\\b', flags: '' },
+    { pattern: 'createdb|dropdb|psql|mysql|mongo', flags: '' },
+    { pattern: 'curl\\s+.*(-X|--request)\\s+(POST|PUT|DELETE|PATCH)', flags: '' },
+    { pattern: 'mkdir\\s+-p', flags: '' },
+    { pattern: 'chmod|chown', flags: '' },
+    { pattern: 'systemctl|service', flags: '' },
+    { pattern: 'ssh\\s+', flags: '' },
+  ],
+  decisions: [
+    "\\b(i'll|i will|let's|let me|we should|we'll|the approach|instead of|rather than|decided to|choosing|going with|opted for)\\b",
+  ],
+  noise: [
+    "\\b(i'll read|i'll check|let me read|let me look|let me search|let me check)\\b",
+    '^now\\s+(let|i)',
+    '^(good|great|perfect|alright|ok|excellent|nice|sure)\\b',
+    '^(here|this|that|these|those)\\s+(is|are|shows|looks|seems)',
+    '^no\\s+action\\s+needed',
+    '^all\\s+\\d+\\s+tests?\\s+pass',
+    'task\\s+(as\\s+)?(completed|done|finished)',
+    'let\\s+me\\s+(mark|share|send|notify|report|acknowledge|respond|quick)',
+    "^i('ll|'m\\s+going\\s+to)\\s+(start|begin|continue|proceed|move\\s+on|now)\\b",
+    '^i\\s+have\\s+(a\\s+thorough|all|now|the)\\b',
+    "^(let me|i'll)\\s+(create|write|build|implement|add|make|run|execute|generate)\\s+(the|this|that|it)\\b",
+  ],
+  architecture: [
+    '\\b(architecture|design pattern|module structure|interface design|abstraction layer|separation of concerns|dependency injection|coupling|cohesion|trade.?off|strategy pattern|refactor(ing)?|migration plan|schema design|database design|api design|data model|state management|caching strategy|message queue|middleware|microservice|monolith|event.?driven|pub.?sub|clean architecture|domain.?driven|bounded context|service layer|repository pattern)\\b',
+  ],
+};
+
+export const DEFAULT_RULES = compilePacks([{ file: '(built-in)', pack: BUILTIN_PACK }]).rules;
+
+// Rule packs from <dataDir>/rules/ (alphabetical), then the nearest
+// `.infinite-context/rules.json` at or above `cwd`.
+export function rulePackFiles(cwd) {
+  const files = [];
+  const dir = join(loadConfig().dataDir, 'rules');
+  if (existsSync(dir)) {
+    for (const name of readdirSync(dir).sort()) {
+      if (PACK_EXTENSIONS.includes(extname(name))) files.push(join(dir, name));
+    }
+  }
+  const { file } = findRepoPack(cwd);
+  if (file) files.push(file);
+  return files;
+}
+
+// A repository's pack is only ever JSON: running JS modules from whatever
+// repository a session happens to be in would execute its code. A JS pack
+// there is reported as `ignored` instead.
+function findRepoPack(cwd) {
+  for (let cur = cwd; cur; ) {
+    const file = join(cur, '.infinite-context', 'rules.json');
+    if (existsSync(file)) return { file, ignored: null };
+    const ignored = ['.js', '.mjs'].map(ext => join(cur, '.infinite-context', `rules${ext}`)).find(existsSync);
+    if (ignored) return { file: null, ignored };
+    const parent = dirname(cur);
+    cur = parent === cur ? null : parent;
+  }
+  return { file: null, ignored: null };
+}
+
+// Built-in rules extended by every pack that applies to `cwd`. Invalid packs
+// and entries are skipped and reported in `errors` ("<file>: <problem>").
+export async function loadRules(cwd) {
+  const packs = [{ file: '(built-in)', pack: BUILTIN_PACK }];
+  const errors = [];
+  const { ignored } = findRepoPack(cwd);
+  if (ignored) errors.push(`${ignored}: not loaded, JS rule packs only load from ${join(loadConfig().dataDir, 'rules')} (use rules.json)`);
+  for (const file of rulePackFiles(cwd)) {
+    try {
+      packs.push({ file, pack: await readPack(file) });
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+  const compiled = compilePacks(packs);
+  return { ...compiled, errors: [...errors, ...compiled.errors] };
+}
+
+async function readPack(file) {
+  if (extname(file) === '.json') return JSON.parse(readFileSync(file, 'utf-8'));
+  const mod = await import(pathToFileURL(file).href);
+  if (!mod.default) throw new Error('module has no default export');
+  return mod.default;
+}
+
+function compilePacks(packs) {
+  const rules = { commands: [], decisions: [], noise: [], architecture: [], scores: {} };
+  const errors = [];
+  const loaded = [];
+
+  for (const { file, pack } of packs) {
+    const problem = msg => errors.push(`${file}: ${msg}`);
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      problem('a rule pack must be an object');
+      continue;
+    }
+    const counts = {};
+    for (const key of Object.keys(pack)) {
+      if (!PACK_KEYS.has(key)) problem(`unknown key "${key}"`);
+    }
+
+    for (const [list, defaultCategory] of Object.entries(PATTERN_LISTS)) {
+      if (pack[list] === undefined) continue;
+      if (!Array.isArray(pack[list])) {
+        problem(`${list} must be an array`);
+        continue;
+      }
+      counts[list] = 0;
+      pack[list].forEach((entry, i) => {
+        try {
+          const rule = compileRule(entry, defaultCategory);
+          rules[list].push(list === 'noise' ? rule.re : rule);
+          counts[list]++;
+        } catch (err) {
+          problem(`${list}[${i}]: ${err.message}`);
+        }
+      });
+    }
+
+    if (pack.scores !== undefined) {
+      if (!pack.scores || typeof pack.scores !== 'object' || Array.isArray(pack.scores)) {
+        problem('scores must be an object of category weights');
+      } else {
+        for (const [category, weight] of Object.entries(pack.scores)) {
+          try {
+            checkCategory(category);
+            checkScore(weight);
+            rules.scores[category] = weight;
+            counts.scores = (counts.scores || 0) + 1;
+          } catch (err) {
+            problem(`scores.${category}: ${err.message}`);
+          }
+        }
+      }
+    }
+    loaded.push({ file, name: typeof pack.name === 'string' ? pack.name : null, counts });
+  }
+
+  return { rules, packs: loaded, errors };
+}
+
+function compileRule(entry, defaultCategory) {
+  const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+  if (!spec || typeof spec !== 'object' || typeof spec.pattern !== 'string' || !spec.pattern) {
+    throw new Error('expected a pattern string or { pattern, flags, category, score }');
+  }
+  let re;
+  try {
+    re = new RegExp(spec.pattern, spec.flags ?? 'i');
+  } catch (err) {
+    throw new Error(`invalid pattern: ${err.message}`);
+  }
+  if (re.global || re.sticky) throw new Error('the g and y flags are not supported');
+  if (spec.category !== undefined) {
+    if (!defaultCategory) throw new Error('noise patterns take no category');
+    checkCategory(spec.category);
+  }
+  if (spec.score !== undefined) {
+    if (!defaultCategory) throw new Error('noise patterns take no score');
+    checkScore(spec.score);
+  }
+  return { re, category: spec.category ?? defaultCategory, score: spec.score ?? null };
+}
+
+function checkCategory(category) {
+  if (!CATEGORIES.includes(category)) throw new Error(`category must be one of: ${CATEGORIES.join(', ')}`);
+}
+
+function checkScore(score) {
+  if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 1) {
+    throw new Error('score must be a number between 0 and 1');
+  }
+}
+
+export function matchRule(list, text) {
+  return list.find(rule => rule.re.test(text)) || null;
+}
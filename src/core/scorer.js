@@ -1,8 +1,9 @@
 import { loadConfig } from './config.js';
 
-export function scoreMemory(category, content) {
+// `weights` (e.g. a rule pack's `scores`) take precedence over categoryWeights
+export function scoreMemory(category, content, weights = null) {
   const cfg = loadConfig();
-  const baseScore = cfg.categoryWeights[category] || 0.4;
+  const baseScore = weights?.[category] ?? (cfg.categoryWeights[category] || 0.4);
 
   const lengthBonus = Math.min(content.length / 500, 0.1);
 
@@ -1,85 +1,332 @@
-import { existsSync, readFileSync } from 'fs';
+import { existsSync, openSync, readSync, closeSync } from 'fs';
+import { createHash } from 'crypto';
 
-export function parseTranscript(transcriptPath, startLine = 0) {
-  if (!transcriptPath || !existsSync(transcriptPath)) return { messages: [], lastLine: startLine };
+const CHUNK_SIZE = 1 << 20;
 
-  const content = readFileSync(transcriptPath, 'utf-8');
-  const lines = content.split('\n');
-  const messages = [];
-  let lineNum = 0;
+// Streams the transcript instead of reading it whole. `resume` is the byte
+// offset and hash of the last line parsed before (both returned here and kept in
+// checkpoints): when the line at that offset still hashes the same, parsing
+// seeks straight past it; otherwise the file is rescanned and the first
+// `startLine` non-empty lines are skipped by count.
+//
+// New lines are linked through uuid/parentUuid; messages on a branch that was
+// abandoned in favour of the one ending at the newest line are dropped (see
+// deadBranches). When the active branch rejoins the earlier transcript with a
+// user prompt anywhere but `resume.lastUuid` (an edited message, double-ESC),
+// the join point is returned as `forkUuid`. With `resume.endLine` parsing stops after that line.
+export function parseTranscript(transcriptPath, startLine = 0, resume = {}) {
+  if (!transcriptPath || !existsSync(transcriptPath)) {
+    return {
+      messages: [], lastLine: startLine, byteOffset: resume.byteOffset || 0,
+      boundaryHash: resume.boundaryHash || null, lastUuid: resume.lastUuid || null, forkUuid: null,
+    };
+  }
 
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    lineNum++;
-    if (lineNum <= startLine) continue;
+  const fd = openSync(transcriptPath, 'r');
+  try {
+    const parsed = [];
+    const links = new Map();
+    let tip = null;
+    let lineNum = 0;
+    let last = null;
+    let lines = null;
 
-    let parsed;
-    try {
-      parsed = JSON.parse(line);
-    } catch {
-      continue;
+    if (startLine > 0 && resume.boundaryHash && resume.byteOffset >= 0) {
+      const candidate = readLines(fd, resume.byteOffset);
+      const first = nextLine(candidate);
+      if (first && hashLine(first.text) === resume.boundaryHash) {
+        lineNum = startLine;
+        last = first;
+        lines = candidate;
+      }
+    }
+    if (!lines) lines = readLines(fd, 0);
+
+    for (const line of lines) {
+      if (resume.endLine != null && lineNum >= resume.endLine) break;
+      lineNum++;
+      last = line;
+      if (lineNum <= startLine) continue;
+      const record = parseJson(line.text);
+      if (!record) continue;
+      const linked = isLinked(record);
+      if (linked) {
+        links.set(record.uuid, linkOf(record));
+        tip = record.uuid;
+      }
+      const entry = toMessage(record, lineNum);
+      if (entry) parsed.push([entry, linked ? record.uuid : null]);
     }
 
-    const msg = parsed.message || parsed;
-    const role = msg.role || parsed.type;
-    if (!role || role === 'system') continue;
-
-    if (parsed.type && !['user', 'assistant', 'A'].includes(parsed.type) && !msg.role) continue;
-
-    const entry = {
-      lineNum,
-      role: role === 'A' ? 'assistant' : role,
-      uuid: parsed.uuid || parsed.parentUuid || null,
-      sessionId: parsed.sessionId || null,
-      timestamp: parsed.timestamp || null,
-      text: '',
-      thinking: '',
-      toolCalls: [],
-      toolResults: [],
+    const { branch, joinsAt, first } = followBranch(links, tip);
+    const dead = deadBranches(links, branch, joinsAt);
+    const messages = parsed.filter(([, uuid]) => !dead.has(uuid)).map(([entry]) => entry);
+    const lastUuid = tip || resume.lastUuid || null;
+    const rewound = joinsAt && joinsAt !== resume.lastUuid && links.get(first).prompt;
+    const forkUuid = resume.lastUuid && rewound ? joinsAt : null;
+
+    return {
+      messages,
+      lastLine: lineNum,
+      byteOffset: last ? last.offset : 0,
+      boundaryHash: last ? hashLine(last.text) : null,
+      lastUuid,
+      forkUuid,
     };
+  } finally {
+    closeSync(fd);
+  }
+}
 
-    if (typeof msg.content === 'string') {
-      entry.text = msg.content;
-    } else if (Array.isArray(msg.content)) {
-      for (const block of msg.content) {
-        if (block.type === 'text') {
-          entry.text += (entry.text ? '\n' : '') + (block.text || '');
-        } else if (block.type === 'thinking') {
-          entry.thinking += (entry.thinking ? '\n' : '') + (block.thinking || '');
-        } else if (block.type === 'tool_use') {
-          entry.toolCalls.push({
-            name: block.name || 'unknown',
-            id: block.id || null,
-            input: block.input || {},
-          });
-        } else if (block.type === 'tool_result') {
-          entry.toolResults.push({
-            toolUseId: block.tool_use_id || null,
-            content: typeof block.content === 'string'
-              ? block.content
-              : Array.isArray(block.content)
-                ? block.content.map(b => b.text || '').join('\n')
-                : '',
-            isError: block.is_error || false,
-          });
-        }
+// Tree state of the whole transcript: every uuid in it, and those on branches
+// abandoned in favour of the newest line.
+export function transcriptBranches(transcriptPath) {
+  const links = new Map();
+  const known = new Set();
+  let tip = null;
+  if (transcriptPath && existsSync(transcriptPath)) {
+    const fd = openSync(transcriptPath, 'r');
+    try {
+      for (const { text } of readLines(fd, 0)) {
+        const record = parseJson(text);
+        if (record?.uuid) known.add(record.uuid);
+        if (!record || !isLinked(record)) continue;
+        links.set(record.uuid, linkOf(record));
+        tip = record.uuid;
       }
+    } finally {
+      closeSync(fd);
+    }
+  }
+  const { branch, joinsAt } = followBranch(links, tip);
+  return { known, abandoned: deadBranches(links, branch, joinsAt) };
+}
+
+// Session id and working directory as recorded in the transcript's first lines
+export function transcriptInfo(transcriptPath) {
+  const info = { sessionId: null, cwd: null };
+  if (!transcriptPath || !existsSync(transcriptPath)) return info;
+  const fd = openSync(transcriptPath, 'r');
+  try {
+    let seen = 0;
+    for (const { text } of readLines(fd, 0)) {
+      const record = parseJson(text);
+      info.sessionId ||= typeof record?.sessionId === 'string' ? record.sessionId : null;
+      info.cwd ||= typeof record?.cwd === 'string' ? record.cwd : null;
+      if ((info.sessionId && info.cwd) || ++seen >= 50) break;
+    }
+  } finally {
+    closeSync(fd);
+  }
+  return info;
+}
+
+export function hashLine(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+// Yields the non-empty lines from `start` on with the byte offset each begins
+// at. A trailing line without a newline is only yielded when it is complete
+// JSON, so a half-written record is picked up on the next pass.
+function* readLines(fd, start) {
+  const buf = Buffer.alloc(CHUNK_SIZE);
+  let pos = start;
+  let pending = Buffer.alloc(0);
+  let pendingOffset = start;
+  for (;;) {
+    const n = readSync(fd, buf, 0, CHUNK_SIZE, pos);
+    if (n === 0) break;
+    pos += n;
+    const data = pending.length ? Buffer.concat([pending, buf.subarray(0, n)]) : Buffer.from(buf.subarray(0, n));
+    let from = 0;
+    for (let nl = data.indexOf(10, from); nl !== -1; nl = data.indexOf(10, from)) {
+      const text = data.toString('utf-8', from, nl);
+      if (text.trim()) yield { text, offset: pendingOffset + from };
+      from = nl + 1;
     }
+    pending = data.subarray(from);
+    pendingOffset += from;
+  }
+  const tail = pending.toString('utf-8');
+  if (tail.trim() && parseJson(tail)) yield { text: tail, offset: pendingOffset };
+}
+
+function nextLine(lines) {
+  const { value, done } = lines.next();
+  return done ? null : value;
+}
 
-    messages.push(entry);
+function parseJson(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
   }
+}
+
+// Lines that take part in the conversation tree; inline sidechain (subagent)
+// records form trees of their own and are left as they are.
+function isLinked(record) {
+  return Boolean(record.uuid) && 'parentUuid' in record && !record.isSidechain;
+}
 
-  return { messages, lastLine: lineNum };
+// A compaction boundary starts a new root but keeps the link in logicalParentUuid
+function parentOf(record) {
+  return record.parentUuid || record.logicalParentUuid || null;
 }
 
+// A tree node: its parent, whether it is a user prompt, and the tool_use ids
+// it calls and answers
+function linkOf(record) {
+  const content = record.message?.content;
+  const blocks = Array.isArray(content) ? content : [];
+  const prompt = record.type === 'user' && !record.isMeta
+    && (typeof content === 'string' ? content.trim() !== '' : blocks.some(b => b.type === 'text') && !blocks.some(b => b.type === 'tool_result'));
+  return {
+    parent: parentOf(record),
+    prompt,
+    calls: blocks.filter(b => b.type === 'tool_use' && b.id).map(b => b.id),
+    results: blocks.filter(b => b.type === 'tool_result' && b.tool_use_id).map(b => b.tool_use_id),
+  };
+}
+
+// Walks parent links from `tip` while they stay within `links`; `joinsAt` is
+// the first parent outside them (null when the walk reaches a root) and
+// `first` the branch node hanging off it.
+function followBranch(links, tip) {
+  const branch = new Set();
+  let uuid = tip;
+  let first = null;
+  while (uuid && links.has(uuid) && !branch.has(uuid)) {
+    branch.add(uuid);
+    first = uuid;
+    uuid = links.get(uuid).parent;
+  }
+  return { branch, joinsAt: uuid && !branch.has(uuid) ? uuid : null, first };
+}
+
+// Subtrees hanging off the active branch (or the point where it joins earlier
+// lines) that a rewind abandoned: those starting with a user prompt, and any
+// beside a newer prompt on the branch. Other siblings are part of the same
+// exchange — parallel tool calls put each tool_use and its tool_result beside
+// the chain — and a tool_result answering its parent's call is always kept.
+// Separate roots are left alone.
+function deadBranches(links, branch, joinsAt) {
+  const children = new Map();
+  for (const [uuid, { parent }] of links) {
+    if (!parent) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(uuid);
+  }
+  const dead = new Set();
+  const stack = [];
+  for (const node of [...branch, joinsAt]) {
+    const kids = children.get(node) || [];
+    const onBranch = links.get(kids.find(child => branch.has(child)));
+    const calls = new Set(links.get(node)?.calls);
+    for (const child of kids) {
+      if (branch.has(child)) continue;
+      const link = links.get(child);
+      const answers = link.results.length > 0 && link.results.every(id => calls.has(id));
+      if (!answers && (link.prompt || onBranch?.prompt)) stack.push(child);
+    }
+  }
+  while (stack.length) {
+    const uuid = stack.pop();
+    if (dead.has(uuid)) continue;
+    dead.add(uuid);
+    stack.push(...(children.get(uuid) || []));
+  }
+  return dead;
+}
+
+function toMessage(parsed, lineNum) {
+  const msg = parsed.message || parsed;
+  const role = msg.role || parsed.type;
+  if (!role || role === 'system') return null;
+
+  if (parsed.type && !['user', 'assistant', 'A'].includes(parsed.type) && !msg.role) return null;
+
+  const entry = {
+    lineNum,
+    role: role === 'A' ? 'assistant' : role,
+    uuid: parsed.uuid || parsed.parentUuid || null,
+    parentUuid: parsed.parentUuid || null,
+    sessionId: parsed.sessionId || null,
+    timestamp: parsed.timestamp || null,
+    text: '',
+    thinking: '',
+    toolCalls: [],
+    toolResults: [],
+  };
+
+  if (typeof msg.content === 'string') {
+    entry.text = msg.content;
+  } else if (Array.isArray(msg.content)) {
+    for (const block of msg.content) {
+      if (block.type === 'text') {
+        entry.text += (entry.text ? '\n' : '') + (block.text || '');
+      } else if (block.type === 'thinking') {
+        entry.thinking += (entry.thinking ? '\n' : '') + (block.thinking || '');
+      } else if (block.type === 'tool_use') {
+        entry.toolCalls.push({
+          name: block.name || 'unknown',
+          id: block.id || null,
+          input: block.input || {},
+        });
+      } else if (block.type === 'tool_result') {
+        entry.toolResults.push({
+          toolUseId: block.tool_use_id || null,
+          content: typeof block.content === 'string'
+            ? block.content
+            : Array.isArray(block.content)
+              ? block.content.map(b => b.text || '').join('\n')
+              : '',
+          isError: block.is_error || false,
+        });
+      }
+    }
+  }
+
+  return entry;
+}
+
+// Turns start at each user prompt. Tool results are linked to their calls by
+// tool_use_id into `toolExchanges` ({ call, result, startedAt, durationMs,
+// isError }) in call order; a result whose call is not among `messages` gets
+// `call: null`.
 export function groupIntoTurns(messages) {
   const turns = [];
+  const pending = new Map();
   let current = null;
 
+  const addCalls = (msg) => {
+    for (const call of msg.toolCalls) {
+      const exchange = { call, result: null, durationMs: null, isError: false, startedAt: msg.timestamp };
+      current.toolExchanges.push(exchange);
+      if (call.id) pending.set(call.id, exchange);
+    }
+  };
+  const addResults = (msg) => {
+    for (const result of msg.toolResults) {
+      const exchange = result.toolUseId ? pending.get(result.toolUseId) : null;
+      if (!exchange) {
+        current.toolExchanges.push({ call: null, result, durationMs: null, isError: result.isError });
+        continue;
+      }
+      pending.delete(result.toolUseId);
+      exchange.result = result;
+      exchange.isError = result.isError;
+      exchange.durationMs = elapsed(exchange.startedAt, msg.timestamp);
+    }
+  };
+
   for (const msg of messages) {
     if (msg.role === 'user') {
       if (!msg.text && msg.toolResults.length > 0 && current) {
         current.allToolResults.push(...msg.toolResults);
+        addResults(msg);
         current.endLine = msg.lineNum;
         continue;
       }
@@ -90,13 +337,17 @@ export function groupIntoTurns(messages) {
         assistantMessages: [],
         allToolCalls: [],
         allToolResults: [],
+        toolExchanges: [],
         startLine: msg.lineNum,
         endLine: msg.lineNum,
       };
+      addResults(msg);
     } else if (msg.role === 'assistant' && current) {
       current.assistantMessages.push(msg);
       current.allToolCalls.push(...msg.toolCalls);
       current.allToolResults.push(...msg.toolResults);
+      addCalls(msg);
+      addResults(msg);
       current.endLine = msg.lineNum;
     }
   }
@@ -104,3 +355,9 @@ export function groupIntoTurns(messages) {
   if (current) turns.push(current);
   return turns;
 }
+
+function elapsed(from, to) {
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  return Number.isFinite(start) && Number.isFinite(end) && end >= start ? end - start : null;
+}
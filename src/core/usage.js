@@ -0,0 +1,48 @@
+import { loadConfig, getProjectConfig } from './config.js';
+
+// { budget, used, exceeded } for a project this calendar month (UTC). budget is
+// llmMonthlyTokenBudget for the project, null when it has none (and then
+// nothing is counted). Checked before LLM extraction starts, so one run can
+// take a project past its budget.
+export function llmBudget(db, project) {
+  const budget = validBudget(getProjectConfig(project).llmMonthlyTokenBudget);
+  if (budget === null) return { budget: null, used: null, exceeded: false };
+  const used = db.getMonthlyLlmTokens(project);
+  return { budget, used, exceeded: used >= budget };
+}
+
+export function budgetMessage({ used, budget }) {
+  return `monthly LLM token budget used up (${used} of ${budget} tokens)`;
+}
+
+// USD for a usage row from llmPrices ({ model: { input, output } } per
+// million tokens), or null when the model has no price
+export function estimateCost({ model, input_tokens, output_tokens }, prices = loadConfig().llmPrices) {
+  const price = prices?.[model];
+  if (!price || typeof price !== 'object') return null;
+  const rate = n => (typeof n === 'number' && Number.isFinite(n) ? n : 0);
+  return (input_tokens * rate(price.input) + output_tokens * rate(price.output)) / 1e6;
+}
+
+// Usage per month, project and model over the last `months` months with an
+// estimated cost, plus the budget of every project that has one and used the
+// LLM this month or has its own configured.
+export function usageReport(db, { project = null, months = 3 } = {}) {
+  const cfg = loadConfig();
+  const rows = db.getLlmUsage({ project, months }).map(r => ({ ...r, cost: estimateCost(r, cfg.llmPrices) }));
+  const month = new Date().toISOString().slice(0, 7);
+  const candidates = new Set(rows.filter(r => r.month === month).map(r => r.project));
+  for (const [name, overrides] of Object.entries(cfg.projects)) {
+    if (validBudget(overrides?.llmMonthlyTokenBudget) !== null) candidates.add(name);
+  }
+  const budgets = [...candidates]
+    .filter(p => project === null || p === project)
+    .sort()
+    .map(p => ({ project: p, ...llmBudget(db, p) }))
+    .filter(b => b.budget !== null);
+  return { month, rows, budgets };
+}
+
+function validBudget(value) {
+  return typeof value === 'number' && value >= 1 ? value : null;
+}
@@ -0,0 +1,160 @@
+import { spawn } from 'child_process';
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseTranscript, transcriptBranches, groupIntoTurns } from './transcript-parser.js';
+import { runExtractors } from './extractors.js';
+import { storeMemories, recordLlmStats } from './archive-pipeline.js';
+import { loadConfig, getProjectConfig, DATA_DIR } from './config.js';
+import { llmBudget, budgetMessage } from './usage.js';
+import { archivePolicy, filterFileChanges } from './exclusions.js';
+
+export const WORKER_PID_PATH = join(DATA_DIR, 'worker.pid');
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Runs one 'llm-extract' job: re-parses its line range, extracts with the LLM
+// and stores the result. Turns the extractor deferred put the job back in the
+// queue with only those left; once nothing is left, the stand-in memories
+// archived while the job waited are replaced. Throws when extraction fails.
+export async function runJob(db, job, { log = () => {} } = {}) {
+  const { payload } = job;
+  const parsed = parseTranscript(job.transcript_path, job.start_line, { endLine: job.end_line });
+  const turns = groupIntoTurns(parsed.messages);
+  const projectCfg = getProjectConfig(job.project);
+  const config = payload.mode ? { ...projectCfg, extractionMode: payload.mode } : projectCfg;
+
+  let remainder = [];
+  const sessionId = payload.parentSessionId || job.session_id;
+  const { memories, runs } = await runExtractors(turns, {
+    project: job.project, sessionId: job.session_id, cwd: payload.cwd || null,
+    // Not bound by a hook's time limit; each request still has llmTimeoutMs
+    config: { ...config, extractors: ['llm'], extractorTimeoutMs: 0, llmBudgetMs: Infinity },
+    pendingTurns: payload.pendingTurns || [],
+    deferTurns: rest => { remainder = rest; },
+    recordLlmStats: stats => recordLlmStats(db, sessionId, stats, msg => log(`job ${job.id}: ${msg}`)),
+    recordLlmCall: call => db.recordLlmCall({ ...call, project: job.project, sessionId }),
+  });
+  if (runs[0].error) throw new Error(runs[0].error);
+
+  // The user may have rewound past these turns since the job was queued
+  const { abandoned } = transcriptBranches(job.transcript_path);
+  const current = memories.filter(m => !abandoned.has(m.metadata?.turnUuid));
+  const { memories: kept } = filterFileChanges(current, archivePolicy(job.project, payload.cwd || null));
+
+  const replaced = remainder.length > 0 ? 0 : db.resolveProvisional(job.id, { discard: true });
+  const inserted = storeMemories(db, kept, {
+    project: job.project, sessionId, subpath: payload.subpath, agent: payload.agent,
+  });
+  if (remainder.length > 0) {
+    db.continueJob(job.id, { startLine: job.end_line, payload: { ...payload, pendingTurns: remainder } });
+    log(`job ${job.id}: ${inserted} memories, ${remainder.length} turns left`);
+  } else {
+    db.completeJob(job.id);
+    log(`job ${job.id}: ${inserted} memories, replaced ${replaced} rule-based ones`);
+  }
+  return { inserted, replaced, remaining: remainder.length };
+}
+
+// Works through due jobs until the queue is empty, waiting for retries that
+// are scheduled later unless `once` is set. A failed job is retried after
+// jobRetryDelayMs, doubling per attempt; after jobMaxAttempts it is marked
+// failed and its stand-in memories are kept for good. So is a job whose project
+// has used up its monthly LLM token budget, without calling the LLM.
+export async function drainQueue(db, {
+  once = false, workerId = String(process.pid), log = () => {}, sleep = ms => new Promise(r => setTimeout(r, ms)),
+} = {}) {
+  const cfg = loadConfig();
+  const summary = { done: 0, continued: 0, retried: 0, failed: 0, inserted: 0 };
+  const released = db.releaseStaleJobs(Date.now() - STALE_LOCK_MS);
+  if (released > 0) log(`released ${released} jobs from a stopped worker`);
+
+  for (;;) {
+    const job = db.claimJob(workerId);
+    if (!job) {
+      const due = db.nextJobDue();
+      if (once || due === null) break;
+      await sleep(Math.max(0, due - Date.now()));
+      continue;
+    }
+
+    const budget = llmBudget(db, job.project);
+    if (budget.exceeded) {
+      db.failJob(job.id, budgetMessage(budget));
+      db.resolveProvisional(job.id);
+      summary.failed++;
+      log(`job ${job.id} skipped: ${budgetMessage(budget)}`);
+      continue;
+    }
+
+    try {
+      const result = await runJob(db, job, { log });
+      summary.inserted += result.inserted;
+      if (result.remaining > 0) summary.continued++;
+      else summary.done++;
+    } catch (err) {
+      if (job.attempts >= cfg.jobMaxAttempts) {
+        db.failJob(job.id, err.message);
+        db.resolveProvisional(job.id);
+        summary.failed++;
+        log(`job ${job.id} failed after ${job.attempts} attempts: ${err.message}`);
+      } else {
+        const delay = Math.min(cfg.jobRetryDelayMs * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+        db.retryJob(job.id, err.message, Date.now() + delay);
+        summary.retried++;
+        log(`job ${job.id} attempt ${job.attempts} failed (${err.message}), retrying in ${Math.round(delay / 1000)}s`);
+      }
+    }
+  }
+  return summary;
+}
+
+// The pid of a live worker, or null
+export function runningWorker(pidPath = WORKER_PID_PATH) {
+  if (!existsSync(pidPath)) return null;
+  const pid = parseInt(readFileSync(pidPath, 'utf-8'), 10);
+  if (!pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (err) {
+    return err.code === 'EPERM' ? pid : null;
+  }
+}
+
+// Records this process as the worker; false when another one is running
+export function claimWorker(pidPath = WORKER_PID_PATH) {
+  const other = runningWorker(pidPath);
+  if (other && other !== process.pid) return false;
+  writeFileSync(pidPath, String(process.pid));
+  return true;
+}
+
+export function releaseWorker(pidPath = WORKER_PID_PATH) {
+  try {
+    if (parseInt(readFileSync(pidPath, 'utf-8'), 10) === process.pid) unlinkSync(pidPath);
+  } catch {}
+}
+
+// Whether a pending job is due now, so a hook should start the worker
+export function jobsDue(db, now = Date.now()) {
+  const due = db.nextJobDue();
+  return due !== null && due <= now;
+}
+
+// Starts `ic worker --once` detached from the calling hook, unless one is
+// running. It exits when only retries that are not due yet are left, rather
+// than staying alive for them; the next hook starts it again (see jobsDue).
+export function spawnWorker({ pidPath = WORKER_PID_PATH, log = () => {} } = {}) {
+  if (runningWorker(pidPath)) return false;
+  try {
+    const child = spawn(process.execPath, [CLI_PATH, 'worker', '--once'], { detached: true, stdio: 'ignore' });
+    child.on('error', err => log(`worker failed to start: ${err.message}`));
+    child.unref();
+    return true;
+  } catch (err) {
+    log(`worker failed to start: ${err.message}`);
+    return false;
+  }
+}
@@ -0,0 +1,302 @@
+import { existsSync } from 'fs';
+
+const INITIAL_SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS memories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    content TEXT NOT NULL,
+    keywords TEXT NOT NULL,
+    score REAL NOT NULL DEFAULT 0.5,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_accessed TEXT NOT NULL DEFAULT (datetime('now')),
+    access_count INTEGER NOT NULL DEFAULT 0,
+    source_hash TEXT,
+    metadata TEXT
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+    content, keywords, content='memories', content_rowid='id'
+);
+
+CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+    INSERT INTO memories_fts(rowid, content, keywords) VALUES (new.id, new.content, new.keywords);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+    INSERT INTO memories_fts(memories_fts, rowid, content, keywords) VALUES ('delete', old.id, old.content, old.keywords);
+END;
+
+CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE ON memories BEGIN
+    INSERT INTO memories_fts(memories_fts, rowid, content, keywords) VALUES ('delete', old.id, old.content, old.keywords);
+    INSERT INTO memories_fts(rowid, content, keywords) VALUES (new.id, new.content, new.keywords);
+END;
+
+CREATE TABLE IF NOT EXISTS checkpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    transcript_path TEXT NOT NULL,
+    last_line_number INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    project TEXT NOT NULL,
+    started_at TEXT NOT NULL DEFAULT (datetime('now')),
+    ended_at TEXT,
+    memories_created INTEGER NOT NULL DEFAULT 0,
+    compactions INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(project);
+CREATE INDEX IF NOT EXISTS idx_memories_project_score ON memories(project, score DESC);
+CREATE INDEX IF NOT EXISTS idx_memories_source_hash ON memories(source_hash);
+CREATE INDEX IF NOT EXISTS idx_checkpoints_session ON checkpoints(session_id);
+`;
+
+// Ordered registry of schema upgrades. Each step moves the database from
+// version - 1 to version and runs inside its own transaction. Never edit a
+// released step — append a new one instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up(db) {
+      db.exec(INITIAL_SCHEMA_SQL);
+    },
+  },
+  {
+    version: 2,
+    name: 'memory vectors',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_vectors (
+            memory_id INTEGER PRIMARY KEY,
+            model TEXT NOT NULL,
+            dims INTEGER NOT NULL,
+            vector BLOB NOT NULL
+        );
+
+        CREATE TRIGGER IF NOT EXISTS memories_vec_ad AFTER DELETE ON memories BEGIN
+            DELETE FROM memory_vectors WHERE memory_id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_vec_au AFTER UPDATE OF content, keywords ON memories BEGIN
+            DELETE FROM memory_vectors WHERE memory_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'memory merge audit log',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memory_merges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project TEXT NOT NULL,
+            survivor_id INTEGER NOT NULL,
+            merged_ids TEXT NOT NULL,
+            merged_rows TEXT NOT NULL,
+            similarity REAL,
+            created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_memory_merges_project ON memory_merges(project, created_at DESC);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'memory supersession',
+    up(db) {
+      db.exec(`
+        ALTER TABLE memories ADD COLUMN superseded_by INTEGER;
+
+        CREATE INDEX IF NOT EXISTS idx_memories_superseded_by ON memories(superseded_by);
+
+        CREATE TRIGGER IF NOT EXISTS memories_supersede_ad AFTER DELETE ON memories BEGIN
+            UPDATE memories SET superseded_by = NULL WHERE superseded_by = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'pinned memories',
+    up(db) {
+      db.exec(`
+        ALTER TABLE memories ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+
+        CREATE INDEX IF NOT EXISTS idx_memories_pinned ON memories(project, pinned);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'memory subpath',
+    up(db) {
+      db.exec(`ALTER TABLE memories ADD COLUMN subpath TEXT NOT NULL DEFAULT ''`);
+    },
+  },
+  {
+    version: 7,
+    name: 'checkpoint byte offsets',
+    up(db) {
+      db.exec(`
+        ALTER TABLE checkpoints ADD COLUMN byte_offset INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE checkpoints ADD COLUMN boundary_hash TEXT;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'checkpoint message uuid',
+    up(db) {
+      db.exec('ALTER TABLE checkpoints ADD COLUMN last_uuid TEXT');
+    },
+  },
+  {
+    version: 9,
+    name: 'checkpoint pending llm turns',
+    up(db) {
+      db.exec('ALTER TABLE checkpoints ADD COLUMN pending_turns TEXT');
+    },
+  },
+  {
+    version: 10,
+    name: 'background jobs',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            session_id TEXT NOT NULL,
+            project TEXT NOT NULL,
+            transcript_path TEXT NOT NULL,
+            start_line INTEGER NOT NULL,
+            end_line INTEGER NOT NULL,
+            payload TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            run_after INTEGER NOT NULL DEFAULT 0,
+            locked_by TEXT,
+            locked_at INTEGER,
+            created_at TEXT NOT NULL DEFAULT (datetime('now')),
+            finished_at TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'session llm reply stats',
+    up(db) {
+      db.exec(`
+        ALTER TABLE sessions ADD COLUMN llm_dropped INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE sessions ADD COLUMN llm_repaired INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE sessions ADD COLUMN llm_retries INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE sessions ADD COLUMN llm_invalid INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'llm call log',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_calls (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project TEXT NOT NULL,
+            session_id TEXT,
+            provider TEXT NOT NULL,
+            model TEXT NOT NULL,
+            status TEXT NOT NULL,
+            input_tokens INTEGER,
+            output_tokens INTEGER,
+            latency_ms INTEGER NOT NULL,
+            error TEXT,
+            created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_llm_calls_project ON llm_calls(project, created_at);
+      `);
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getSchemaVersion(db) {
+  try {
+    const row = db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+    return row ? parseInt(row.value, 10) || 0 : 0;
+  } catch {
+    return 0;
+  }
+}
+
+export function getPendingMigrations(db) {
+  const current = getSchemaVersion(db);
+  return MIGRATIONS.filter(m => m.version > current);
+}
+
+export function getMigrationStatus(db) {
+  const current = getSchemaVersion(db);
+  return {
+    current,
+    latest: LATEST_VERSION,
+    applied: MIGRATIONS.filter(m => m.version <= current).map(({ version, name }) => ({ version, name })),
+    pending: MIGRATIONS.filter(m => m.version > current).map(({ version, name }) => ({ version, name })),
+  };
+}
+
+export function backupDatabase(db, dbPath, fromVersion) {
+  if (!dbPath || dbPath === ':memory:' || !existsSync(dbPath)) return null;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.v${fromVersion}-${stamp}.bak`;
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+// Several hooks may open an old database at once. Each step runs in an
+// IMMEDIATE transaction that re-reads the version first, so a step another
+// process applied meanwhile is skipped rather than run twice.
+export function runMigrations(db, { dbPath = null, backup = true } = {}) {
+  const from = getSchemaVersion(db);
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  if (pending.length === 0) return { from, to: from, applied: [], backupPath: null };
+
+  // A fresh database has nothing worth backing up
+  const backupPath = backup && from > 0 ? backupDatabase(db, dbPath, from) : null;
+
+  const applied = [];
+  for (const migration of pending) {
+    const step = db.transaction(() => {
+      if (getSchemaVersion(db) >= migration.version) return false;
+      migration.up(db);
+      db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+        .run('schema_version', String(migration.version));
+      return true;
+    });
+    let ran;
+    try {
+      ran = step.immediate();
+    } catch (err) {
+      throw new Error(`Migration v${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+    if (ran) applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return { from, to: getSchemaVersion(db), applied, backupPath };
+}
@@ -2,78 +2,92 @@ import { existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 import { createRequire } from 'module';
 import { loadConfig } from '../core/config.js';
+import { runMigrations } from './migrations.js';
+import { GLOBAL_PROJECT } from '../core/project.js';
+import { getEmbedder, cosineSimilarity, vectorToBlob, blobToVector } from '../core/embedder.js';
 
 const require = createRequire(import.meta.url);
 
-const SCHEMA_VERSION = 1;
-
-const SCHEMA_SQL = `
-CREATE TABLE IF NOT EXISTS meta (
-    key TEXT PRIMARY KEY,
-    value TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS memories (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    project TEXT NOT NULL,
-    session_id TEXT NOT NULL,
-    category TEXT NOT NULL,
-    content TEXT NOT NULL,
-    keywords TEXT NOT NULL,
-    score REAL NOT NULL DEFAULT 0.5,
-    created_at TEXT NOT NULL DEFAULT (datetime('now')),
-    last_accessed TEXT NOT NULL DEFAULT (datetime('now')),
-    access_count INTEGER NOT NULL DEFAULT 0,
-    source_hash TEXT,
-    metadata TEXT
-);
-
-CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
-    content, keywords, content='memories', content_rowid='id'
-);
-
-CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
-    INSERT INTO memories_fts(rowid, content, keywords) VALUES (new.id, new.content, new.keywords);
-END;
-
-CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
-    INSERT INTO memories_fts(memories_fts, rowid, content, keywords) VALUES ('delete', old.id, old.content, old.keywords);
-END;
-
-CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE ON memories BEGIN
-    INSERT INTO memories_fts(memories_fts, rowid, content, keywords) VALUES ('delete', old.id, old.content, old.keywords);
-    INSERT INTO memories_fts(rowid, content, keywords) VALUES (new.id, new.content, new.keywords);
-END;
-
-CREATE TABLE IF NOT EXISTS checkpoints (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    session_id TEXT NOT NULL,
-    transcript_path TEXT NOT NULL,
-    last_line_number INTEGER NOT NULL,
-    created_at TEXT NOT NULL DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS sessions (
-    session_id TEXT PRIMARY KEY,
-    project TEXT NOT NULL,
-    started_at TEXT NOT NULL DEFAULT (datetime('now')),
-    ended_at TEXT,
-    memories_created INTEGER NOT NULL DEFAULT 0,
-    compactions INTEGER NOT NULL DEFAULT 0
-);
-
-CREATE INDEX IF NOT EXISTS idx_memories_project ON memories(project);
-CREATE INDEX IF NOT EXISTS idx_memories_project_score ON memories(project, score DESC);
-CREATE INDEX IF NOT EXISTS idx_memories_source_hash ON memories(source_hash);
-CREATE INDEX IF NOT EXISTS idx_checkpoints_session ON checkpoints(session_id);
-`;
+const SORT_KEYS = { score: 'score', created: 'created_at', accessed: 'last_accessed', access_count: 'access_count', id: 'id' };
+
+function buildFtsQuery(text) {
+  return text.split(/\s+/)
+    .filter(w => w.length > 1)
+    .map(w => w.replace(/[*^{}[\]():~!]/g, '').replace(/"/g, '""'))
+    .filter(w => w.length > 1)
+    .map(w => `"${w}"`)
+    .join(' OR ');
+}
+
+// Blend BM25 (lower rank = better) with cosine similarity into one 0..1 score.
+// Each side is min-max normalised over the candidates so neither dominates by scale.
+// Matches text that chose `subject` ("going with SQLite", "use the Redux store")
+function choicePattern(subject) {
+  const name = subject.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const verbs = 'use[sd]?|using|go(?:ing)? with|went with|cho(?:se|ose|osing)|opted for|pick(?:ed)?|adopt(?:ed)?|keep|stick(?:ing)? with'
+    + '|switch(?:ed|ing)? to|mov(?:e|ed|ing) to|migrat(?:e|ed|ing) to|settled on|decided on|stay(?:ing)? on|rely on|relies on|built on|based on';
+  return new RegExp(`\\b(?:${verbs})\\s+(?:[\\w-]+\\s+){0,2}?${name}(?![\\w])`, 'i');
+}
+
+function fuseRankings(ftsRows, similarities, weight) {
+  const fused = new Map();
+  const ranks = ftsRows.map(r => r.rank);
+  const best = Math.min(...ranks);
+  const worst = Math.max(...ranks);
+  for (const row of ftsRows) {
+    const lexical = worst === best ? 1 : (worst - row.rank) / (worst - best);
+    fused.set(row.id, { row, lexical, similarity: 0 });
+  }
+  for (const [id, similarity] of similarities) {
+    const entry = fused.get(id) || { row: null, lexical: 0, similarity: 0 };
+    entry.similarity = similarity;
+    fused.set(id, entry);
+  }
+  for (const entry of fused.values()) {
+    entry.hybrid = (1 - weight) * entry.lexical + weight * entry.similarity;
+  }
+  return fused;
+}
+
+function scopeWeights(scope, cfg) {
+  const weights = new Map([[scope.project, 1]]);
+  for (const { project, depth } of scope.ancestors || []) {
+    if (!weights.has(project)) weights.set(project, cfg.ancestorWeight ** depth);
+  }
+  return weights;
+}
+
+function scopeWeight(memory, scope, weights, cfg) {
+  const base = weights.get(memory.project) ?? 1;
+  if (memory.project !== scope.project || !scope.subpath || !memory.subpath) return base;
+  const here = scope.subpath;
+  const within = here === memory.subpath || here.startsWith(memory.subpath + '/');
+  return within ? base * (1 + cfg.subpathBoost) : base;
+}
+
+// How many of `limit` slots go to global memories: globalRestoreFraction of
+// them, rounded up, unless the scope is the global project itself.
+function globalSlots(scope, limit, cfg) {
+  if (scope.project === GLOBAL_PROJECT || cfg.globalRestoreFraction <= 0) return 0;
+  return Math.ceil(limit * cfg.globalRestoreFraction);
+}
+
+function parseJob(row) {
+  let payload = {};
+  try { payload = JSON.parse(row.payload) || {}; } catch {}
+  return { ...row, payload };
+}
+
+const byScopedScore = (a, b) => b.pinned - a.pinned || b.score * b.scope_weight - a.score * a.scope_weight;
 
 export class Store {
-  constructor(dbPath) {
+  constructor(dbPath, { embedder } = {}) {
     const cfg = loadConfig();
     this.dbPath = dbPath || cfg.dbPath;
+    this.embedder = embedder === undefined ? getEmbedder() : embedder;
     this.db = null;
     this._stmts = {};
+    this.migration = null;
   }
 
   open() {
@@ -103,11 +117,7 @@ export class Store {
   }
 
   _initSchema() {
-    const version = this._getMetaInt('schema_version', 0);
-    if (version < SCHEMA_VERSION) {
-      this.db.exec(SCHEMA_SQL);
-      this._setMeta('schema_version', String(SCHEMA_VERSION));
-    }
+    this.migration = runMigrations(this.db, { dbPath: this.dbPath });
   }
 
   _getMetaInt(key, fallback) {
@@ -126,12 +136,12 @@ export class Store {
   _prepareStatements() {
     this._stmts = {
       insertMemory: this.db.prepare(`
-        INSERT INTO memories (project, session_id, category, content, keywords, score, source_hash, metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO memories (project, session_id, category, content, keywords, score, source_hash, metadata, subpath)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `),
       hashExists: this.db.prepare('SELECT 1 FROM memories WHERE source_hash = ? LIMIT 1'),
       topMemories: this.db.prepare(`
-        SELECT * FROM memories WHERE project = ? ORDER BY score DESC LIMIT ?
+        SELECT * FROM memories WHERE project = ? AND superseded_by IS NULL ORDER BY pinned DESC, score DESC LIMIT ?
       `),
       searchFts: this.db.prepare(`
         SELECT m.*, fts.rank
@@ -158,17 +168,17 @@ export class Store {
       `),
       decayScores: this.db.prepare(`
         UPDATE memories SET score = MAX(?, score * ?)
-        WHERE last_accessed < datetime('now', ? || ' days')
+        WHERE last_accessed < datetime('now', ? || ' days') AND pinned = 0
       `),
-      pruneByScore: this.db.prepare('DELETE FROM memories WHERE score < ?'),
+      pruneByScore: this.db.prepare('DELETE FROM memories WHERE score < ? AND pinned = 0'),
       pruneByAge: this.db.prepare(`
         DELETE FROM memories WHERE created_at < datetime('now', ? || ' days')
-        AND access_count = 0
+        AND access_count = 0 AND pinned = 0
       `),
       pruneProject: this.db.prepare(`
         DELETE FROM memories WHERE id IN (
-          SELECT id FROM memories WHERE project = ?
-          ORDER BY score ASC LIMIT MAX(0, (SELECT COUNT(*) FROM memories WHERE project = ?) - ?)
+          SELECT id FROM memories WHERE project = ? AND pinned = 0
+          ORDER BY superseded_by IS NULL, score ASC LIMIT MAX(0, (SELECT COUNT(*) FROM memories WHERE project = ?) - ?)
         )
       `),
       countByProject: this.db.prepare('SELECT project, COUNT(*) as cnt FROM memories GROUP BY project'),
@@ -178,7 +188,8 @@ export class Store {
         ORDER BY id DESC LIMIT 1
       `),
       saveCheckpoint: this.db.prepare(`
-        INSERT INTO checkpoints (session_id, transcript_path, last_line_number) VALUES (?, ?, ?)
+        INSERT INTO checkpoints (session_id, transcript_path, last_line_number, byte_offset, boundary_hash, last_uuid, pending_turns)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `),
       upsertSession: this.db.prepare(`
         INSERT INTO sessions (session_id, project) VALUES (?, ?)
@@ -196,21 +207,259 @@ export class Store {
       allSessions: this.db.prepare('SELECT * FROM sessions ORDER BY started_at DESC'),
       getById: this.db.prepare('SELECT * FROM memories WHERE id = ?'),
       deleteById: this.db.prepare('DELETE FROM memories WHERE id = ?'),
-      countBelowScore: this.db.prepare('SELECT COUNT(*) as cnt FROM memories WHERE score < ?'),
-      pruneBelowScore: this.db.prepare('DELETE FROM memories WHERE score < ?'),
-      countOld: this.db.prepare(`SELECT COUNT(*) as cnt FROM memories WHERE created_at < datetime('now', ? || ' days') AND access_count = 0`),
+      countBelowScore: this.db.prepare('SELECT COUNT(*) as cnt FROM memories WHERE score < ? AND pinned = 0'),
+      pruneBelowScore: this.db.prepare('DELETE FROM memories WHERE score < ? AND pinned = 0'),
+      countOld: this.db.prepare(`SELECT COUNT(*) as cnt FROM memories WHERE created_at < datetime('now', ? || ' days') AND access_count = 0 AND pinned = 0`),
+      upsertVector: this.db.prepare(`
+        INSERT OR REPLACE INTO memory_vectors (memory_id, model, dims, vector) VALUES (?, ?, ?, ?)
+      `),
+      getVector: this.db.prepare('SELECT vector FROM memory_vectors WHERE memory_id = ? AND model = ?'),
+      unindexedMemories: this.db.prepare(`
+        SELECT m.id, m.content FROM memories m
+        LEFT JOIN memory_vectors v ON v.memory_id = m.id AND v.model = ?
+        WHERE v.memory_id IS NULL
+        LIMIT ?
+      `),
+      supersedeCandidates: this.db.prepare(`
+        SELECT m.id, m.content, m.metadata FROM memories_fts fts
+        JOIN memories m ON m.id = fts.rowid
+        WHERE memories_fts MATCH ?
+        AND m.project = ? AND m.id < ? AND m.superseded_by IS NULL
+        AND m.category IN ('decision', 'architecture')
+      `),
+      setSupersededBy: this.db.prepare('UPDATE memories SET superseded_by = ? WHERE id = ?'),
+      supersedeResolvedErrors: this.db.prepare(`
+        UPDATE memories SET superseded_by = ?
+        WHERE session_id = ? AND category = 'error' AND id != ? AND superseded_by IS NULL
+          AND json_extract(metadata, '$.call') = ? AND json_extract(metadata, '$.resolves') IS NULL
+      `),
+      setPinned: this.db.prepare('UPDATE memories SET pinned = ? WHERE id = ?'),
+      countUnindexed: this.db.prepare(`
+        SELECT COUNT(*) as cnt FROM memories m
+        LEFT JOIN memory_vectors v ON v.memory_id = m.id AND v.model = ?
+        WHERE v.memory_id IS NULL
+      `),
+      enqueueJob: this.db.prepare(`
+        INSERT INTO jobs (kind, session_id, project, transcript_path, start_line, end_line, payload, run_after)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      nextDueJob: this.db.prepare(`
+        SELECT * FROM jobs WHERE status = 'pending' AND run_after <= ? ORDER BY run_after, id LIMIT 1
+      `),
+      claimJob: this.db.prepare(`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = ? WHERE id = ?
+      `),
+      getJob: this.db.prepare('SELECT * FROM jobs WHERE id = ?'),
+      getJobs: this.db.prepare('SELECT * FROM jobs WHERE (? IS NULL OR status = ?) ORDER BY id DESC LIMIT ?'),
+      jobCounts: this.db.prepare('SELECT status, COUNT(*) AS cnt FROM jobs GROUP BY status'),
+      nextJobDue: this.db.prepare("SELECT MIN(run_after) AS due FROM jobs WHERE status = 'pending'"),
+      completeJob: this.db.prepare(`
+        UPDATE jobs SET status = 'done', last_error = NULL, locked_by = NULL, locked_at = NULL, finished_at = datetime('now')
+        WHERE id = ?
+      `),
+      retryJob: this.db.prepare(`
+        UPDATE jobs SET status = 'pending', last_error = ?, run_after = ?, locked_by = NULL, locked_at = NULL WHERE id = ?
+      `),
+      failJob: this.db.prepare(`
+        UPDATE jobs SET status = 'failed', last_error = ?, locked_by = NULL, locked_at = NULL, finished_at = datetime('now')
+        WHERE id = ?
+      `),
+      continueJob: this.db.prepare(`
+        UPDATE jobs SET status = 'pending', start_line = ?, payload = ?, attempts = 0, last_error = NULL,
+          run_after = 0, locked_by = NULL, locked_at = NULL
+        WHERE id = ?
+      `),
+      releaseStaleJobs: this.db.prepare(`
+        UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL WHERE status = 'running' AND locked_at < ?
+      `),
+      pendingStandIns: this.db.prepare(`
+        SELECT id, pinned, metadata FROM memories WHERE json_extract(metadata, '$.pendingJob') = ?
+      `),
+      setMetadata: this.db.prepare('UPDATE memories SET metadata = ? WHERE id = ?'),
     };
   }
 
-  insertMemory({ project, sessionId, category, content, keywords, score, sourceHash, metadata }) {
+  insertMemory({ project, sessionId, category, content, keywords, score, sourceHash, metadata, subpath = '' }) {
     if (sourceHash && this._stmts.hashExists.get(sourceHash)) return null;
     const info = this._stmts.insertMemory.run(
       project, sessionId, category, content, keywords, score,
-      sourceHash || null, metadata ? JSON.stringify(metadata) : null
+      sourceHash || null, metadata ? JSON.stringify(metadata) : null, subpath || ''
     );
+    this._indexVector(info.lastInsertRowid, content);
+    if (Array.isArray(metadata?.replaces) && metadata.replaces.length > 0) {
+      this._supersedeBySubject(info.lastInsertRowid, project, metadata.replaces);
+    }
+    if (typeof metadata?.resolves === 'string') {
+      this._supersedeResolvedErrors(info.lastInsertRowid, sessionId, metadata.resolves);
+    }
     return info.lastInsertRowid;
   }
 
+  // A "problem → solution" memory replaces the raw failures of the same call
+  // archived from the session before.
+  _supersedeResolvedErrors(newId, sessionId, call) {
+    return this._stmts.supersedeResolvedErrors.run(newId, sessionId, newId, call).changes;
+  }
+
+  // Mark earlier decisions about a subject the new memory reverses (e.g. "use
+  // Postgres instead of SQLite" supersedes "going with SQLite"). Only memories
+  // that chose the subject count, not every one that mentions it.
+  _supersedeBySubject(newId, project, subjects) {
+    let count = 0;
+    for (const subject of subjects) {
+      const phrase = buildFtsQuery(String(subject)).split(' OR ').join(' ');
+      if (!phrase) continue;
+      const chose = choicePattern(String(subject));
+      let rows;
+      try {
+        rows = this._stmts.supersedeCandidates.all(phrase, project, newId);
+      } catch {
+        continue;
+      }
+      for (const row of rows) {
+        let meta = null;
+        try { meta = JSON.parse(row.metadata); } catch {}
+        // Another memory that also moved away from the subject is not a contradiction
+        if (Array.isArray(meta?.replaces) && meta.replaces.includes(subject)) continue;
+        if (!chose.test(row.content)) continue;
+        count += this._stmts.setSupersededBy.run(newId, row.id).changes;
+      }
+    }
+    return count;
+  }
+
+  setSuperseded(id, byId) {
+    if (id === byId) throw new Error('A memory cannot supersede itself');
+    const target = this._stmts.getById.get(id);
+    const by = this._stmts.getById.get(byId);
+    if (!target || !by) throw new Error('Memory not found');
+    if (target.project !== by.project) throw new Error('Memories belong to different projects');
+    for (let cur = by, hops = 0; cur?.superseded_by && hops < 1000; hops++) {
+      if (cur.superseded_by === id) throw new Error('Supersession would create a cycle');
+      cur = this._stmts.getById.get(cur.superseded_by);
+    }
+    return this._stmts.setSupersededBy.run(byId, id).changes;
+  }
+
+  clearSuperseded(id) {
+    return this._stmts.setSupersededBy.run(null, id).changes;
+  }
+
+  // FTS is kept in sync by the memories_au trigger; the stale vector is
+  // dropped by memories_vec_au and recomputed here. source_hash is kept: it
+  // identifies what the memory was extracted from, so re-archiving that source
+  // does not bring back the text before an edit (or a redaction).
+  updateMemory(id, fields) {
+    const cols = ['content', 'keywords', 'category', 'score', 'metadata'].filter(c => fields[c] !== undefined);
+    if (cols.length === 0) return 0;
+    const value = c => (c === 'metadata' && fields.metadata !== null ? JSON.stringify(fields.metadata) : fields[c]);
+    const changes = this.db.prepare(`UPDATE memories SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+      .run(...cols.map(value), id).changes;
+    if (changes > 0 && fields.content !== undefined) this._indexVector(id, fields.content);
+    return changes;
+  }
+
+  setPinned(id, pinned = true) {
+    return this._stmts.setPinned.run(pinned ? 1 : 0, id).changes;
+  }
+
+  getSupersededBy(id) {
+    return this.db.prepare('SELECT * FROM memories WHERE superseded_by = ? ORDER BY id').all(id);
+  }
+
+  _indexVector(id, content) {
+    if (!this.embedder) return false;
+    const vec = this.embedder.embed(content);
+    if (!vec) return false;
+    this._stmts.upsertVector.run(id, this.embedder.id, vec.length, vectorToBlob(vec));
+    return true;
+  }
+
+  getUnindexedMemories(batchSize = 500) {
+    if (!this.embedder) return [];
+    return this._stmts.unindexedMemories.all(this.embedder.id, batchSize);
+  }
+
+  indexVectors(batchSize = 500) {
+    const rows = this.getUnindexedMemories(batchSize);
+    const index = this.db.transaction((list) => {
+      let count = 0;
+      for (const row of list) if (this._indexVector(row.id, row.content)) count++;
+      return count;
+    });
+    return index(rows);
+  }
+
+  countUnindexedVectors() {
+    if (!this.embedder) return 0;
+    return this._stmts.countUnindexed.get(this.embedder.id).cnt;
+  }
+
+  // Scoring every stored vector would make each search linear in the store, so
+  // only the keyword matches and the `semanticCandidates` best-scoring memories
+  // are compared
+  _semanticMatches(query, { project, category, ftsIds = [] } = {}) {
+    const matches = new Map();
+    if (!this.embedder) return matches;
+    const cfg = loadConfig();
+    const queryVec = this.embedder.embed(query);
+    if (!queryVec) return matches;
+
+    const where = ['v.model = ?'];
+    const params = [this.embedder.id];
+    if (project) { where.push('m.project = ?'); params.push(project); }
+    if (category) { where.push('m.category = ?'); params.push(category); }
+
+    const rows = this.db.prepare(`
+      SELECT v.memory_id, v.vector FROM memories m
+      JOIN memory_vectors v ON v.memory_id = m.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY m.score DESC LIMIT ?
+    `).all(...params, cfg.semanticCandidates);
+    const seen = new Set(rows.map(r => r.memory_id));
+    for (const id of ftsIds) {
+      if (seen.has(id)) continue;
+      const row = this._stmts.getVector.get(id, this.embedder.id);
+      if (row) rows.push({ memory_id: id, vector: row.vector });
+    }
+
+    for (const row of rows) {
+      const sim = cosineSimilarity(queryVec, blobToVector(row.vector));
+      if (sim >= cfg.semanticMinSimilarity) matches.set(row.memory_id, sim);
+    }
+    return matches;
+  }
+
+  _hybridSearch(query, { project, category, ftsLimit }) {
+    const cfg = loadConfig();
+    const ftsQuery = buildFtsQuery(query);
+    let ftsRows = [];
+    if (ftsQuery) {
+      const where = ['memories_fts MATCH ?'];
+      const params = [ftsQuery];
+      if (project) { where.push('m.project = ?'); params.push(project); }
+      if (category) { where.push('m.category = ?'); params.push(category); }
+      try {
+        ftsRows = this.db.prepare(`
+          SELECT m.*, fts.rank FROM memories_fts fts
+          JOIN memories m ON m.id = fts.rowid
+          WHERE ${where.join(' AND ')}
+          ORDER BY fts.rank LIMIT ?
+        `).all(...params, ftsLimit);
+      } catch {}
+    }
+
+    const semantic = this._semanticMatches(query, { project, category, ftsIds: ftsRows.map(r => r.id) });
+    const fused = fuseRankings(ftsRows, semantic, cfg.semanticWeight);
+    const results = [];
+    for (const [id, entry] of fused) {
+      const row = entry.row || this._stmts.getById.get(id);
+      if (!row) continue;
+      results.push({ ...row, rank: row.rank ?? null, similarity: entry.similarity, hybrid_score: entry.hybrid });
+    }
+    return results.sort((a, b) => b.hybrid_score - a.hybrid_score);
+  }
+
   insertMany(memories) {
     const insert = this.db.transaction((items) => {
       let count = 0;
@@ -228,13 +477,54 @@ export class Store {
     return this._stmts.topMemories.all(project, limit || cfg.maxMemoriesPerRestore);
   }
 
+  // Scope = { project, subpath, ancestors: [{ project, depth }] } from
+  // resolveScope(). Ancestor projects contribute at a reduced weight and
+  // memories tagged with the current subpath are boosted; each row carries the
+  // resulting scope_weight for the restorer. Global memories take up to their
+  // share of the limit.
+  getScopedMemories(scope, limit) {
+    const cfg = loadConfig();
+    const max = limit || cfg.maxMemoriesPerRestore;
+    const weights = scopeWeights(scope, cfg);
+    const rows = [];
+    for (const project of weights.keys()) {
+      for (const m of this._stmts.topMemories.all(project, max)) {
+        rows.push({ ...m, scope_weight: scopeWeight(m, scope, weights, cfg) });
+      }
+    }
+    const slots = globalSlots(scope, max, cfg);
+    const global = slots ? this._stmts.topMemories.all(GLOBAL_PROJECT, slots).map(m => ({ ...m, scope_weight: 1 })) : [];
+    return [...rows.sort(byScopedScore).slice(0, max - global.length), ...global].sort(byScopedScore);
+  }
+
+  searchScoped(query, scope, limit = 10) {
+    const cfg = loadConfig();
+    const weights = scopeWeights(scope, cfg);
+    const slots = globalSlots(scope, limit, cfg);
+    const projects = slots ? [...weights.keys(), GLOBAL_PROJECT] : [...weights.keys()];
+    const rows = projects.flatMap(project => this.search(query, project, limit));
+    if (rows.length === 0) return rows;
+
+    const ranks = rows.map(r => r.rank ?? 0);
+    const best = Math.min(...ranks);
+    const worst = Math.max(...ranks);
+    for (const r of rows) {
+      const relevance = r.hybrid_score ?? (worst === best ? 1 : (worst - (r.rank ?? 0)) / (worst - best));
+      r.scope_weight = scopeWeight(r, scope, weights, cfg);
+      r.scope_score = relevance * r.scope_weight;
+    }
+    rows.sort((a, b) => b.scope_score - a.scope_score);
+    if (!slots) return rows.slice(0, limit);
+    const global = rows.filter(r => r.project === GLOBAL_PROJECT).slice(0, slots);
+    const local = rows.filter(r => r.project !== GLOBAL_PROJECT).slice(0, limit - global.length);
+    return [...local, ...global].sort((a, b) => b.scope_score - a.scope_score);
+  }
+
   search(query, project, limit = 10) {
-    const ftsQuery = query.split(/\s+/)
-      .filter(w => w.length > 1)
-      .map(w => w.replace(/[*^{}[\]():~!]/g, '').replace(/"/g, '""'))
-      .filter(w => w.length > 1)
-      .map(w => `"${w}"`)
-      .join(' OR ');
+    if (this.embedder) {
+      return this._hybridSearch(query, { project, ftsLimit: limit * 4 }).slice(0, limit);
+    }
+    const ftsQuery = buildFtsQuery(query);
     if (!ftsQuery) return [];
     try {
       if (project) {
@@ -277,8 +567,14 @@ export class Store {
     return this._stmts.getCheckpoint.get(sessionId, transcriptPath);
   }
 
-  saveCheckpoint(sessionId, transcriptPath, lastLineNumber) {
-    this._stmts.saveCheckpoint.run(sessionId, transcriptPath, lastLineNumber);
+  // byteOffset/boundaryHash locate the last parsed line and lastUuid the last
+  // message on the active branch (see parseTranscript). pendingTurns are
+  // formatted turns the LLM extractor has not processed yet.
+  saveCheckpoint(sessionId, transcriptPath, lastLineNumber, {
+    byteOffset = 0, boundaryHash = null, lastUuid = null, pendingTurns = [],
+  } = {}) {
+    this._stmts.saveCheckpoint.run(sessionId, transcriptPath, lastLineNumber, byteOffset, boundaryHash, lastUuid,
+      pendingTurns.length > 0 ? JSON.stringify(pendingTurns) : null);
   }
 
   upsertSession(sessionId, project) {
@@ -293,6 +589,15 @@ export class Store {
     this._stmts.incrSessionCompactions.run(sessionId);
   }
 
+  // Counters from validating LLM replies (see extractMemoriesLLM's recordStats)
+  addSessionLlmStats(sessionId, { dropped = 0, repaired = 0, retries = 0, invalid = 0 }) {
+    this.db.prepare(`
+      UPDATE sessions SET llm_dropped = llm_dropped + ?, llm_repaired = llm_repaired + ?,
+        llm_retries = llm_retries + ?, llm_invalid = llm_invalid + ?
+      WHERE session_id = ?
+    `).run(dropped, repaired, retries, invalid, sessionId);
+  }
+
   endSession(sessionId) {
     this._stmts.endSession.run(sessionId);
   }
@@ -317,6 +622,176 @@ export class Store {
     return this._stmts.deleteById.run(id).changes;
   }
 
+  getSessionMemories(sessionId) {
+    return this.db.prepare('SELECT id, pinned, metadata FROM memories WHERE session_id = ?').all(sessionId);
+  }
+
+  // Failures from the session not yet followed by a fix, for the next archive
+  // pass to resolve (see extractMemories' `priorErrors`).
+  getOpenErrors(sessionId) {
+    return this.db.prepare(`
+      SELECT json_extract(metadata, '$.call') AS call, content FROM memories
+      WHERE session_id = ? AND category = 'error' AND superseded_by IS NULL
+        AND json_extract(metadata, '$.call') IS NOT NULL AND json_extract(metadata, '$.resolves') IS NULL
+      ORDER BY id
+    `).all(sessionId);
+  }
+
+  // Memories archived from turns the user rewound past. They are deleted, or
+  // with the 'flag' policy (and always when pinned) kept with `abandonedBranch`
+  // set in metadata; flagged unpinned ones drop to the score floor.
+  abandonMemories(ids, { policy = 'delete' } = {}) {
+    const cfg = loadConfig();
+    const select = this.db.prepare('SELECT pinned, metadata FROM memories WHERE id = ?');
+    const flag = this.db.prepare(`
+      UPDATE memories SET metadata = ?, score = CASE WHEN pinned = 1 THEN score ELSE MIN(score, ?) END WHERE id = ?
+    `);
+    const run = this.db.transaction(() => {
+      let deleted = 0;
+      let flagged = 0;
+      for (const id of ids) {
+        const row = select.get(id);
+        if (!row) continue;
+        if (policy === 'delete' && !row.pinned) {
+          deleted += this._stmts.deleteById.run(id).changes;
+          continue;
+        }
+        let meta = {};
+        try { meta = JSON.parse(row.metadata) || {}; } catch {}
+        flagged += flag.run(JSON.stringify({ ...meta, abandonedBranch: true }), cfg.scoreFloor, id).changes;
+      }
+      return { deleted, flagged };
+    });
+    return run();
+  }
+
+  // Runs fn in one transaction; Store calls inside it join it
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  // Background jobs. `run_after` and `locked_at` are epoch milliseconds; a job
+  // is 'pending' until a worker claims it ('running'), then 'done' or 'failed'.
+  enqueueJob({ kind, sessionId, project, transcriptPath, startLine, endLine, payload = {}, runAfter = 0 }) {
+    return this._stmts.enqueueJob.run(
+      kind, sessionId, project, transcriptPath, startLine, endLine, JSON.stringify(payload), runAfter,
+    ).lastInsertRowid;
+  }
+
+  // Takes the oldest due job, atomically across processes
+  claimJob(workerId, now = Date.now()) {
+    const claim = this.db.transaction(() => {
+      const job = this._stmts.nextDueJob.get(now);
+      if (!job) return null;
+      this._stmts.claimJob.run(workerId, now, job.id);
+      return parseJob({ ...job, status: 'running', attempts: job.attempts + 1, locked_by: workerId, locked_at: now });
+    });
+    return claim.immediate();
+  }
+
+  getJob(id) {
+    const row = this._stmts.getJob.get(id);
+    return row ? parseJob(row) : null;
+  }
+
+  getJobs({ status = null, limit = 50 } = {}) {
+    return this._stmts.getJobs.all(status, status, limit).map(parseJob);
+  }
+
+  getJobCounts() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    for (const { status, cnt } of this._stmts.jobCounts.all()) {
+      counts[status] = cnt;
+    }
+    return counts;
+  }
+
+  // When the next pending job becomes due, or null when none is pending
+  nextJobDue() {
+    return this._stmts.nextJobDue.get().due;
+  }
+
+  completeJob(id) {
+    this._stmts.completeJob.run(id);
+  }
+
+  retryJob(id, error, runAfter) {
+    this._stmts.retryJob.run(error, runAfter, id);
+  }
+
+  failJob(id, error) {
+    this._stmts.failJob.run(error, id);
+  }
+
+  // Puts a partly done job back in the queue with what is left of it
+  continueJob(id, { startLine, payload }) {
+    this._stmts.continueJob.run(startLine, JSON.stringify(payload), id);
+  }
+
+  // Running jobs whose worker stopped (locked before `lockedBefore`) go back
+  // to pending
+  releaseStaleJobs(lockedBefore) {
+    return this._stmts.releaseStaleJobs.run(lockedBefore).changes;
+  }
+
+  // Memories archived as stand-ins until job `jobId` lands (metadata.pendingJob).
+  // With `discard` the unpinned ones are deleted; otherwise, and for pinned and
+  // problem → solution ones (deleting those would reopen the errors they
+  // superseded), the marker is removed and they stay.
+  resolveProvisional(jobId, { discard = false } = {}) {
+    const rows = this._stmts.pendingStandIns.all(jobId);
+    const run = this.db.transaction(() => {
+      let deleted = 0;
+      for (const row of rows) {
+        const { pendingJob, ...meta } = JSON.parse(row.metadata);
+        if (discard && !row.pinned && !meta.resolves) {
+          deleted += this._stmts.deleteById.run(row.id).changes;
+          continue;
+        }
+        this._stmts.setMetadata.run(JSON.stringify(meta), row.id);
+      }
+      return deleted;
+    });
+    return run();
+  }
+
+  // One LLM request: `status` is 'ok', 'error' or 'timeout'; token counts are
+  // null when the endpoint did not report them
+  recordLlmCall({ project, sessionId = null, provider, model, status, inputTokens = null, outputTokens = null, latencyMs, error = null }) {
+    this.db.prepare(`
+      INSERT INTO llm_calls (project, session_id, provider, model, status, input_tokens, output_tokens, latency_ms, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(project, sessionId, provider, model, status, inputTokens, outputTokens, Math.round(latencyMs), error);
+  }
+
+  // Calls and tokens per month (YYYY-MM, UTC), project and model, newest first
+  getLlmUsage({ project = null, months = 12 } = {}) {
+    return this.db.prepare(`
+      SELECT strftime('%Y-%m', created_at) AS month, project, model, COUNT(*) AS calls,
+        SUM(status != 'ok') AS failed, COALESCE(SUM(input_tokens), 0) AS input_tokens,
+        COALESCE(SUM(output_tokens), 0) AS output_tokens, CAST(AVG(latency_ms) AS INTEGER) AS avg_latency_ms
+      FROM llm_calls
+      WHERE (? IS NULL OR project = ?) AND created_at >= datetime('now', 'start of month', ? || ' months')
+      GROUP BY month, project, model ORDER BY month DESC, project, model
+    `).all(project, project, `-${Math.max(0, months - 1)}`);
+  }
+
+  getLlmDaily(days = 30) {
+    return this.db.prepare(`
+      SELECT DATE(created_at) AS day, COUNT(*) AS calls, COALESCE(SUM(input_tokens), 0) AS input_tokens,
+        COALESCE(SUM(output_tokens), 0) AS output_tokens
+      FROM llm_calls WHERE created_at > datetime('now', ? || ' days') GROUP BY day ORDER BY day
+    `).all(`-${Math.max(1, days)}`);
+  }
+
+  // Input plus output tokens a project has used this calendar month (UTC)
+  getMonthlyLlmTokens(project) {
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(input_tokens), 0) + COALESCE(SUM(output_tokens), 0) AS tokens FROM llm_calls
+      WHERE project = ? AND created_at >= datetime('now', 'start of month')
+    `).get(project).tokens;
+  }
+
   countBelowScore(threshold) {
     return this._stmts.countBelowScore.get(threshold).cnt;
   }
@@ -361,12 +836,21 @@ export class Store {
     if (project) { where.push('m.project = ?'); params.push(project); }
     if (category) { where.push('m.category = ?'); params.push(category); }
 
-    const validSorts = { score: 'm.score', created: 'm.created_at', accessed: 'm.last_accessed', access_count: 'm.access_count', id: 'm.id' };
-    const sortCol = validSorts[sort] || 'm.score';
+    const sortCol = 'm.' + (SORT_KEYS[sort] || 'score');
     const dir = order === 'asc' ? 'ASC' : 'DESC';
 
+    if (search && this.embedder) {
+      const matches = this._hybridSearch(search, { project, category, ftsLimit: 1000 });
+      const key = sort === 'relevance' ? 'hybrid_score' : (SORT_KEYS[sort] || 'score');
+      const sign = order === 'asc' ? 1 : -1;
+      matches.sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * sign);
+      const offset = (Math.max(1, page) - 1) * limit;
+      const total = matches.length;
+      return { rows: matches.slice(offset, offset + limit), total, page, limit, pages: Math.ceil(total / limit) };
+    }
+
     if (search) {
-      const ftsQuery = search.split(/\s+/).filter(w => w.length > 1).map(w => w.replace(/[*^{}[\]():~!]/g, '').replace(/"/g, '""')).filter(w => w.length > 1).map(w => `"${w}"`).join(' OR ');
+      const ftsQuery = buildFtsQuery(search);
       if (ftsQuery) {
         try {
           const offset = (Math.max(1, page) - 1) * limit;
@@ -375,7 +859,8 @@ export class Store {
           const dataParams = [ftsQuery, ...params, limit, offset];
 
           const total = this.db.prepare(`SELECT COUNT(*) as total FROM memories_fts fts JOIN memories m ON m.id = fts.rowid WHERE memories_fts MATCH ? ${filterClause}`).get(...countParams).total;
-          const rows = this.db.prepare(`SELECT m.* FROM memories_fts fts JOIN memories m ON m.id = fts.rowid WHERE memories_fts MATCH ? ${filterClause} ORDER BY ${sortCol} ${dir} LIMIT ? OFFSET ?`).all(...dataParams);
+          const orderBy = sort === 'relevance' ? `fts.rank ${dir === 'DESC' ? 'ASC' : 'DESC'}` : `${sortCol} ${dir}`;
+          const rows = this.db.prepare(`SELECT m.* FROM memories_fts fts JOIN memories m ON m.id = fts.rowid WHERE memories_fts MATCH ? ${filterClause} ORDER BY ${orderBy} LIMIT ? OFFSET ?`).all(...dataParams);
           return { rows, total, page, limit, pages: Math.ceil(total / limit) };
         } catch { return { rows: [], total: 0, page, limit, pages: 0 }; }
       }
@@ -395,6 +880,63 @@ export class Store {
     return this.db.prepare(`SELECT category, COUNT(*) as cnt, AVG(score) as avg_score FROM memories ${where} GROUP BY category ORDER BY cnt DESC`).all(...params);
   }
 
+  mergeMemories(survivorId, mergedIds, { similarity = null } = {}) {
+    const ids = mergedIds.filter(id => id !== survivorId);
+    if (ids.length === 0) return null;
+
+    const merge = this.db.transaction(() => {
+      const survivor = this._stmts.getById.get(survivorId);
+      if (!survivor) return null;
+      const merged = ids.map(id => this._stmts.getById.get(id)).filter(Boolean);
+      if (merged.length === 0) return null;
+
+      const all = [survivor, ...merged];
+      let metadata = {};
+      try { metadata = JSON.parse(survivor.metadata) || {}; } catch {}
+      metadata.merged_from = [...(metadata.merged_from || []), ...merged.map(m => m.id)];
+
+      const keywords = [...new Set(all.flatMap(m => m.keywords.split(' ').filter(Boolean)))].slice(0, 30).join(' ');
+      this.db.prepare(`
+        UPDATE memories SET
+          keywords = ?, score = ?, access_count = ?, created_at = ?, last_accessed = ?, metadata = ?, pinned = ?
+        WHERE id = ?
+      `).run(
+        keywords,
+        Math.max(...all.map(m => m.score)),
+        all.reduce((sum, m) => sum + m.access_count, 0),
+        all.map(m => m.created_at).sort()[0],
+        all.map(m => m.last_accessed).sort().pop(),
+        JSON.stringify(metadata),
+        all.some(m => m.pinned) ? 1 : 0,
+        survivorId,
+      );
+
+      this.db.prepare(`
+        INSERT INTO memory_merges (project, survivor_id, merged_ids, merged_rows, similarity) VALUES (?, ?, ?, ?, ?)
+      `).run(survivor.project, survivorId, JSON.stringify(merged.map(m => m.id)), JSON.stringify(merged), similarity);
+
+      for (const m of merged) {
+        this.db.prepare('UPDATE memories SET superseded_by = CASE WHEN id = ? THEN NULL ELSE ? END WHERE superseded_by = ?')
+          .run(survivorId, survivorId, m.id);
+        this._stmts.deleteById.run(m.id);
+      }
+      this._indexVector(survivorId, survivor.content);
+      return merged.length;
+    });
+    return merge();
+  }
+
+  getMergeLog(project, limit = 50) {
+    if (project) {
+      return this.db.prepare('SELECT * FROM memory_merges WHERE project = ? ORDER BY id DESC LIMIT ?').all(project, limit);
+    }
+    return this.db.prepare('SELECT * FROM memory_merges ORDER BY id DESC LIMIT ?').all(limit);
+  }
+
+  setMergeRows(id, rows) {
+    this.db.prepare('UPDATE memory_merges SET merged_rows = ? WHERE id = ?').run(JSON.stringify(rows), id);
+  }
+
   exportAll(project) {
     if (project) {
       return this.db.prepare('SELECT * FROM memories WHERE project = ? ORDER BY score DESC').all(project);
@@ -402,6 +944,102 @@ export class Store {
     return this.db.prepare('SELECT * FROM memories ORDER BY project, score DESC').all();
   }
 
+  // Re-key everything stored under one project identity to another. `merge`
+  // allows the target to already have memories; otherwise that is an error.
+  moveProject(from, to, { merge = false, transcriptSlug = null } = {}) {
+    if (!from || !to) throw new Error('Both source and target projects are required');
+    if (from === to) throw new Error('Source and target projects are the same');
+
+    const count = (table, project) =>
+      this.db.prepare(`SELECT COUNT(*) as cnt FROM ${table} WHERE project = ?`).get(project).cnt;
+
+    const move = this.db.transaction(() => {
+      if (count('memories', from) === 0 && count('sessions', from) === 0) {
+        throw new Error(`No memories or sessions recorded for ${from}`);
+      }
+      if (!merge && count('memories', to) > 0) {
+        throw new Error(`${to} already has memories; use merge to combine them`);
+      }
+
+      const sessionIds = this.db.prepare('SELECT session_id FROM sessions WHERE project = ?').all(from).map(r => r.session_id);
+      let checkpoints = 0;
+      if (transcriptSlug) {
+        const oldSeg = `/${transcriptSlug(from)}/`;
+        const newSeg = `/${transcriptSlug(to)}/`;
+        const select = this.db.prepare('SELECT id, transcript_path FROM checkpoints WHERE session_id = ? OR session_id LIKE ?');
+        const update = this.db.prepare('UPDATE checkpoints SET transcript_path = ? WHERE id = ?');
+        for (const sid of sessionIds) {
+          for (const cp of select.all(sid, `${sid}:%`)) {
+            if (!cp.transcript_path.includes(oldSeg)) continue;
+            checkpoints += update.run(cp.transcript_path.replace(oldSeg, newSeg), cp.id).changes;
+          }
+        }
+      }
+
+      return {
+        memories: this.db.prepare('UPDATE memories SET project = ? WHERE project = ?').run(to, from).changes,
+        sessions: this.db.prepare('UPDATE sessions SET project = ? WHERE project = ?').run(to, from).changes,
+        merges: this.db.prepare('UPDATE memory_merges SET project = ? WHERE project = ?').run(to, from).changes,
+        llmCalls: this.db.prepare('UPDATE llm_calls SET project = ? WHERE project = ?').run(to, from).changes,
+        jobs: this.db.prepare('UPDATE jobs SET project = ? WHERE project = ?').run(to, from).changes,
+        checkpoints,
+      };
+    });
+    return move();
+  }
+
+  // Insert exported rows verbatim (timestamps, counters, metadata). A row whose
+  // source_hash already exists is skipped when it matches the stored memory and
+  // counted as a conflict otherwise; the stored memory always wins.
+  importRows(rows, { dryRun = false } = {}) {
+    const byHash = this.db.prepare('SELECT id, project, content FROM memories WHERE source_hash = ? LIMIT 1');
+    const byContent = this.db.prepare('SELECT id FROM memories WHERE project = ? AND content = ? LIMIT 1');
+    const insert = this.db.prepare(`
+      INSERT INTO memories (project, session_id, category, content, keywords, score, created_at, last_accessed,
+        access_count, source_hash, metadata, pinned, subpath)
+      VALUES (@project, @session_id, @category, @content, @keywords, @score, @created_at, @last_accessed,
+        @access_count, @source_hash, @metadata, @pinned, @subpath)
+    `);
+
+    const result = { inserted: 0, skipped: 0, conflicts: 0, conflictIds: [] };
+    const run = this.db.transaction(() => {
+      const seen = new Map();
+      const idMap = new Map();
+      for (const row of rows) {
+        const existing = row.source_hash
+          ? (seen.get(row.source_hash) || byHash.get(row.source_hash))
+          : byContent.get(row.project, row.content);
+        if (existing) {
+          if (!row.source_hash || (existing.project === row.project && existing.content === row.content)) {
+            result.skipped++;
+            if (existing.id) idMap.set(row.id, existing.id);
+          } else {
+            result.conflicts++;
+            result.conflictIds.push(row.id ?? null);
+          }
+          continue;
+        }
+        result.inserted++;
+        const id = dryRun ? null : Number(insert.run(row).lastInsertRowid);
+        if (row.source_hash) seen.set(row.source_hash, { id, project: row.project, content: row.content });
+        if (dryRun) continue;
+        idMap.set(row.id, id);
+        this._indexVector(id, row.content);
+      }
+
+      if (dryRun) return;
+      // Supersession links point at ids from the source database
+      for (const row of rows) {
+        if (!row.superseded_by || !idMap.has(row.id) || !idMap.has(row.superseded_by)) continue;
+        const id = idMap.get(row.id);
+        const by = idMap.get(row.superseded_by);
+        if (id !== by) this._stmts.setSupersededBy.run(by, id);
+      }
+    });
+    run();
+    return result;
+  }
+
   close() {
     if (this.db) {
       this.db.close();
@@ -1,4 +1,7 @@
 import { Store } from '../db/store.js';
+import { loadEmbedder } from '../core/embedder.js';
+import { loadProjectResolver } from '../core/project.js';
+import { archivePolicy } from '../core/exclusions.js';
 
 export function readStdin(timeoutMs = 500) {
   return new Promise((resolve) => {
@@ -64,7 +67,25 @@ export function log(msg) {
   process.stderr.write(`[infinite-context] ${msg}\n`);
 }
 
+// Whether the project is excluded by its archive policy (excludeProjects,
+// includeProjects or a .infinite-context.json opt-out); hooks then do nothing
+export function isExcluded(name, project, cwd) {
+  const { excluded, reason } = archivePolicy(project, cwd);
+  if (excluded) log(`${name}: skipped, ${project} ${reason}`);
+  return excluded;
+}
+
 export async function runHook(name, fn) {
+  try {
+    await loadEmbedder();
+  } catch (err) {
+    log(`${name}: embedder module failed to load (${err.message}), semantic search is off until it loads`);
+  }
+  try {
+    await loadProjectResolver();
+  } catch (err) {
+    log(`${name}: project resolver failed to load (${err.message}), using paths`);
+  }
   try {
     await fn();
   } catch (err) {
@@ -1,9 +1,8 @@
 #!/usr/bin/env node
-import { readStdin, openDb, writePlainOutput, log, runHook } from './common.js';
-import { parseTranscript, groupIntoTurns } from '../core/transcript-parser.js';
-import { extractMemories } from '../core/archiver.js';
-import { extractMemoriesLLM } from '../core/llm-archiver.js';
-import { getProjectConfig } from '../core/config.js';
+import { readStdin, openDb, isExcluded, writePlainOutput, log, runHook } from './common.js';
+import { archiveTranscript } from '../core/archive-pipeline.js';
+import { spawnWorker, jobsDue } from '../core/worker.js';
+import { resolveScope } from '../core/project.js';
 
 runHook('pre-compact', async () => {
   const input = await readStdin();
@@ -12,66 +11,34 @@ runHook('pre-compact', async () => {
   const { session_id: sessionId, transcript_path: transcriptPath, cwd, trigger } = input;
   if (!transcriptPath || !sessionId) return;
 
+  const scope = resolveScope(cwd);
+  const project = scope?.project || 'unknown';
+  if (isExcluded('pre-compact', project, cwd)) return;
+
   const db = openDb();
   if (!db) return;
 
   try {
-    const project = cwd || 'unknown';
-    db.upsertSession(sessionId, project);
-
-    const checkpoint = db.getCheckpoint(sessionId, transcriptPath);
-    let startLine = checkpoint ? checkpoint.last_line_number : 0;
-
-    let { messages, lastLine } = parseTranscript(transcriptPath, startLine);
-
-    if (messages.length === 0 && lastLine < startLine) {
-      log(`pre-compact: transcript rollback detected (checkpoint=${startLine} > transcript=${lastLine}), re-parsing`);
-      startLine = 0;
-      ({ messages, lastLine } = parseTranscript(transcriptPath, 0));
-    }
-
-    if (messages.length === 0) {
-      log(`pre-compact: no new messages since line ${startLine}`);
+    const result = await archiveTranscript(db, {
+      sessionId, transcriptPath, project, subpath: scope?.subpath, cwd,
+      source: 'pre-compact',
+      background: true,
+      log: msg => log(`pre-compact: ${msg}`),
+    });
+    if (result.queuedJob || jobsDue(db)) spawnWorker({ log: msg => log(`pre-compact: ${msg}`) });
+
+    if (result.messages === 0) {
+      log(`pre-compact: no new messages since line ${result.startLine}`);
       return;
     }
-
-    const turns = groupIntoTurns(messages);
-    const projectCfg = getProjectConfig(project);
-    let memories;
-
-    if (projectCfg.extractionMode === 'llm' || projectCfg.extractionMode === 'hybrid') {
-      try {
-        const llmMemories = await extractMemoriesLLM(turns, project, sessionId);
-        if (projectCfg.extractionMode === 'hybrid') {
-          const rulesMemories = extractMemories(turns, project, sessionId);
-          memories = [...llmMemories, ...rulesMemories];
-        } else {
-          memories = llmMemories;
-        }
-        log(`pre-compact: LLM extracted ${llmMemories.length} memories (mode=${projectCfg.extractionMode})`);
-      } catch (err) {
-        log(`pre-compact: LLM failed (${err.message}), falling back to rules`);
-        memories = extractMemories(turns, project, sessionId);
-      }
-    } else {
-      memories = extractMemories(turns, project, sessionId);
-    }
-
-    if (memories.length === 0) {
+    if (result.extracted === 0) {
       log('pre-compact: no memories extracted');
-      db.saveCheckpoint(sessionId, transcriptPath, lastLine);
       return;
     }
 
-    const inserted = db.insertMany(memories);
-    db.saveCheckpoint(sessionId, transcriptPath, lastLine);
-    db.incrSessionMemories(sessionId, inserted);
-    db.incrSessionCompactions(sessionId);
-    db.enforceProjectLimit(project);
-
-    log(`pre-compact: archived ${inserted} memories (${memories.length - inserted} deduped), trigger=${trigger || 'auto'}`);
+    log(`pre-compact: archived ${result.inserted} memories (${result.deduped} deduped) in ${result.timings.totalMs}ms, trigger=${trigger || 'auto'}`);
 
-    const instructions = buildCompactInstructions(memories, inserted, project);
+    const instructions = buildCompactInstructions(result.memories, result.inserted, project);
     writePlainOutput(instructions);
   } finally {
     db.close();
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
-import { readStdin, openDb, log, runHook } from './common.js';
-import { parseTranscript, groupIntoTurns } from '../core/transcript-parser.js';
-import { extractMemories } from '../core/archiver.js';
-import { extractMemoriesLLM } from '../core/llm-archiver.js';
+import { readStdin, openDb, isExcluded, log, runHook } from './common.js';
+import { archiveTranscript } from '../core/archive-pipeline.js';
+import { spawnWorker, jobsDue } from '../core/worker.js';
 import { getProjectConfig } from '../core/config.js';
+import { consolidateProject } from '../core/consolidator.js';
+import { resolveScope } from '../core/project.js';
+import { primeEmbeddings } from '../core/embedder.js';
 
 runHook('session-end', async () => {
   const input = await readStdin();
@@ -12,51 +14,32 @@ runHook('session-end', async () => {
   const { session_id: sessionId, transcript_path: transcriptPath, cwd } = input;
   if (!sessionId) return;
 
+  const scope = resolveScope(cwd);
+  const project = scope?.project || 'unknown';
+  if (isExcluded('session-end', project, cwd)) return;
+
   const db = openDb();
   if (!db) return;
 
   try {
-    const project = cwd || 'unknown';
 
     if (transcriptPath) {
-      const checkpoint = db.getCheckpoint(sessionId, transcriptPath);
-      let startLine = checkpoint ? checkpoint.last_line_number : 0;
-
-      let { messages, lastLine } = parseTranscript(transcriptPath, startLine);
-
-      if (messages.length === 0 && lastLine < startLine) {
-        log(`session-end: transcript rollback detected (checkpoint=${startLine} > transcript=${lastLine}), re-parsing`);
-        startLine = 0;
-        ({ messages, lastLine } = parseTranscript(transcriptPath, 0));
+      const result = await archiveTranscript(db, {
+        sessionId, transcriptPath, project, subpath: scope?.subpath, cwd,
+        source: 'session-end',
+        background: true,
+        log: msg => log(`session-end: ${msg}`),
+      });
+      if (result.queuedJob || jobsDue(db)) spawnWorker({ log: msg => log(`session-end: ${msg}`) });
+      if (result.messages > 0) {
+        log(`session-end: final archive ${result.inserted} memories (${result.deduped} deduped) in ${result.timings.totalMs}ms`);
       }
+    }
 
-      if (messages.length > 0) {
-        const turns = groupIntoTurns(messages);
-        const projectCfg = getProjectConfig(project);
-        let memories;
-
-        if (projectCfg.extractionMode === 'llm' || projectCfg.extractionMode === 'hybrid') {
-          try {
-            const llmMemories = await extractMemoriesLLM(turns, project, sessionId);
-            if (projectCfg.extractionMode === 'hybrid') {
-              memories = [...llmMemories, ...extractMemories(turns, project, sessionId)];
-            } else {
-              memories = llmMemories;
-            }
-          } catch (err) {
-            log(`session-end: LLM failed (${err.message}), falling back to rules`);
-            memories = extractMemories(turns, project, sessionId);
-          }
-        } else {
-          memories = extractMemories(turns, project, sessionId);
-        }
-
-        if (memories.length > 0) {
-          const inserted = db.insertMany(memories);
-          db.saveCheckpoint(sessionId, transcriptPath, lastLine);
-          db.incrSessionMemories(sessionId, inserted);
-          log(`session-end: final archive ${inserted} memories`);
-        }
+    if (getProjectConfig(project).consolidateOnSessionEnd) {
+      const { merged } = consolidateProject(db, project, { sessionId });
+      if (merged > 0) {
+        log(`session-end: consolidated ${merged} near-duplicate memories`);
       }
     }
 
@@ -67,6 +50,13 @@ runHook('session-end', async () => {
 
     db.enforceProjectLimit(project);
 
+    await primeEmbeddings(db.embedder, db.getUnindexedMemories().map(m => m.content))
+      .catch(err => log(`session-end: embedding failed (${err.message})`));
+    const indexed = db.indexVectors();
+    if (indexed > 0) {
+      log(`session-end: indexed ${indexed} memory vectors`);
+    }
+
     db.endSession(sessionId);
 
     log('session-end: cleanup complete');
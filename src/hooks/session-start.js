@@ -1,7 +1,8 @@
 #!/usr/bin/env node
-import { readStdin, openDb, writeHookOutput, log, runHook } from './common.js';
+import { readStdin, openDb, isExcluded, writeHookOutput, log, runHook } from './common.js';
 import { restoreContext } from '../core/restorer.js';
 import { loadConfig } from '../core/config.js';
+import { resolveScope } from '../core/project.js';
 
 runHook('session-start', async () => {
   const input = await readStdin();
@@ -9,6 +10,9 @@ runHook('session-start', async () => {
 
   const { session_id: sessionId, cwd, source } = input;
   if (!cwd) return;
+  const scope = resolveScope(cwd);
+  const { project } = scope;
+  if (isExcluded('session-start', project, cwd)) return;
 
   if (source && !['compact', 'clear', 'resume', 'startup'].includes(source)) return;
 
@@ -17,10 +21,10 @@ runHook('session-start', async () => {
 
   try {
     if (sessionId) {
-      db.upsertSession(sessionId, cwd);
+      db.upsertSession(sessionId, project);
     }
 
-    const memories = db.getTopMemories(cwd);
+    const memories = db.getScopedMemories(scope);
     if (!memories || memories.length === 0) {
       log('session-start: no memories for this project');
       return;
@@ -37,7 +41,7 @@ runHook('session-start', async () => {
 
     db.touchMemories(ids);
 
-    log(`session-start: restored ${ids.length} memories for ${cwd} (source=${source || 'unknown'}, budget=${budget})`);
+    log(`session-start: restored ${ids.length} memories for ${project} (source=${source || 'unknown'}, budget=${budget})`);
     writeHookOutput('SessionStart', text);
   } finally {
     db.close();
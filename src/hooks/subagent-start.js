@@ -1,7 +1,8 @@
 #!/usr/bin/env node
-import { readStdin, openDb, writeHookOutput, log, runHook } from './common.js';
+import { readStdin, openDb, isExcluded, writeHookOutput, log, runHook } from './common.js';
 import { restoreContext } from '../core/restorer.js';
 import { loadConfig } from '../core/config.js';
+import { resolveScope } from '../core/project.js';
 
 runHook('subagent-start', async () => {
   const input = await readStdin();
@@ -9,6 +10,8 @@ runHook('subagent-start', async () => {
 
   const { cwd, agent_id: agentId, agent_type: agentType } = input;
   if (!cwd) return;
+  const scope = resolveScope(cwd);
+  if (isExcluded('subagent-start', scope.project, cwd)) return;
 
   const db = openDb();
   if (!db) return;
@@ -16,7 +19,7 @@ runHook('subagent-start', async () => {
   try {
     const cfg = loadConfig();
     const budget = Math.floor(cfg.maxRestoreTokens * 0.6);
-    const memories = db.getTopMemories(cwd, Math.floor(cfg.maxMemoriesPerRestore * 0.6));
+    const memories = db.getScopedMemories(scope, Math.floor(cfg.maxMemoriesPerRestore * 0.6));
 
     if (!memories || memories.length === 0) {
       log(`subagent-start: no memories for ${agentType || 'unknown'} agent`);
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
-import { readStdin, openDb, log, runHook } from './common.js';
-import { parseTranscript, groupIntoTurns } from '../core/transcript-parser.js';
-import { extractMemories } from '../core/archiver.js';
+import { readStdin, openDb, isExcluded, log, runHook } from './common.js';
+import { archiveTranscript } from '../core/archive-pipeline.js';
+import { spawnWorker, jobsDue } from '../core/worker.js';
+import { resolveScope } from '../core/project.js';
 
 runHook('subagent-stop', async () => {
   const input = await readStdin();
@@ -17,49 +18,31 @@ runHook('subagent-stop', async () => {
 
   if (!agentTranscriptPath || !sessionId) return;
 
+  const scope = resolveScope(cwd);
+  const project = scope?.project || 'unknown';
+  if (isExcluded('subagent-stop', project, cwd)) return;
+
   const db = openDb();
   if (!db) return;
 
   try {
-    const project = cwd || 'unknown';
-    const agentSessionId = agentId ? `${sessionId}:${agentId}` : sessionId;
-
-    const checkpoint = db.getCheckpoint(agentSessionId, agentTranscriptPath);
-    let startLine = checkpoint ? checkpoint.last_line_number : 0;
-
-    let { messages, lastLine } = parseTranscript(agentTranscriptPath, startLine);
-    if (messages.length === 0 && lastLine < startLine) {
-      log(`subagent-stop: transcript rollback detected (checkpoint=${startLine} > transcript=${lastLine}), re-parsing`);
-      startLine = 0;
-      ({ messages, lastLine } = parseTranscript(agentTranscriptPath, 0));
+    const agent = agentType || 'unknown';
+    const result = await archiveTranscript(db, {
+      sessionId, transcriptPath: agentTranscriptPath, project, subpath: scope?.subpath, cwd,
+      source: 'subagent-stop',
+      background: true,
+      agent: { id: agentId || null, type: agentType || null },
+      log: msg => log(`subagent-stop: ${msg}`),
+    });
+    if (result.queuedJob || jobsDue(db)) spawnWorker({ log: msg => log(`subagent-stop: ${msg}`) });
+
+    if (result.messages === 0) {
+      log(`subagent-stop: no messages in ${agent} agent transcript`);
+    } else if (result.extracted === 0) {
+      log(`subagent-stop: no memories from ${agent} agent`);
+    } else {
+      log(`subagent-stop: archived ${result.inserted} memories from ${agent} agent (${agentId || 'no-id'}), ${result.deduped} deduped`);
     }
-    if (messages.length === 0) {
-      log(`subagent-stop: no messages in ${agentType || 'unknown'} agent transcript`);
-      return;
-    }
-
-    const turns = groupIntoTurns(messages);
-    const memories = extractMemories(turns, project, agentSessionId);
-
-    if (memories.length === 0) {
-      log(`subagent-stop: no memories from ${agentType || 'unknown'} agent`);
-      db.saveCheckpoint(agentSessionId, agentTranscriptPath, lastLine);
-      return;
-    }
-
-    for (const mem of memories) {
-      mem.metadata = {
-        agentId: agentId || null,
-        agentType: agentType || null,
-        ...(mem.metadata && typeof mem.metadata === 'object' ? mem.metadata : {}),
-      };
-    }
-
-    const inserted = db.insertMany(memories);
-    db.saveCheckpoint(agentSessionId, agentTranscriptPath, lastLine);
-    db.incrSessionMemories(sessionId, inserted);
-
-    log(`subagent-stop: archived ${inserted} memories from ${agentType || 'unknown'} agent (${agentId || 'no-id'}), ${memories.length - inserted} deduped`);
   } finally {
     db.close();
   }
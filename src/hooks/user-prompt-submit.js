@@ -1,8 +1,10 @@
 #!/usr/bin/env node
-import { readStdin, openDb, writeHookOutput, log, runHook } from './common.js';
+import { readStdin, openDb, isExcluded, writeHookOutput, log, runHook } from './common.js';
 import { extractKeywords, estimateTokens } from '../core/scorer.js';
 import { recallForPrompt } from '../core/restorer.js';
 import { loadConfig } from '../core/config.js';
+import { resolveScope } from '../core/project.js';
+import { primeEmbeddings } from '../core/embedder.js';
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
@@ -36,6 +38,9 @@ runHook('user-prompt-submit', async () => {
   if (/^<[a-z]/i.test(prompt.trim())) return;
   if (/<task-notification>/i.test(prompt)) return;
 
+  const scope = resolveScope(cwd);
+  if (isExcluded('user-prompt-submit', scope.project, cwd)) return;
+
   const keywords = extractKeywords(prompt);
   if (!keywords || keywords.split(' ').length < 2) return;
 
@@ -55,7 +60,9 @@ runHook('user-prompt-submit', async () => {
   try {
     const cfg = loadConfig();
     const maxResults = Math.min(cfg.maxPromptRecallResults, 3);
-    const results = db.search(keywords, cwd, maxResults);
+    await primeEmbeddings(db.embedder, [keywords])
+      .catch(err => log(`user-prompt-submit: embedding failed (${err.message})`));
+    const results = db.searchScoped(keywords, scope, maxResults);
 
     if (!results || results.length === 0) return;
 
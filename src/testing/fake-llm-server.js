@@ -0,0 +1,90 @@
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+// A stand-in LLM endpoint for deterministic tests. It answers the Anthropic
+// (/v1/messages), OpenAI-compatible (/chat/completions) and Ollama (/api/chat)
+// formats, replying with the next entry of `responses` (the last one repeats)
+// or whatever `handler(request)` returns. A reply is either the completion
+// text or { text, status, delayMs, usage } to simulate errors and slowness.
+// Every request is recorded as { path, headers, body } in `requests`.
+export async function startFakeLlmServer({ responses = ['[]'], handler = null, port = 0, host = '127.0.0.1' } = {}) {
+  const requests = [];
+  let next = 0;
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      let body = null;
+      try { body = JSON.parse(Buffer.concat(chunks).toString('utf-8')); } catch {}
+      const request = { path: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const format = formatFor(req.url);
+      if (req.method !== 'POST' || !format) return send(res, 404, { error: `no fake endpoint for ${req.method} ${req.url}` });
+
+      let reply = handler ? await handler(request) : responses[Math.min(next++, responses.length - 1)];
+      if (typeof reply === 'string') reply = { text: reply };
+      if (reply.delayMs) await new Promise(r => setTimeout(r, reply.delayMs));
+      if (reply.status && reply.status >= 400) return send(res, reply.status, { error: reply.text || 'fake error' });
+
+      const usage = { inputTokens: 100, outputTokens: 50, ...reply.usage };
+      send(res, 200, format(reply.text ?? '', usage, body?.model));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: bound } = server.address();
+
+  return {
+    url: `http://${host}:${bound}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    }),
+  };
+}
+
+function formatFor(path) {
+  const url = path.split('?')[0];
+  if (url.endsWith('/v1/messages')) {
+    return (text, usage, model) => ({
+      id: 'msg_fake', type: 'message', role: 'assistant', model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: usage.inputTokens, output_tokens: usage.outputTokens },
+    });
+  }
+  if (url.endsWith('/chat/completions')) {
+    return (text, usage, model) => ({
+      id: 'chatcmpl-fake', object: 'chat.completion', model,
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: usage.inputTokens, completion_tokens: usage.outputTokens },
+    });
+  }
+  if (url.endsWith('/api/chat')) {
+    return (text, usage, model) => ({
+      model, done: true, message: { role: 'assistant', content: text },
+      prompt_eval_count: usage.inputTokens, eval_count: usage.outputTokens,
+    });
+  }
+  return null;
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Standalone: node src/testing/fake-llm-server.js [port] [response-file]
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const { readFileSync } = await import('fs');
+  const port = parseInt(process.argv[2] || '8787', 10);
+  const responses = process.argv[3] ? [readFileSync(process.argv[3], 'utf-8')] : ['[]'];
+  const server = await startFakeLlmServer({ port, responses });
+  console.log(`Fake LLM server listening on ${server.url}`);
+}
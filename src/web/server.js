@@ -3,7 +3,11 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { Store } from '../db/store.js';
+import { primeEmbeddings } from '../core/embedder.js';
 import { loadConfig, saveConfig, DEFAULTS } from '../core/config.js';
+import { buildManualMemory, buildMemoryUpdate } from '../core/authoring.js';
+import { importMemories } from '../core/importer.js';
+import { usageReport } from '../core/usage.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const INDEX_HTML = readFileSync(join(__dirname, 'index.html'), 'utf-8');
@@ -77,6 +81,7 @@ export function startServer(port = 3333) {
       }
 
       if (path === '/api/memories' && method === 'GET') {
+        if (query.search) await primeEmbeddings(db.embedder, [query.search]);
         const result = db.getMemoriesPaginated({
           project: query.project || null,
           category: query.category || null,
@@ -89,13 +94,39 @@ export function startServer(port = 3333) {
         return jsonResponse(res, result);
       }
 
+      if (path === '/api/memories' && method === 'POST') {
+        const body = await readBody(req);
+        let memory;
+        try {
+          memory = buildManualMemory(body);
+        } catch (err) {
+          return jsonResponse(res, { error: err.message }, 400);
+        }
+        const id = db.insertMemory(memory);
+        if (!id) return jsonResponse(res, { error: 'An identical memory already exists' }, 409);
+        if (body.pinned) db.setPinned(id);
+        return jsonResponse(res, db.getMemoryById(id), 201);
+      }
+
       const memoryMatch = path.match(/^\/api\/memories\/(\d+)$/);
       if (memoryMatch) {
         const id = parseInt(memoryMatch[1]);
         if (method === 'GET') {
           const mem = db.getMemoryById(id);
           if (!mem) return jsonResponse(res, { error: 'Not found' }, 404);
-          return jsonResponse(res, mem);
+          const supersedes = db.getSupersededBy(id).map(m => ({ id: m.id, category: m.category, content: m.content }));
+          return jsonResponse(res, { ...mem, supersedes });
+        }
+        if (method === 'PUT') {
+          const body = await readBody(req);
+          let update;
+          try {
+            update = buildMemoryUpdate(body);
+          } catch (err) {
+            return jsonResponse(res, { error: err.message }, 400);
+          }
+          if (db.updateMemory(id, update) === 0) return jsonResponse(res, { error: 'Not found' }, 404);
+          return jsonResponse(res, db.getMemoryById(id));
         }
         if (method === 'DELETE') {
           const changes = db.deleteMemory(id);
@@ -103,6 +134,35 @@ export function startServer(port = 3333) {
         }
       }
 
+      const supersedeMatch = path.match(/^\/api\/memories\/(\d+)\/supersede$/);
+      if (supersedeMatch) {
+        const id = parseInt(supersedeMatch[1]);
+        if (method === 'POST') {
+          const body = await readBody(req);
+          const by = Number(body.by);
+          if (!Number.isInteger(by) || by <= 0) return jsonResponse(res, { error: 'by must be a memory id' }, 400);
+          try {
+            db.setSuperseded(id, by);
+          } catch (err) {
+            return jsonResponse(res, { error: err.message }, 400);
+          }
+          return jsonResponse(res, { id, superseded_by: by });
+        }
+        if (method === 'DELETE') {
+          const changes = db.clearSuperseded(id);
+          return jsonResponse(res, { id, superseded_by: null, updated: changes > 0 });
+        }
+      }
+
+      const pinMatch = path.match(/^\/api\/memories\/(\d+)\/pin$/);
+      if (pinMatch && (method === 'POST' || method === 'DELETE')) {
+        const id = parseInt(pinMatch[1]);
+        const pinned = method === 'POST';
+        const changes = db.setPinned(id, pinned);
+        if (changes === 0) return jsonResponse(res, { error: 'Not found' }, 404);
+        return jsonResponse(res, { id, pinned });
+      }
+
       if (path === '/api/projects' && method === 'GET') {
         const stats = db.getStats();
         const cfg = loadConfig();
@@ -133,6 +193,11 @@ export function startServer(port = 3333) {
         return jsonResponse(res, stats.sessions);
       }
 
+      if (path === '/api/usage' && method === 'GET') {
+        const months = Math.min(Math.max(1, parseInt(query.months) || 6), 24);
+        return jsonResponse(res, { ...usageReport(db, { project: query.project || null, months }), daily: db.getLlmDaily(30) });
+      }
+
       if (path === '/api/config' && method === 'GET') {
         const cfg = loadConfig();
         const show = { ...cfg };
@@ -163,6 +228,18 @@ export function startServer(port = 3333) {
         return jsonResponse(res, show);
       }
 
+      if (path === '/api/import' && method === 'POST') {
+        const body = await readBody(req, 64 * 1024 * 1024);
+        const memories = Array.isArray(body) ? body : body.memories;
+        const remap = body.remap && typeof body.remap === 'object' && !Array.isArray(body.remap) ? body.remap : {};
+        try {
+          const result = importMemories(db, memories, { remap, dryRun: body.dryRun === true });
+          return jsonResponse(res, result);
+        } catch (err) {
+          return jsonResponse(res, { error: err.message }, 400);
+        }
+      }
+
       if (path === '/api/prune/preview' && method === 'GET') {
         const cfg = loadConfig();
         const belowScore = db.countBelowScore(parseFloat(query.threshold) || cfg.pruneThreshold);
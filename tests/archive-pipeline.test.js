@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, appendFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+import { registerExtractor } from '../src/core/extractors.js';
+import { transcriptInfo } from '../src/core/transcript-parser.js';
+
+const line = (uuid, parentUuid, role, content) =>
+  JSON.stringify({ type: role, uuid, parentUuid, sessionId: 'sess', cwd: '/work/app', message: { role, content } }) + '\n';
+
+const TURN_1 = line('u1', null, 'user', 'Set up the docker build for the api service please')
+  + line('a1', 'u1', 'assistant', [
+    { type: 'text', text: "We'll use a multi-stage Dockerfile instead of a single stage image." },
+    { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'docker build -t api .' } },
+  ])
+  + line('r1', 'a1', 'user', [{ type: 'tool_result', tool_use_id: 't1', content: 'built' }]);
+
+const TURN_2 = line('u2', 'r1', 'user', 'Now add a healthcheck to the compose file for the api')
+  + line('a2', 'u2', 'assistant', [{ type: 'text', text: 'Going with a curl healthcheck because the image already ships curl.' }]);
+
+describe('archiveTranscript', () => {
+  let dir, db, path;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-archive-'));
+    path = join(dir, 'sess.jsonl');
+    writeFileSync(path, TURN_1);
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => {
+    registerExtractor('broken', null);
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should archive new lines and resume from the checkpoint', async () => {
+    const first = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app', source: 'cli' });
+    assert.equal(first.startLine, 0);
+    assert.equal(first.lastLine, 3);
+    assert.equal(first.turns, 1);
+    assert.ok(first.inserted > 0);
+    assert.equal(first.inserted + first.deduped, first.extracted);
+    assert.deepEqual(first.extractors.map(r => [r.name, r.error]), [['rules', null]]);
+    assert.ok(first.timings.totalMs >= first.timings.parseMs);
+
+    const again = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app' });
+    assert.equal(again.messages, 0);
+    assert.equal(again.inserted, 0);
+
+    appendFileSync(path, TURN_2);
+    const next = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app' });
+    assert.equal(next.startLine, 3);
+    assert.equal(next.lastLine, 5);
+    assert.ok(next.memories.some(m => m.content.includes('curl healthcheck')));
+    assert.equal(db.getStats().sessions[0].memories_created, first.inserted + next.inserted);
+  });
+
+  it('should count compactions only for pre-compact runs that archived something', async () => {
+    const archive = source => archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app', source });
+    await archive('session-end');
+    await archive('pre-compact');
+    assert.equal(db.getStats().sessions[0].compactions, 0, 'nothing new to archive');
+
+    appendFileSync(path, TURN_2);
+    await archive('pre-compact');
+    await archive('pre-compact');
+    assert.equal(db.getStats().sessions[0].compactions, 1);
+  });
+
+  it('should archive subagent transcripts under their own checkpoint', async () => {
+    db.upsertSession('sess', '/work/app');
+    const result = await archiveTranscript(db, {
+      sessionId: 'sess', transcriptPath: path, project: '/work/app', source: 'subagent-stop', agent: { id: 'ag1', type: 'Explore' },
+    });
+    assert.equal(result.sessionId, 'sess:ag1');
+    assert.ok(db.getCheckpoint('sess:ag1', path));
+    assert.equal(db.getCheckpoint('sess', path), undefined);
+    assert.ok(result.memories.every(m => m.metadata.agentId === 'ag1' && m.metadata.agentType === 'Explore'));
+    assert.equal(db.getStats().sessions.length, 1);
+    assert.equal(db.getStats().sessions[0].memories_created, result.inserted);
+  });
+
+  it('should use the project extractor pipeline and report failures', async () => {
+    registerExtractor('broken', () => { throw new Error('boom'); });
+    loadConfig().projects = { '/work/app': { extractors: ['broken', 'rules'] } };
+    const lines = [];
+    const result = await archiveTranscript(db, {
+      sessionId: 'sess', transcriptPath: path, project: '/work/app', subpath: 'services/api', log: msg => lines.push(msg),
+    });
+    assert.deepEqual(result.extractors.map(r => [r.name, r.error]), [['broken', 'boom'], ['rules', null]]);
+    assert.ok(result.inserted > 0);
+    assert.ok(result.memories.every(m => m.subpath === 'services/api'));
+    assert.ok(lines.some(l => l.startsWith('extractors broken failed: boom')));
+  });
+
+  it('should read the session id and working directory from a transcript', () => {
+    assert.deepEqual(transcriptInfo(path), { sessionId: 'sess', cwd: '/work/app' });
+    assert.deepEqual(transcriptInfo(join(dir, 'missing.jsonl')), { sessionId: null, cwd: null });
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { extractMemories } from '../src/core/archiver.js';
+import { extractMemories, detectReplacedSubject } from '../src/core/archiver.js';
+import { Store } from '../src/db/store.js';
 
 const PROJECT = '/test/project';
 const SESSION = 'test-session';
@@ -148,3 +149,138 @@ describe('extractMemories', () => {
     assert.equal(hashes.length, unique.size, 'All hashes should be unique');
   });
 });
+
+describe('tool exchanges', () => {
+  const exchange = (call, content, isError = false, durationMs = null) =>
+    ({ call, result: { toolUseId: call.id, content, isError }, isError, durationMs });
+  const bash = (id, command) => ({ name: 'Bash', id, input: { command } });
+  const edit = (id, file) => ({ name: 'Edit', id, input: { file_path: file, old_string: 'a', new_string: 'b' } });
+
+  function turnWith(exchanges) {
+    return {
+      ...makeTurn({ toolCalls: exchanges.map(e => e.call), toolResults: exchanges.map(e => e.result) }),
+      toolExchanges: exchanges,
+    };
+  }
+
+  it('should name the command that failed', () => {
+    const memories = extractMemories([turnWith([exchange(bash('t1', 'npm test'), 'TypeError: x is undefined', true, 3200)])], PROJECT, SESSION);
+    const [error] = memories.filter(m => m.category === 'error');
+    assert.equal(error.content, '`npm test` failed with: TypeError: x is undefined');
+    assert.deepEqual(error.metadata, { tool: 'Bash', call: 'Bash:npm test', durationMs: 3200 });
+  });
+
+  it('should replace a failure that later passed with a problem → solution memory', () => {
+    const memories = extractMemories([turnWith([
+      exchange(bash('t1', 'npm test'), 'TypeError: x is undefined', true),
+      exchange(edit('t2', 'src/a.js'), 'ok'),
+      exchange(edit('t3', 'src/b.js'), 'ok'),
+      exchange(bash('t4', 'npm test'), 'all passing'),
+    ])], PROJECT, SESSION);
+    const errors = memories.filter(m => m.category === 'error');
+    assert.equal(errors.length, 1, 'no raw error for the resolved failure');
+    assert.equal(errors[0].content, '`npm test` failed with: TypeError: x is undefined → fixed by editing src/a.js, src/b.js');
+    assert.deepEqual(errors[0].metadata, {
+      tool: 'Bash', call: 'Bash:npm test', resolves: 'Bash:npm test', files: ['src/a.js', 'src/b.js'],
+    });
+  });
+
+  it('should resolve failures across turns', () => {
+    const memories = extractMemories([
+      turnWith([exchange(bash('t1', 'make build'), 'missing header', true)]),
+      turnWith([exchange(edit('t2', 'include/x.h'), 'ok')]),
+      turnWith([exchange(bash('t3', 'make build'), 'done')]),
+    ], PROJECT, SESSION);
+    const errors = memories.filter(m => m.category === 'error').map(m => m.content);
+    assert.deepEqual(errors, ['`make build` failed with: missing header → fixed by editing include/x.h']);
+  });
+
+  it('should resolve failures archived in an earlier pass', () => {
+    const priorErrors = [{ call: 'Bash:npm run lint', content: '`npm run lint` failed with: 3 problems' }];
+    const memories = extractMemories([turnWith([exchange(bash('t1', 'npm run lint'), 'clean')])], PROJECT, SESSION, { priorErrors });
+    const [fix] = memories.filter(m => m.category === 'error');
+    assert.equal(fix.content, '`npm run lint` failed with: 3 problems → passed on retry');
+    assert.equal(fix.metadata.resolves, 'Bash:npm run lint');
+  });
+
+  it('should resolve the same failure again in a later session', () => {
+    const db = new Store(':memory:').open();
+    try {
+      // The failures differ only past the part the memory keeps
+      const failure = session => `TypeError: x is undefined${' '.repeat(250)}at ${session}.js:1`;
+      for (const session of ['s1', 's2']) {
+        db.insertMany(extractMemories([turnWith([exchange(bash('t1', 'npm test'), failure(session), true)])], PROJECT, session));
+        const fixes = extractMemories([turnWith([exchange(bash('t2', 'npm test'), 'all passing')])], PROJECT, session, {
+          priorErrors: db.getOpenErrors(session),
+        });
+        assert.equal(db.insertMany(fixes), 1, `${session} stores its own resolution`);
+      }
+      const errors = db.exportAll(PROJECT).filter(m => m.category === 'error');
+      const open = errors.filter(m => !m.superseded_by && !JSON.parse(m.metadata).resolves);
+      assert.equal(errors.length, 4);
+      assert.deepEqual(open, []);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('should not claim a fix when the command failed again', () => {
+    const memories = extractMemories([turnWith([
+      exchange(bash('t1', 'npm test'), 'first failure', true),
+      exchange(edit('t2', 'src/a.js'), 'ok'),
+      exchange(bash('t3', 'npm test'), 'second failure', true),
+    ])], PROJECT, SESSION);
+    const errors = memories.filter(m => m.category === 'error').map(m => m.content);
+    assert.deepEqual(errors, ['`npm test` failed with: first failure', '`npm test` failed with: second failure']);
+  });
+
+  it('should fall back to the bare error for results without a known call', () => {
+    const result = { toolUseId: 'x', content: 'Permission denied', isError: true };
+    const turn = { ...makeTurn({ toolResults: [result] }), toolExchanges: [{ call: null, result, isError: true, durationMs: null }] };
+    const [error] = extractMemories([turn], PROJECT, SESSION).filter(m => m.category === 'error');
+    assert.equal(error.content, 'Error encountered: Permission denied');
+  });
+});
+
+describe('supersession detection', () => {
+  it('should detect the subject a decision moves away from', () => {
+    assert.equal(detectReplacedSubject('We should use Postgres instead of SQLite for the job queue'), 'sqlite');
+    assert.equal(detectReplacedSubject('Switching from webpack to vite for faster builds'), 'webpack');
+    assert.equal(detectReplacedSubject('Replace moment with date-fns across the codebase'), 'moment');
+    assert.equal(detectReplacedSubject('We no longer use Redux for state'), 'redux');
+    assert.equal(detectReplacedSubject('Going with SQLite for storage'), null);
+  });
+
+  it('should ignore generic words after a reversal phrase', () => {
+    for (const text of [
+      'I will read the config instead of guessing the port',
+      'Use a single query rather than iterating over every row',
+      'The timeout moved from default to 30 seconds',
+      'We should batch the writes instead of the loop',
+      'Switching from manual to automatic retries',
+      'Replace everything with a cleaner approach',
+    ]) {
+      assert.equal(detectReplacedSubject(text), null, text);
+    }
+  });
+
+  it('should not treat a generic reversal phrase as a decision', () => {
+    const turns = [makeTurn({ assistantText: 'The batch size moved from default to a configured value.' })];
+    assert.equal(extractMemories(turns, PROJECT, SESSION).filter(m => m.category === 'decision').length, 0);
+  });
+
+  it('should tag reversing decisions with the replaced subject', () => {
+    const turns = [makeTurn({
+      assistantText: "We'll use Postgres instead of SQLite because we need concurrent writers.",
+    })];
+    const [decision] = extractMemories(turns, PROJECT, SESSION).filter(m => m.category === 'decision');
+    assert.deepEqual(decision.metadata, { replaces: ['sqlite'] });
+  });
+
+  it('should treat a plain migration statement as a decision', () => {
+    const turns = [makeTurn({ assistantText: 'Migrating from Jest to the built-in node test runner.' })];
+    const decisions = extractMemories(turns, PROJECT, SESSION).filter(m => m.category === 'decision');
+    assert.equal(decisions.length, 1);
+    assert.deepEqual(decisions[0].metadata.replaces, ['jest']);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Store } from '../src/db/store.js';
+import { resetConfig } from '../src/core/config.js';
+import { createHashingEmbedder } from '../src/core/embedder.js';
+import {
+  buildManualMemory, buildMemoryUpdate, validateMemoryFields, MANUAL_SESSION_ID,
+} from '../src/core/authoring.js';
+
+describe('manual memory authoring', () => {
+  beforeEach(() => resetConfig());
+
+  it('should build an insertable memory with keywords and a default score', () => {
+    const m = buildManualMemory({ project: '/p', category: 'decision', content: '  Use tabs for indentation  ' });
+    assert.equal(m.content, 'Use tabs for indentation');
+    assert.equal(m.sessionId, MANUAL_SESSION_ID);
+    assert.match(m.keywords, /indentation/);
+    assert.ok(m.score >= 0.9);
+    assert.equal(m.metadata.source, 'manual');
+    assert.equal(m.sourceHash.length, 16);
+  });
+
+  it('should honour an explicit score and detect reversals', () => {
+    const m = buildManualMemory({ project: '/p', category: 'decision', content: 'Use pnpm instead of npm', score: 0.3 });
+    assert.equal(m.score, 0.3);
+    assert.deepEqual(m.metadata.replaces, ['npm']);
+  });
+
+  it('should reject invalid input', () => {
+    assert.throws(() => buildManualMemory({ category: 'note', content: 'x' }), /project/);
+    assert.throws(() => buildManualMemory({ project: '/p', category: 'bogus', content: 'x' }), /category must be one of/);
+    assert.throws(() => buildManualMemory({ project: '/p', category: 'note', content: '   ' }), /content/);
+    assert.throws(() => buildManualMemory({ project: '/p', category: 'note', content: 'x', score: 1.5 }), /score/);
+    assert.throws(() => buildManualMemory({ project: '/p', category: 'note', content: 'x', score: '0.5' }), /score/);
+  });
+
+  it('should validate partial updates', () => {
+    assert.doesNotThrow(() => validateMemoryFields({ score: 0.2 }, { partial: true }));
+    assert.throws(() => buildMemoryUpdate({}), /nothing to update/);
+    assert.throws(() => buildMemoryUpdate({ category: 'nope' }), /category/);
+    const update = buildMemoryUpdate({ content: 'Renamed the queue module' });
+    assert.equal(update.content, 'Renamed the queue module');
+    assert.match(update.keywords, /queue/);
+  });
+});
+
+describe('Store.updateMemory', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:', { embedder: createHashingEmbedder({ dims: 32 }) }).open();
+  });
+
+  afterEach(() => db.close());
+
+  it('should keep the FTS index and vectors in sync with edits', () => {
+    const id = Number(db.insertMemory(buildManualMemory({ project: '/p', category: 'note', content: 'Deploys run on Fridays' })));
+    assert.equal(db.updateMemory(id, buildMemoryUpdate({ content: 'Deploys run on Tuesdays', category: 'decision', score: 0.7 })), 1);
+
+    const row = db.getMemoryById(id);
+    assert.equal(row.category, 'decision');
+    assert.equal(row.score, 0.7);
+    assert.equal(db.search('fridays', '/p', 5).length, 0);
+    assert.equal(db.search('tuesdays', '/p', 5)[0].id, id);
+    assert.equal(db.countUnindexedVectors(), 0);
+  });
+
+  it('should keep the source hash so re-archiving the source does not restore the old text', () => {
+    const original = buildManualMemory({ project: '/p', category: 'note', content: 'Deploys run on Fridays' });
+    const id = Number(db.insertMemory(original));
+    db.updateMemory(id, buildMemoryUpdate({ content: 'Deploys run on Tuesdays' }));
+    assert.equal(db.getMemoryById(id).source_hash, original.sourceHash);
+    assert.equal(db.insertMemory(original), null);
+    assert.deepEqual(db.exportAll('/p').map(m => m.content), ['Deploys run on Tuesdays']);
+  });
+
+  it('should report missing memories', () => {
+    assert.equal(db.updateMemory(9999, { score: 0.5 }), 0);
+  });
+
+  it('should deduplicate identical manual memories', () => {
+    const m = buildManualMemory({ project: '/p', category: 'note', content: 'Same text' });
+    assert.ok(db.insertMemory(m));
+    assert.equal(db.insertMemory(buildManualMemory({ project: '/p', category: 'note', content: 'Same text' })), null);
+    assert.ok(db.insertMemory(buildManualMemory({ project: '/q', category: 'note', content: 'Same text' })));
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, appendFileSync, utimesSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig } from '../src/core/config.js';
+import { backfill, discoverTranscripts } from '../src/core/backfill.js';
+
+const line = (sessionId, cwd, uuid, parentUuid, role, text) =>
+  JSON.stringify({ type: role, uuid, parentUuid, sessionId, cwd, message: { role, content: text } }) + '\n';
+
+function session(sessionId, cwd, decision) {
+  return line(sessionId, cwd, 'u1', null, 'user', 'Please set up the build pipeline for this service')
+    + line(sessionId, cwd, 'a1', 'u1', 'assistant', decision);
+}
+
+describe('backfill', () => {
+  let root, db;
+
+  beforeEach(() => {
+    resetConfig();
+    root = mkdtempSync(join(tmpdir(), 'ic-backfill-'));
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => {
+    db.close();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  function write(slug, name, content, mtime) {
+    mkdirSync(join(root, slug), { recursive: true });
+    const path = join(root, slug, name);
+    writeFileSync(path, content);
+    if (mtime) utimesSync(path, mtime / 1000, mtime / 1000);
+    return path;
+  }
+
+  it('should find session transcripts oldest first', () => {
+    const newer = write('-work-app', 'b.jsonl', '', Date.parse('2026-03-01'));
+    const older = write('-work-api', 'a.jsonl', '', Date.parse('2026-01-01'));
+    write('-work-app', 'notes.txt', '');
+    mkdirSync(join(root, '-work-app', 'b', 'subagents'), { recursive: true });
+    write(join('-work-app', 'b', 'subagents'), 'agent.jsonl', '');
+
+    assert.deepEqual(discoverTranscripts(root).map(t => t.path), [older, newer]);
+    assert.deepEqual(discoverTranscripts(root, { since: Date.parse('2026-02-01') }).map(t => t.path), [newer]);
+    assert.deepEqual(discoverTranscripts(join(root, 'missing')), []);
+  });
+
+  it('should archive each transcript under the project of its working directory', async () => {
+    write('-work-app', 's1.jsonl', session('s1', '/work/app', "We'll use a multi-stage Dockerfile instead of a single stage image."));
+    write('-work-api', 's2.jsonl', session('s2', '/work/api', 'Going with GitHub Actions because the team already uses it.'));
+    write('-work-api', 's3.jsonl', '{"type":"summary","summary":"no cwd here"}\n');
+
+    const progress = [];
+    const summary = await backfill(db, { root, onProgress: (done, total) => progress.push(`${done}/${total}`) });
+    assert.equal(summary.transcripts, 3);
+    assert.equal(summary.archived, 2);
+    assert.equal(summary.skipped, 1);
+    assert.deepEqual(Object.keys(summary.projects).sort(), ['/work/api', '/work/app']);
+    assert.equal(summary.inserted, db.exportAll().length);
+    assert.deepEqual(progress, ['0/3', '1/3', '2/3', '3/3']);
+    assert.deepEqual(db.getStats().sessions.map(s => s.session_id).sort(), ['s1', 's2']);
+  });
+
+  it('should resume from checkpoints and filter by project', async () => {
+    const path = write('-work-app', 's1.jsonl', session('s1', '/work/app', "We'll use a multi-stage Dockerfile instead of a single stage image."));
+    write('-work-api', 's2.jsonl', session('s2', '/work/api', 'Going with GitHub Actions because the team already uses it.'));
+
+    const first = await backfill(db, { root, project: '/work/app' });
+    assert.equal(first.archived, 1);
+    assert.equal(first.skipped, 1);
+    assert.deepEqual(Object.keys(first.projects), ['/work/app']);
+
+    appendFileSync(path, line('s1', '/work/app', 'u2', 'a1', 'user', 'Now push the image to the registry after tagging'));
+    const second = await backfill(db, { root });
+    assert.equal(second.archived, 2, 'new lines in s1 and all of s2');
+    const third = await backfill(db, { root });
+    assert.equal(third.archived, 0);
+    assert.equal(third.upToDate, 2);
+    assert.equal(third.inserted, 0);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Store } from '../src/db/store.js';
+import { resetConfig } from '../src/core/config.js';
+import { extractKeywords } from '../src/core/scorer.js';
+import { findClusters, consolidateProject } from '../src/core/consolidator.js';
+
+const P = '/test/consolidate';
+
+function add(db, { content, category = 'file_change', score = 0.5, session = 's1', keywords, hash }) {
+  return Number(db.insertMemory({
+    project: P, sessionId: session, category, content,
+    keywords: keywords ?? extractKeywords(content), score, sourceHash: hash,
+  }));
+}
+
+describe('consolidator', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => db.close());
+
+  it('should cluster repeated edits of the same file', () => {
+    const kw = extractKeywords('src/x.js Edited file: src/x.js');
+    add(db, { content: 'Edited file: src/x.js\n  Changed: "a" → "b"', keywords: kw, hash: 'c1' });
+    add(db, { content: 'Edited file: src/x.js\n  Changed: "c" → "d"', keywords: kw, hash: 'c2', score: 0.6 });
+    add(db, { content: 'Edited file: src/other.js\n  Changed: "e" → "f"', keywords: extractKeywords('src/other.js Edited file: src/other.js'), hash: 'c3' });
+
+    const clusters = findClusters(db.exportAll(P));
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].merged.length, 1);
+    assert.equal(clusters[0].survivor.score, 0.6, 'highest score survives');
+  });
+
+  it('should never merge across categories', () => {
+    add(db, { content: 'Switch the cache layer to Redis for session storage', category: 'decision', hash: 'k1' });
+    add(db, { content: 'Switch the cache layer to Redis for session storage', category: 'note', hash: 'k2' });
+    assert.equal(findClusters(db.exportAll(P)).length, 0);
+  });
+
+  it('should leave dissimilar memories alone', () => {
+    add(db, { content: 'Use PostgreSQL for persistence', category: 'decision', hash: 'd1' });
+    add(db, { content: 'Render charts with inline SVG', category: 'decision', hash: 'd2' });
+    assert.equal(consolidateProject(db, P).merged, 0);
+    assert.equal(db.exportAll(P).length, 2);
+  });
+
+  it('should merge into one memory with combined stats and an audit entry', () => {
+    const kw = extractKeywords('src/api.js Edited file: src/api.js');
+    const a = add(db, { content: 'Edited file: src/api.js\n  Changed: "x" → "y"', keywords: kw, score: 0.7, hash: 'm1' });
+    const b = add(db, { content: 'Edited file: src/api.js\n  Changed: "y" → "z"', keywords: kw, score: 0.4, hash: 'm2' });
+    const c = add(db, { content: 'Edited file: src/api.js\n  Changed: "z" → "w"', keywords: kw, score: 0.5, hash: 'm3' });
+    db.touchMemories([b, b, c]);
+
+    const { merged } = consolidateProject(db, P);
+    assert.equal(merged, 2);
+
+    const rows = db.exportAll(P);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].id, a);
+    assert.equal(rows[0].access_count, 3);
+    assert.ok(rows[0].score >= 0.7);
+    const meta = JSON.parse(rows[0].metadata);
+    assert.deepEqual(meta.merged_from.sort(), [b, c].sort());
+
+    const log = db.getMergeLog(P);
+    assert.equal(log.length, 1);
+    assert.equal(log[0].survivor_id, a);
+    const snapshot = JSON.parse(log[0].merged_rows);
+    assert.deepEqual(snapshot.map(r => r.id).sort(), [b, c].sort());
+    assert.ok(snapshot.some(r => r.content.includes('"y" → "z"')), 'merged content kept in audit trail');
+  });
+
+  it('should keep a pinned memory as the survivor even with a lower score', () => {
+    const kw = extractKeywords('src/db.js Edited file: src/db.js');
+    const pinned = add(db, { content: 'Edited file: src/db.js\n  Changed: "pool" → "pool(10)"', keywords: kw, score: 0.3, hash: 'p1' });
+    const other = add(db, { content: 'Edited file: src/db.js\n  Changed: "pool(10)" → "pool(20)"', keywords: kw, score: 0.9, hash: 'p2' });
+    db.setPinned(pinned);
+
+    assert.equal(consolidateProject(db, P).merged, 1);
+    const rows = db.exportAll(P);
+    assert.deepEqual(rows.map(r => [r.id, r.pinned]), [[pinned, 1]]);
+    assert.equal(rows[0].content, 'Edited file: src/db.js\n  Changed: "pool" → "pool(10)"');
+    assert.equal(rows[0].score, 0.9);
+    assert.deepEqual(JSON.parse(rows[0].metadata).merged_from, [other]);
+  });
+
+  it('should never merge one pinned memory into another', () => {
+    const kw = extractKeywords('src/c.js Edited file: src/c.js');
+    const a = add(db, { content: 'Edited file: src/c.js\n  Changed: 1', keywords: kw, hash: 'q1' });
+    const b = add(db, { content: 'Edited file: src/c.js\n  Changed: 2', keywords: kw, hash: 'q2' });
+    db.setPinned(a);
+    db.setPinned(b);
+    assert.equal(findClusters(db.exportAll(P)).length, 0);
+  });
+
+  it('should only seed clusters from the given session', () => {
+    const kw = extractKeywords('src/a.js Edited file: src/a.js');
+    add(db, { content: 'Edited file: src/a.js\n  Changed: 1', keywords: kw, session: 'old', hash: 's1' });
+    add(db, { content: 'Edited file: src/a.js\n  Changed: 2', keywords: kw, session: 'old', hash: 's2' });
+
+    assert.equal(consolidateProject(db, P, { sessionId: 'new' }).merged, 0);
+
+    add(db, { content: 'Edited file: src/a.js\n  Changed: 3', keywords: kw, session: 'new', hash: 's3' });
+    assert.equal(consolidateProject(db, P, { sessionId: 'new' }).merged, 2);
+  });
+
+  it('should not modify anything on dry run', () => {
+    const kw = extractKeywords('src/b.js Edited file: src/b.js');
+    add(db, { content: 'Edited file: src/b.js\n  Changed: 1', keywords: kw, hash: 'r1' });
+    add(db, { content: 'Edited file: src/b.js\n  Changed: 2', keywords: kw, hash: 'r2' });
+    const { merged, clusters } = consolidateProject(db, P, { dryRun: true });
+    assert.equal(merged, 1);
+    assert.equal(clusters.length, 1);
+    assert.equal(db.exportAll(P).length, 2);
+    assert.equal(db.getMergeLog(P).length, 0);
+  });
+
+  it('should only merge memories similar to the survivor, not chains of them', () => {
+    const a = add(db, { content: 'alpha one', keywords: 'a b c d', score: 0.9, hash: 'x1' });
+    const b = add(db, { content: 'beta two', keywords: 'b c d e', score: 0.5, hash: 'x2' });
+    const c = add(db, { content: 'gamma three', keywords: 'c d e f', score: 0.4, hash: 'x3' });
+
+    const clusters = findClusters(db.exportAll(P), { threshold: 0.5 });
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].survivor.id, a);
+    assert.deepEqual(clusters[0].merged.map(m => m.id), [b]);
+    assert.equal(consolidateProject(db, P, { threshold: 0.5 }).merged, 1);
+    assert.deepEqual(db.exportAll(P).map(m => m.id).sort(), [a, c].sort());
+  });
+
+  it('should skip superseded memories', () => {
+    const kw = extractKeywords('src/d.js Edited file: src/d.js');
+    const a = add(db, { content: 'Edited file: src/d.js\n  Changed: 1', keywords: kw, hash: 'y1' });
+    const b = add(db, { content: 'Edited file: src/d.js\n  Changed: 2', keywords: kw, hash: 'y2' });
+    const c = add(db, { content: 'Use Redis for caching', category: 'decision', hash: 'y3' });
+    db.setSuperseded(a, c);
+    assert.equal(findClusters(db.exportAll(P)).length, 0);
+    assert.equal(consolidateProject(db, P).merged, 0);
+    assert.ok(db.getMemoryById(a) && db.getMemoryById(b));
+  });
+
+  it('should respect a custom threshold', () => {
+    add(db, { content: 'Use Redis for caching API responses in production', category: 'decision', hash: 't1' });
+    add(db, { content: 'Use Redis for caching API responses in staging', category: 'decision', hash: 't2' });
+    assert.equal(findClusters(db.exportAll(P), { threshold: 0.99 }).length, 0);
+    assert.equal(findClusters(db.exportAll(P), { threshold: 0.5 }).length, 1);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { loadConfig, resetConfig } from '../src/core/config.js';
+import {
+  createHashingEmbedder, cosineSimilarity, vectorToBlob, blobToVector, getEmbedder, registerEmbedder,
+  loadEmbedder, primeEmbeddings,
+} from '../src/core/embedder.js';
+
+describe('hashing embedder', () => {
+  beforeEach(() => resetConfig());
+
+  it('should produce unit-length vectors of the requested size', () => {
+    const emb = createHashingEmbedder({ dims: 64 });
+    const vec = emb.embed('Use SQLite with WAL mode for storage');
+    assert.equal(vec.length, 64);
+    const norm = Math.sqrt(vec.reduce((s, x) => s + x * x, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-5);
+    assert.equal(emb.id, 'hashing-64');
+  });
+
+  it('should be deterministic', () => {
+    const emb = createHashingEmbedder();
+    assert.deepEqual(emb.embed('refresh token lifetime'), emb.embed('refresh token lifetime'));
+  });
+
+  it('should rank morphological variants above unrelated text', () => {
+    const emb = createHashingEmbedder();
+    const q = emb.embed('authentication tokens expiring');
+    const related = emb.embed('The auth token expiry is set to one hour');
+    const unrelated = emb.embed('Dashboard renders a bar chart of categories');
+    assert.ok(cosineSimilarity(q, related) > cosineSimilarity(q, unrelated));
+  });
+
+  it('should return a zero vector for empty text', () => {
+    const vec = createHashingEmbedder({ dims: 8 }).embed('');
+    assert.ok(vec.every(x => x === 0));
+    assert.equal(cosineSimilarity(vec, vec), 0);
+  });
+
+  it('should round-trip vectors through blobs', () => {
+    const vec = createHashingEmbedder({ dims: 32 }).embed('round trip');
+    assert.deepEqual(blobToVector(vectorToBlob(vec)), vec);
+  });
+
+  it('should be disabled unless semanticSearch is enabled', () => {
+    assert.equal(getEmbedder(), null);
+  });
+
+  it('should reject embedders without an embed function', () => {
+    assert.throws(() => registerEmbedder({ id: 'broken' }), /embed\(text\)/);
+  });
+});
+
+describe('Store hybrid search', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:', { embedder: createHashingEmbedder() }).open();
+    const items = [
+      ['Authentication tokens expire after one hour', 'decision'],
+      ['Use PostgreSQL for the primary database', 'decision'],
+      ['Dashboard renders category bar chart', 'note'],
+      ['Refreshing expired authentication sessions requires a new login', 'finding'],
+    ];
+    items.forEach(([content, category], i) => db.insertMemory({
+      project: '/p', sessionId: 's', category, content,
+      keywords: content.toLowerCase(), score: 0.5, sourceHash: `hyb-${i}`,
+    }));
+  });
+
+  afterEach(() => db.close());
+
+  it('should store a vector for every inserted memory', () => {
+    const cnt = db.db.prepare('SELECT COUNT(*) as cnt FROM memory_vectors').get().cnt;
+    assert.equal(cnt, 4);
+    assert.equal(db.countUnindexedVectors(), 0);
+  });
+
+  it('should drop vectors when memories are deleted', () => {
+    const id = db.getTopMemories('/p', 1)[0].id;
+    db.deleteMemory(id);
+    const row = db.db.prepare('SELECT 1 FROM memory_vectors WHERE memory_id = ?').get(id);
+    assert.equal(row, undefined);
+  });
+
+  it('should find memories with no exact keyword overlap', () => {
+    const results = db.search('authenticate expiring token', '/p', 5);
+    assert.ok(results.length > 0);
+    assert.match(results[0].content, /Authentication tokens expire/);
+    assert.ok(results[0].similarity > 0);
+    assert.ok(results.every(r => typeof r.hybrid_score === 'number'));
+  });
+
+  it('should only compare vectors of keyword matches and the best-scoring memories', () => {
+    loadConfig().semanticCandidates = 1;
+    db.insertMemory({
+      project: '/p', sessionId: 's', category: 'note', content: 'Release notes live in CHANGELOG.md',
+      keywords: 'release notes changelog', score: 0.9, sourceHash: 'hyb-top',
+    });
+    assert.equal(db.search('authenticate', '/p', 5).length, 0, 'vector-only matches outside the candidates are skipped');
+    const results = db.search('authentication expire', '/p', 5);
+    assert.match(results[0].content, /Authentication tokens expire/);
+    assert.ok(results[0].similarity > 0, 'keyword matches still get a similarity');
+  });
+
+  it('should keep project isolation', () => {
+    db.insertMemory({
+      project: '/other', sessionId: 's', category: 'note', content: 'Authentication tokens in other project',
+      keywords: 'authentication tokens', score: 0.5, sourceHash: 'hyb-other',
+    });
+    const results = db.search('authentication tokens', '/p', 10);
+    assert.ok(results.every(r => r.project === '/p'));
+  });
+
+  it('should index memories inserted before semantic search was enabled', () => {
+    const plain = new Store(':memory:', { embedder: null }).open();
+    plain.insertMemory({
+      project: '/p', sessionId: 's', category: 'note', content: 'No vector yet',
+      keywords: 'vector', score: 0.5, sourceHash: 'plain-1',
+    });
+    assert.equal(plain.db.prepare('SELECT COUNT(*) as cnt FROM memory_vectors').get().cnt, 0);
+    plain.embedder = createHashingEmbedder();
+    assert.equal(plain.countUnindexedVectors(), 1);
+    assert.equal(plain.indexVectors(), 1);
+    assert.equal(plain.countUnindexedVectors(), 0);
+    plain.close();
+  });
+
+  it('should rank paginated search results by relevance', () => {
+    const result = db.getMemoriesPaginated({ project: '/p', search: 'authentication expire', sort: 'relevance' });
+    assert.ok(result.total >= 2);
+    assert.match(result.rows[0].content, /Authentication tokens expire/);
+    for (let i = 1; i < result.rows.length; i++) {
+      assert.ok(result.rows[i - 1].hybrid_score >= result.rows[i].hybrid_score);
+    }
+  });
+
+  it('should honour the category filter in paginated search', () => {
+    const result = db.getMemoriesPaginated({ search: 'authentication', category: 'finding' });
+    assert.ok(result.rows.length > 0);
+    assert.ok(result.rows.every(r => r.category === 'finding'));
+  });
+});
+
+describe('custom embedders', () => {
+  let dir;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-embed-'));
+    Object.assign(loadConfig(), { semanticSearch: true, dataDir: dir });
+  });
+
+  afterEach(() => {
+    registerEmbedder(null);
+    resetConfig();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve a relative module path against the data directory', async () => {
+    writeFileSync(join(dir, 'my-embedder.mjs'), `
+      export function createEmbedder() {
+        return { id: 'from-data-dir', dims: 2, embed: () => [1, 0] };
+      }
+    `);
+    loadConfig().embedderModule = 'my-embedder.mjs';
+    const embedder = await loadEmbedder();
+    assert.equal(embedder.id, 'from-data-dir');
+  });
+
+  it('should turn semantic search off when the module fails to load', async () => {
+    loadConfig().embedderModule = 'missing-embedder.mjs';
+    await assert.rejects(loadEmbedder());
+    assert.equal(getEmbedder(), null);
+  });
+
+  it('should use vectors from an async embedder once they are primed', async () => {
+    const hashing = createHashingEmbedder();
+    registerEmbedder({ id: 'async-test', dims: 256, embed: async (text) => hashing.embed(text) });
+    const db = new Store(':memory:').open();
+    try {
+      db.insertMemory({
+        project: '/p', sessionId: 's', category: 'finding', content: 'Refreshing expired authentication sessions',
+        keywords: 'refreshing expired authentication sessions', score: 0.5, sourceHash: 'async-1',
+      });
+      assert.equal(db.countUnindexedVectors(), 1, 'not embedded on insert');
+      assert.equal(db.search('authenticate', '/p').length, 0, 'unprimed query falls back to keywords');
+
+      await primeEmbeddings(db.embedder, db.getUnindexedMemories().map(m => m.content));
+      assert.equal(db.indexVectors(), 1);
+      await primeEmbeddings(db.embedder, ['authenticate']);
+      const results = db.search('authenticate', '/p');
+      assert.equal(results.length, 1);
+      assert.ok(results[0].similarity > 0);
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir, homedir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { archivePolicy, findRepoPolicy, pathRule, filterFileChanges, REPO_POLICY_FILE } from '../src/core/exclusions.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+
+const HOOKS_DIR = join(import.meta.dirname, '..', 'src', 'hooks');
+
+const fileChange = content => ({ category: 'file_change', content, metadata: null });
+
+describe('project exclusion', () => {
+  let dir;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-exclude-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    resetConfig();
+  });
+
+  it('should exclude projects and everything below them by glob', () => {
+    loadConfig().excludeProjects = ['~/clients/secret-co', '/work/tmp-*', 'github.com/acme/*'];
+    const excluded = (project, cwd) => archivePolicy(project, cwd).excluded;
+    assert.equal(excluded(join(homedir(), 'clients/secret-co')), true);
+    assert.equal(excluded('github.com/other/api', join(homedir(), 'clients/secret-co/api/src')), true);
+    assert.equal(excluded('/work/tmp-scratch/x'), true);
+    assert.equal(excluded('github.com/acme/billing'), true);
+    assert.equal(excluded(join(homedir(), 'clients/secret-company')), false);
+    assert.equal(excluded('/work/app'), false);
+    assert.equal(archivePolicy('/work/tmp-a').reason, 'matches excludeProjects "/work/tmp-*"');
+  });
+
+  it('should only archive projects matching includeProjects, with excludes winning', () => {
+    Object.assign(loadConfig(), { includeProjects: ['/work/**'], excludeProjects: ['/work/legacy'] });
+    assert.equal(archivePolicy('/work/app').excluded, false);
+    assert.equal(archivePolicy('/home/me/notes').reason, 'matches no includeProjects pattern');
+    assert.equal(archivePolicy('/work/legacy/api').reason, 'matches excludeProjects "/work/legacy"');
+  });
+
+  it('should honour the nearest repository opt-out file', () => {
+    mkdirSync(join(dir, 'repo', 'pkg', 'src'), { recursive: true });
+    writeFileSync(join(dir, 'repo', REPO_POLICY_FILE), JSON.stringify({ enabled: false }));
+    const policy = archivePolicy('github.com/acme/repo', join(dir, 'repo', 'pkg', 'src'));
+    assert.equal(policy.excluded, true);
+    assert.equal(policy.reason, `opted out by ${join(dir, 'repo', REPO_POLICY_FILE)}`);
+
+    writeFileSync(join(dir, 'repo', 'pkg', REPO_POLICY_FILE), JSON.stringify({ excludePaths: ['fixtures/'] }));
+    const nearer = archivePolicy('github.com/acme/repo', join(dir, 'repo', 'pkg', 'src'));
+    assert.equal(nearer.excluded, false);
+    assert.equal(nearer.root, join(dir, 'repo', 'pkg'));
+    assert.deepEqual(nearer.excludePaths, [{ pattern: 'fixtures/', source: join(dir, 'repo', 'pkg', REPO_POLICY_FILE) }]);
+  });
+
+  it('should treat an empty or broken opt-out file as opting out', () => {
+    writeFileSync(join(dir, REPO_POLICY_FILE), '');
+    assert.equal(findRepoPolicy(dir).enabled, false);
+    writeFileSync(join(dir, REPO_POLICY_FILE), '{ "enabled": tru');
+    const broken = archivePolicy('/p', dir);
+    assert.equal(broken.excluded, true);
+    assert.match(broken.reason, /^opted out by .* \(.*JSON.*\)$/);
+    writeFileSync(join(dir, REPO_POLICY_FILE), '[]');
+    assert.equal(findRepoPolicy(dir).error, 'must be a JSON object');
+  });
+});
+
+describe('path exclusion', () => {
+  beforeEach(() => resetConfig());
+  afterEach(() => resetConfig());
+
+  const policy = (cfg, root = '/work/app') => {
+    Object.assign(loadConfig(), cfg);
+    return archivePolicy('/work/app', root);
+  };
+
+  it('should match relative, rooted and absolute globs', () => {
+    const p = policy({ excludePaths: ['vendor/', 'dist/**', '*.min.js', './build', '/etc/**', '~/scratch'] });
+    const excluded = file => pathRule(p, file)?.pattern ?? null;
+    assert.equal(excluded('/work/app/vendor/lib/a.js'), 'vendor/');
+    assert.equal(excluded('/work/app/packages/ui/vendor/b.js'), 'vendor/');
+    assert.equal(excluded('dist/index.js'), 'dist/**');
+    assert.equal(excluded('/work/app/public/app.min.js'), '*.min.js');
+    assert.equal(excluded('/work/app/build/out.js'), './build');
+    assert.equal(excluded('/work/app/tools/build/run.js'), null);
+    assert.equal(excluded('/etc/hosts'), '/etc/**');
+    assert.equal(excluded(join(homedir(), 'scratch', 'x.txt')), '~/scratch');
+    assert.equal(excluded('/work/app/src/vendored.js'), null);
+    assert.equal(excluded('/opt/lib/vendor/c.js'), 'vendor/', 'outside the root the absolute path is used');
+  });
+
+  it('should not match the directories the project lives in', () => {
+    const p = policy({ excludePaths: ['build/'] }, '/home/me/build/app');
+    assert.equal(pathRule(p, '/home/me/build/app/src/main.js'), null);
+  });
+
+  it('should keep only files matching includePaths', () => {
+    const p = policy({ includePaths: ['src/', 'README.md'], excludePaths: ['src/generated/'] });
+    assert.equal(pathRule(p, '/work/app/src/main.js'), null);
+    assert.equal(pathRule(p, '/work/app/README.md'), null);
+    assert.deepEqual(pathRule(p, '/work/app/docs/guide.md'), { kind: 'include', pattern: null, source: null });
+    assert.deepEqual(pathRule(p, '/work/app/src/generated/api.js'), { kind: 'exclude', pattern: 'src/generated/', source: 'config' });
+  });
+
+  it('should take path globs from project overrides', () => {
+    const p = policy({ excludePaths: ['dist/'], projects: { '/work/app': { excludePaths: ['fixtures/'] } } });
+    assert.deepEqual(p.excludePaths, [{ pattern: 'fixtures/', source: 'projects["/work/app"]' }]);
+  });
+
+  it('should drop file changes whose every file is excluded', () => {
+    const p = policy({ excludePaths: ['vendor/', 'dist/'] });
+    const memories = [
+      fileChange('Edited file: /work/app/vendor/lib.js\n  Changed: "a" → "src/b.js"'),
+      fileChange('Created/wrote file: /work/app/src/index.js'),
+      fileChange('Rebuilt dist/app.js and dist/app.css after bumping vendor/lib.js'),
+      fileChange('Updated src/api.js and the generated dist/api.js together'),
+      fileChange('Regenerated the bundles'),
+      { category: 'file_change', content: 'Refreshed the third-party code', metadata: { files: ['vendor/x.js'] } },
+      { category: 'decision', content: 'Keep vendor/ checked in', metadata: null },
+    ];
+    const { memories: kept, dropped } = filterFileChanges(memories, p);
+    assert.equal(dropped, 3);
+    assert.deepEqual(kept.map(m => m.content), [
+      'Created/wrote file: /work/app/src/index.js',
+      'Updated src/api.js and the generated dist/api.js together',
+      'Regenerated the bundles',
+      'Keep vendor/ checked in',
+    ]);
+  });
+});
+
+describe('archiving with exclusions', () => {
+  let dir, db, path;
+
+  const line = (uuid, parentUuid, role, content) =>
+    JSON.stringify({ type: role, uuid, parentUuid, sessionId: 'sess', cwd: '/work/app', message: { role, content } }) + '\n';
+  const write = (id, file) => ({ type: 'tool_use', id, name: 'Write', input: { file_path: file, content: 'x' } });
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-exclude-archive-'));
+    path = join(dir, 'sess.jsonl');
+    writeFileSync(path, line('u1', null, 'user', 'Rebuild the bundle and update the entry point please')
+      + line('a1', 'u1', 'assistant', [
+        { type: 'text', text: "We'll keep the bundle in dist instead of committing vendor copies." },
+        write('t1', join(dir, 'dist', 'bundle.js')),
+        write('t2', join(dir, 'src', 'index.js')),
+      ])
+      + line('r1', 'a1', 'user', [
+        { type: 'tool_result', tool_use_id: 't1', content: 'ok' },
+        { type: 'tool_result', tool_use_id: 't2', content: 'ok' },
+      ]));
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => {
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+    resetConfig();
+  });
+
+  it('should not read or record anything for an excluded project', async () => {
+    loadConfig().excludeProjects = [dir];
+    const logs = [];
+    const result = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: dir, cwd: dir, log: m => logs.push(m) });
+    assert.equal(result.excluded, `matches excludeProjects "${dir}"`);
+    assert.equal(result.messages, 0);
+    assert.equal(db.exportAll().length, 0);
+    assert.equal(db.getCheckpoint('sess', path), undefined);
+    assert.deepEqual(db.getStats().sessions, []);
+    assert.deepEqual(logs, [`not archived: matches excludeProjects "${dir}"`]);
+  });
+
+  it('should drop file changes under excluded paths', async () => {
+    writeFileSync(join(dir, REPO_POLICY_FILE), JSON.stringify({ excludePaths: ['dist/'] }));
+    const result = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app', cwd: dir });
+    assert.equal(result.pathExcluded, 1);
+    const files = db.exportAll().filter(m => m.category === 'file_change').map(m => m.content);
+    assert.deepEqual(files, [`Created/wrote file: ${join(dir, 'src', 'index.js')}`]);
+  });
+});
+
+describe('hooks with a repository opt-out', () => {
+  it('should skip archiving and restoring', () => {
+    const home = mkdtempSync(join(tmpdir(), 'ic-exclude-home-'));
+    const repo = join(home, 'repo');
+    mkdirSync(repo);
+    writeFileSync(join(repo, REPO_POLICY_FILE), '{ "enabled": false }');
+    writeFileSync(join(repo, 'sess.jsonl'), JSON.stringify({
+      type: 'user', uuid: 'u1', sessionId: 'sess', cwd: repo,
+      message: { role: 'user', content: 'We decided to use Postgres for the billing ledger service' },
+    }) + '\n');
+    try {
+      const run = (hook, input) => spawnSync('node', [join(HOOKS_DIR, `${hook}.js`)], {
+        input: JSON.stringify(input), env: { ...process.env, HOME: home, NODE_NO_WARNINGS: '1' }, encoding: 'utf-8', timeout: 10000,
+      });
+      const compact = run('pre-compact', { session_id: 'sess', transcript_path: join(repo, 'sess.jsonl'), cwd: repo });
+      assert.equal(compact.status, 0);
+      assert.equal(compact.stdout, '');
+      assert.match(compact.stderr, /pre-compact: skipped, .* opted out by /);
+      assert.equal(existsSync(join(home, '.claude', 'infinite-context', 'memories.db')), false);
+
+      const start = run('session-start', { session_id: 'sess', cwd: repo, source: 'startup' });
+      assert.equal(start.stdout, '');
+      assert.match(start.stderr, /session-start: skipped/);
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { runExtractors, registerExtractor, extractorPipeline, formatRuns } from '../src/core/extractors.js';
+
+const TURNS = [{
+  userMessage: { text: 'Fix PROJ-123: the importer drops rows with empty titles' },
+  assistantMessages: [{ text: "We'll keep empty titles and default them to the file name.", thinking: '' }],
+  allToolCalls: [],
+  allToolResults: [],
+}];
+
+describe('extractor pipeline', () => {
+  let dir;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-extract-'));
+  });
+
+  afterEach(() => {
+    for (const name of ['ticket-ids', 'broken', 'slow', 'stuck', 'first', 'second']) registerExtractor(name, null);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const ctx = (config) => ({ project: '/p', sessionId: 's', cwd: dir, config: { ...loadConfig(), ...config } });
+
+  it('should derive the pipeline from extractionMode when none is configured', () => {
+    assert.deepEqual(extractorPipeline({ extractionMode: 'rules', extractors: null }), [{ name: 'rules' }]);
+    assert.deepEqual(extractorPipeline({ extractionMode: 'llm', extractors: null }), [{ name: 'llm', fallback: 'rules' }]);
+    assert.deepEqual(extractorPipeline({ extractionMode: 'hybrid', extractors: null }), [{ name: 'llm' }, { name: 'rules' }]);
+    assert.deepEqual(extractorPipeline({ extractionMode: 'llm', extractors: ['rules', { module: './x.js' }] }), [
+      { name: 'rules' }, { module: './x.js', name: './x.js' },
+    ]);
+  });
+
+  it('should run registered extractors in order and fill in memory fields', async () => {
+    registerExtractor('first', () => [{ category: 'note', content: 'First extractor output' }]);
+    registerExtractor('second', async (turns, { options }) => [{ category: 'finding', content: `Second saw ${turns.length} turn`, score: options.score }]);
+
+    const { memories, runs } = await runExtractors(TURNS, ctx({ extractors: ['second', { name: 'first' }, { name: 'second', options: { score: 0.9 } }] }));
+    assert.deepEqual(memories.map(m => m.content), ['Second saw 1 turn', 'First extractor output', 'Second saw 1 turn']);
+    assert.equal(memories[2].score, 0.9);
+    const [first] = memories;
+    assert.equal(first.project, '/p');
+    assert.equal(first.sessionId, 's');
+    assert.ok(first.keywords.includes('turn'));
+    assert.equal(typeof first.sourceHash, 'string');
+    assert.deepEqual(first.metadata, { extractor: 'second' });
+    assert.deepEqual(runs.map(r => [r.name, r.count, r.error]), [['second', 1, null], ['first', 1, null], ['second', 1, null]]);
+  });
+
+  it('should isolate failing, slow and invalid extractors', async () => {
+    registerExtractor('broken', () => { throw new Error('boom'); });
+    registerExtractor('slow', () => new Promise(resolve => setTimeout(() => resolve([{ category: 'note', content: 'late' }]), 500)));
+    registerExtractor('first', () => [{ category: 'bogus', content: 'dropped' }, { category: 'note', content: '' }, { category: 'note', content: 'kept' }]);
+
+    const { memories, runs } = await runExtractors(TURNS, ctx({
+      extractors: ['broken', { name: 'slow', timeoutMs: 20 }, 'missing', 'first', 'rules'],
+    }));
+    assert.deepEqual(runs.map(r => r.error), ['boom', 'timed out after 20ms', 'unknown extractor "missing"', null, null]);
+    assert.ok(memories.some(m => m.content === 'kept'));
+    assert.ok(memories.some(m => m.category === 'decision'), 'rules extractor still ran');
+    assert.ok(!memories.some(m => m.content === 'late' || m.content === 'dropped'));
+    assert.match(formatRuns(runs), /^broken failed: boom, slow failed: timed out after 20ms, /);
+  });
+
+  it('should abort the signal of an extractor that timed out', async () => {
+    let aborted = null;
+    registerExtractor('stuck', (turns, { signal }) => new Promise(resolve => {
+      const timer = setTimeout(resolve, 5000);
+      signal.addEventListener('abort', () => { clearTimeout(timer); aborted = signal.reason.message; resolve([]); });
+    }));
+    const started = Date.now();
+    const { runs } = await runExtractors(TURNS, ctx({ extractors: [{ name: 'stuck', timeoutMs: 20 }] }));
+    assert.equal(runs[0].error, 'timed out after 20ms');
+    assert.equal(aborted, 'timed out after 20ms');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('should run the fallback when an extractor fails', async () => {
+    registerExtractor('broken', async () => { throw new Error('API down'); });
+    const { memories, runs } = await runExtractors(TURNS, ctx({ extractors: [{ name: 'broken', fallback: 'rules' }] }));
+    assert.equal(runs[1].fallbackFor, 'broken');
+    assert.ok(memories.length > 0);
+    assert.match(formatRuns(runs), /broken failed: API down, rules \(fallback for broken\)=\d+/);
+  });
+
+  it('should load extractor modules relative to the session directory', async () => {
+    writeFileSync(join(dir, 'tickets.mjs'), `export function extract(turns, ctx) {
+      const ids = new Set();
+      for (const t of turns) for (const id of t.userMessage.text.match(/[A-Z]+-\\d+/g) || []) ids.add(id);
+      return [...ids].map(id => ({ category: 'note', content: ctx.options.prefix + id, metadata: { ticket: id } }));
+    }`);
+    const { memories } = await runExtractors(TURNS, ctx({
+      extractors: [{ name: 'ticket-ids', module: './tickets.mjs', options: { prefix: 'Worked on ' } }],
+    }));
+    assert.deepEqual(memories.map(m => [m.content, m.metadata]), [['Worked on PROJ-123', { ticket: 'PROJ-123', extractor: 'ticket-ids' }]]);
+  });
+});
@@ -1,13 +1,14 @@
 import { describe, it, beforeEach, afterEach, before, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { execSync } from 'child_process';
-import { writeFileSync, mkdirSync, rmSync, existsSync, readFileSync } from 'fs';
+import { writeFileSync, appendFileSync, mkdirSync, rmSync, existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import { randomUUID } from 'crypto';
 import { Store } from '../src/db/store.js';
-import { resetConfig } from '../src/core/config.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
 import { parseTranscript, groupIntoTurns } from '../src/core/transcript-parser.js';
+import { readTranscript } from '../src/core/archive-pipeline.js';
 import { extractMemories } from '../src/core/archiver.js';
 import { restoreContext, recallForPrompt } from '../src/core/restorer.js';
 import { extractKeywords, scoreMemory, computeImportance, estimateTokens } from '../src/core/scorer.js';
@@ -1939,6 +1940,90 @@ describe('Integration: Full Hook Lifecycle', () => {
       db.close();
     });
   });
+
+  // -----------------------------------------------------------------------
+  // Phase 21: Rewound transcripts (double-ESC edits)
+  // -----------------------------------------------------------------------
+
+  describe('Phase 21: Transcript Rewinds', () => {
+    let db;
+    let path;
+    const sid = 'rewind-session';
+
+    beforeEach(() => {
+      resetConfig();
+      db = new Store(':memory:').open();
+      path = join(testDir, `rewind-${randomUUID()}.jsonl`);
+      writeFileSync(path, [
+        userMessage('Set up persistence for the orders service', { uuid: 'u1' }),
+        assistantTextMessage("I'll use PostgreSQL for persistence because it handles concurrent writes well.", { uuid: 'a1', parentUuid: 'u1' }),
+        userMessage('Now add a caching layer in front of the orders queries', { uuid: 'u2', parentUuid: 'a1' }),
+        assistantTextMessage("I'll use Memcached for caching because the cached values are simple strings.", { uuid: 'a2', parentUuid: 'u2' }),
+      ].join('\n') + '\n');
+    });
+
+    afterEach(() => db.close());
+
+    function archive() {
+      const parsed = readTranscript(db, sid, path);
+      const memories = extractMemories(groupIntoTurns(parsed.messages), PROJECT_CWD, sid);
+      db.insertMany(memories);
+      db.saveCheckpoint(sid, path, parsed.lastLine, parsed);
+      return parsed;
+    }
+
+    function turnsOf() {
+      return db.getSessionMemories(sid).map(m => JSON.parse(m.metadata).turnUuid);
+    }
+
+    function rewind() {
+      appendFileSync(path, [
+        userMessage('Now add rate limiting to the orders endpoints', { uuid: 'u2b', parentUuid: 'a1' }),
+        assistantTextMessage("I'll use a sliding window rate limiter because it smooths out bursts.", { uuid: 'a2b', parentUuid: 'u2b' }),
+      ].join('\n') + '\n');
+    }
+
+    it('should record the last message uuid in the checkpoint', () => {
+      archive();
+      assert.equal(db.getCheckpoint(sid, path).last_uuid, 'a2');
+      assert.ok(turnsOf().includes('u2'));
+    });
+
+    it('should follow the new branch and delete memories from the abandoned one', () => {
+      archive();
+      rewind();
+      const parsed = archive();
+
+      assert.equal(parsed.forkUuid, 'a1');
+      assert.deepEqual(parsed.messages.map(m => m.uuid), ['u2b', 'a2b']);
+      const turns = turnsOf();
+      assert.ok(turns.includes('u1'));
+      assert.ok(turns.includes('u2b'));
+      assert.ok(!turns.includes('u2'), 'memories from the rewound turn should be gone');
+      assert.equal(db.getCheckpoint(sid, path).last_uuid, 'a2b');
+    });
+
+    it('should flag instead of deleting with the flag policy', () => {
+      loadConfig().abandonedBranchPolicy = 'flag';
+      archive();
+      rewind();
+      archive();
+
+      const flagged = db.getSessionMemories(sid).filter(m => JSON.parse(m.metadata).turnUuid === 'u2');
+      assert.ok(flagged.length > 0);
+      for (const m of flagged) {
+        assert.equal(JSON.parse(m.metadata).abandonedBranch, true);
+        assert.equal(db.getMemoryById(m.id).score, loadConfig().scoreFloor);
+      }
+    });
+
+    it('should skip an abandoned branch seen within a single pass', () => {
+      rewind();
+      const parsed = archive();
+      assert.equal(parsed.forkUuid, null);
+      assert.deepEqual(parsed.messages.map(m => m.uuid), ['u1', 'a1', 'u2b', 'a2b']);
+    });
+  });
 });
 
 // =========================================================================
@@ -0,0 +1,227 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { extractMemoriesLLM, chunkTurns } from '../src/core/llm-archiver.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+import { startFakeLlmServer } from '../src/testing/fake-llm-server.js';
+
+const FINDINGS = [
+  'invoices are numbered per tenant sequence',
+  'refunds post a reversing ledger entry',
+  'tax rates come from the regional lookup table',
+  'currency conversion rounds half-even to cents',
+  'webhook retries back off exponentially for a day',
+  'subscriptions renew at midnight UTC',
+  'discount codes stack only when marked combinable',
+  'payouts are batched every Friday',
+  'disputes freeze the related balance',
+  'statements render as PDF through a queue',
+];
+
+const turn = (i) => ({
+  userMessage: { text: `Step ${i}: refactor module number ${i} of the billing service`, uuid: `u${i}` },
+  assistantMessages: [{ text: `Done with module ${i}; it now uses the shared ledger client for all writes.`, thinking: '' }],
+  allToolCalls: [],
+  allToolResults: [],
+});
+const TURNS = Array.from({ length: 10 }, (_, i) => turn(i));
+
+// One memory per step mentioned in the chunk, plus one every chunk repeats
+function reply(prompt) {
+  const steps = [...prompt.matchAll(/USER: Step (\d+)/g)].map(m => m[1]);
+  return JSON.stringify([
+    { category: 'architecture', content: 'Billing service writes go through the shared ledger client', importance: 0.8 },
+    ...steps.map(n => ({ category: 'finding', content: `Module ${n}: ${FINDINGS[n]}`, importance: 0.5 })),
+  ]);
+}
+
+describe('chunked LLM extraction', () => {
+  let server, handler;
+  let savedKey;
+
+  before(async () => {
+    savedKey = process.env.ANTHROPIC_API_KEY;
+    server = await startFakeLlmServer({ handler: req => handler(req) });
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY; else process.env.ANTHROPIC_API_KEY = savedKey;
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetConfig();
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    server.requests.length = 0;
+    handler = ({ body }) => reply(body.messages[0].content);
+    Object.assign(loadConfig(), { llmBaseUrl: server.url, llmMaxTranscriptChars: 300, llmChunkOverlapTurns: 1, llmMaxChunks: 20 });
+  });
+
+  afterEach(() => resetConfig());
+
+  const prompts = () => server.requests.map(r => r.body.messages[0].content);
+
+  it('should split turns into overlapping chunks', () => {
+    const entries = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40), 'd'.repeat(40)].map((text, i) => ({ uuid: `u${i}`, text }));
+    assert.deepEqual(chunkTurns(entries, 90, 1).map(c => [c.start, c.end]), [[0, 2], [1, 3], [2, 4]]);
+    assert.deepEqual(chunkTurns(entries, 90, 0).map(c => [c.start, c.end]), [[0, 2], [2, 4]]);
+    assert.deepEqual(chunkTurns(entries, 1000, 1).map(c => [c.start, c.end]), [[0, 4]]);
+    const [long] = chunkTurns([{ uuid: 'x', text: 'z'.repeat(500) }], 100);
+    assert.equal(long.text.length, 100);
+  });
+
+  it('should extract every turn of a long transcript and merge duplicates across chunks', async () => {
+    const memories = await extractMemoriesLLM(TURNS, '/work/billing', 'sess');
+    assert.ok(server.requests.length > 2);
+    assert.ok(prompts().every(p => p.length <= 300));
+    for (let i = 0; i < 10; i++) {
+      assert.ok(prompts().some(p => p.includes(`Step ${i}:`)), `step ${i} reached the model`);
+      assert.ok(memories.some(m => m.content.startsWith(`Module ${i}:`)));
+    }
+    assert.equal(memories.filter(m => m.category === 'architecture').length, 1);
+    assert.equal(new Set(memories.map(m => m.content)).size, memories.length);
+    assert.equal(memories.find(m => m.content.startsWith('Module 9:')).metadata.turnUuid.startsWith('u'), true);
+  });
+
+  it('should keep at most llmConcurrency requests in flight', async () => {
+    loadConfig().llmConcurrency = 2;
+    let active = 0;
+    let peak = 0;
+    handler = async ({ body }) => {
+      peak = Math.max(peak, ++active);
+      await new Promise(r => setTimeout(r, 20));
+      active--;
+      return reply(body.messages[0].content);
+    };
+    await extractMemoriesLLM(TURNS, '/p', 's');
+    assert.equal(peak, 2);
+  });
+
+  it('should defer the turns past llmMaxChunks and pick them up next time', async () => {
+    loadConfig().llmMaxChunks = 2;
+    let deferred = null;
+    const first = await extractMemoriesLLM(TURNS, '/p', 's', { deferTurns: rest => { deferred = rest; } });
+    assert.equal(server.requests.length, 2);
+    assert.ok(deferred.length > 0 && deferred.length < TURNS.length);
+    assert.equal(deferred.at(-1).uuid, 'u9');
+
+    server.requests.length = 0;
+    let rest = deferred;
+    let seen = first;
+    while (rest.length > 0) {
+      seen = seen.concat(await extractMemoriesLLM([], '/p', 's', { pendingTurns: rest, deferTurns: r => { rest = r; } }));
+    }
+    for (let i = 0; i < 10; i++) assert.ok(seen.some(m => m.content.startsWith(`Module ${i}:`)));
+  });
+
+  it('should stop starting chunks once the time budget is spent', async () => {
+    Object.assign(loadConfig(), { llmBudgetMs: 150, llmConcurrency: 1 });
+    handler = async ({ body }) => {
+      if (server.requests.length > 1) await new Promise(r => setTimeout(r, 300));
+      return reply(body.messages[0].content);
+    };
+    let deferred = [];
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { deferTurns: rest => { deferred = rest; } });
+    assert.equal(server.requests.length, 2, 'the slow second chunk used up the budget');
+    assert.ok(memories.some(m => m.content.startsWith('Module 0:')));
+    assert.equal(deferred[0].uuid, 'u1');
+  });
+
+  it('should cancel requests in flight and start no more chunks once the signal aborts', async () => {
+    loadConfig().llmConcurrency = 1;
+    handler = ({ body }) => ({ text: reply(body.messages[0].content), delayMs: server.requests.length > 1 ? 2000 : 0 });
+    const controller = new AbortController();
+    const calls = [];
+    setTimeout(() => controller.abort(), 200);
+    const started = Date.now();
+    let deferred = [];
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', {
+      signal: controller.signal, deferTurns: rest => { deferred = rest; }, recordCall: call => calls.push(call),
+    });
+    assert.ok(Date.now() - started < 1500, 'did not wait for the slow reply');
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(calls.map(c => [c.status, c.error]), [['ok', null], ['error', 'anthropic API request cancelled']]);
+    assert.ok(memories.some(m => m.content.startsWith('Module 0:')));
+    assert.equal(deferred[0].uuid, 'u1');
+  });
+
+  it('should fail with a reason when the first chunk never started', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let deferred = null;
+    await assert.rejects(
+      extractMemoriesLLM(TURNS, '/p', 's', { signal: controller.signal, deferTurns: rest => { deferred = rest; } }),
+      /LLM extraction cancelled/,
+    );
+    assert.equal(server.requests.length, 0);
+    assert.equal(deferred, null);
+  });
+
+  it('should fail when the first chunk fails and defer from a later failed chunk', async () => {
+    handler = () => ({ status: 500, text: 'down' });
+    let deferred = null;
+    await assert.rejects(extractMemoriesLLM(TURNS, '/p', 's', { deferTurns: rest => { deferred = rest; } }), /API 500/);
+    assert.equal(deferred, null);
+
+    loadConfig().llmConcurrency = 1;
+    server.requests.length = 0;
+    let calls = 0;
+    handler = ({ body }) => (++calls === 2 ? { status: 500, text: 'down' } : reply(body.messages[0].content));
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { deferTurns: rest => { deferred = rest; } });
+    assert.ok(memories.length > 0);
+    assert.ok(deferred.length > 0);
+    assert.equal(server.requests.length, 2, 'no chunk started after the failure');
+  });
+
+  it('should not return what chunks after the first incomplete one extracted', async () => {
+    loadConfig().llmConcurrency = 2;
+    let calls = 0;
+    handler = ({ body }) => (++calls === 2 ? { status: 500, text: 'down', delayMs: 150 } : reply(body.messages[0].content));
+    let deferred = null;
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { deferTurns: rest => { deferred = rest; } });
+    assert.ok(server.requests.length > 2, 'later chunks completed while the second one failed');
+    const [first] = prompts();
+    const modules = memories.map(m => m.content.match(/^Module (\d+):/)?.[1]).filter(Boolean);
+    assert.ok(modules.length > 0);
+    assert.ok(modules.every(n => first.includes(`Step ${n}:`)), `only the first chunk counts: ${modules}`);
+    assert.equal(deferred[0].uuid, `u${prompts()[1].match(/Step (\d+):/)[1]}`);
+  });
+
+  it('should carry the unprocessed remainder in the archive checkpoint', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ic-llm-chunks-'));
+    const db = new Store(':memory:').open();
+    try {
+      Object.assign(loadConfig(), { extractionMode: 'llm', llmMaxChunks: 2 });
+      const path = join(dir, 'sess.jsonl');
+      let parent = null;
+      writeFileSync(path, TURNS.flatMap((t, i) => {
+        const lines = [
+          { type: 'user', uuid: `u${i}`, parentUuid: parent, sessionId: 'sess', message: { role: 'user', content: t.userMessage.text } },
+          { type: 'assistant', uuid: `a${i}`, parentUuid: `u${i}`, sessionId: 'sess', message: { role: 'assistant', content: t.assistantMessages[0].text } },
+        ];
+        parent = `a${i}`;
+        return lines.map(l => JSON.stringify(l));
+      }).join('\n') + '\n');
+
+      const first = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/billing' });
+      assert.ok(first.pendingTurns > 0);
+      assert.equal(JSON.parse(db.getCheckpoint('sess', path).pending_turns).length, first.pendingTurns);
+
+      let pending = first.pendingTurns;
+      for (let i = 0; pending > 0 && i < 10; i++) {
+        pending = (await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/billing' })).pendingTurns;
+      }
+      assert.equal(pending, 0);
+      assert.equal(db.getCheckpoint('sess', path).pending_turns, null);
+      const contents = db.exportAll().map(m => m.content);
+      for (let i = 0; i < 10; i++) assert.ok(contents.some(c => c.startsWith(`Module ${i}:`)), `module ${i} archived`);
+    } finally {
+      db.close();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { createProvider } from '../src/core/llm-provider.js';
+import { extractMemoriesLLM } from '../src/core/llm-archiver.js';
+import { startFakeLlmServer } from '../src/testing/fake-llm-server.js';
+
+const TURNS = [{
+  userMessage: { text: 'Set up the database layer for the billing service please', uuid: 'u1' },
+  assistantMessages: [{ text: "We'll use Postgres with a connection pool instead of SQLite for concurrent writes.", thinking: '' }],
+  allToolCalls: [],
+  allToolResults: [],
+}];
+
+const REPLY = JSON.stringify([
+  { category: 'decision', content: 'Use Postgres with a connection pool for billing', importance: 0.9 },
+  { category: 'architecture', content: 'Billing service owns its own database layer', importance: 0.7 },
+]);
+
+describe('LLM providers', () => {
+  let server;
+  const saved = {};
+
+  before(async () => {
+    for (const key of ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GATEWAY_TOKEN']) saved[key] = process.env[key];
+    server = await startFakeLlmServer({ handler: ({ body }) => body?.model === 'slow' ? { text: REPLY, delayMs: 500 } : REPLY });
+  });
+
+  after(async () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]; else process.env[key] = value;
+    }
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetConfig();
+    server.requests.length = 0;
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    process.env.OPENAI_API_KEY = 'sk-openai-test';
+  });
+
+  afterEach(() => resetConfig());
+
+  function configure(fields) {
+    Object.assign(loadConfig(), { llmBaseUrl: server.url, ...fields });
+  }
+
+  it('should extract memories through the Anthropic messages format', async () => {
+    configure({ llmProvider: 'anthropic' });
+    const memories = await extractMemoriesLLM(TURNS, '/work/billing', 'sess');
+    assert.deepEqual(memories.map(m => m.category), ['decision', 'architecture']);
+    assert.equal(memories[0].project, '/work/billing');
+
+    const [req] = server.requests;
+    assert.equal(req.path, '/v1/messages');
+    assert.equal(req.headers['x-api-key'], 'sk-ant-test');
+    assert.equal(req.headers['anthropic-version'], '2023-06-01');
+    assert.equal(req.body.model, 'claude-opus-4-6');
+    assert.match(req.body.system, /context extraction assistant/);
+    assert.match(req.body.messages[0].content, /Postgres with a connection pool/);
+  });
+
+  it('should speak the OpenAI-compatible chat completions format', async () => {
+    configure({ llmProvider: 'openai', llmBaseUrl: `${server.url}/v1/`, llmModel: 'gpt-test' });
+    const memories = await extractMemoriesLLM(TURNS, '/work/billing', 'sess');
+    assert.equal(memories.length, 2);
+
+    const [req] = server.requests;
+    assert.equal(req.path, '/v1/chat/completions');
+    assert.equal(req.headers.authorization, 'Bearer sk-openai-test');
+    assert.deepEqual(req.body.messages.map(m => m.role), ['system', 'user']);
+    assert.equal(req.body.model, 'gpt-test');
+  });
+
+  it('should speak the Ollama chat format without an API key', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    configure({ llmProvider: 'ollama', llmModel: 'llama3' });
+    const memories = await extractMemoriesLLM(TURNS, '/work/billing', 'sess');
+    assert.equal(memories.length, 2);
+
+    const [req] = server.requests;
+    assert.equal(req.path, '/api/chat');
+    assert.equal(req.body.stream, false);
+    assert.equal(req.headers.authorization, undefined);
+  });
+
+  it('should send the key from a custom env var in a custom header', async () => {
+    process.env.GATEWAY_TOKEN = 'gw-secret';
+    configure({ llmProvider: 'anthropic', llmApiKeyEnv: 'GATEWAY_TOKEN', llmAuthHeader: 'X-Gateway-Key' });
+    await extractMemoriesLLM(TURNS, '/p', 's');
+    assert.equal(server.requests[0].headers['x-gateway-key'], 'gw-secret');
+    assert.equal(server.requests[0].headers['x-api-key'], undefined);
+
+    configure({ llmAuthHeader: 'Authorization' });
+    await extractMemoriesLLM(TURNS, '/p', 's');
+    assert.equal(server.requests[1].headers.authorization, 'Bearer gw-secret');
+  });
+
+  it('should return text and token usage from a completion', async () => {
+    configure({ llmProvider: 'openai' });
+    const result = await createProvider(loadConfig()).complete({ system: 'sys', prompt: 'hello' });
+    assert.equal(result.text, REPLY);
+    assert.deepEqual(result.usage, { inputTokens: 100, outputTokens: 50 });
+  });
+
+  it('should fail without the API key', () => {
+    delete process.env.OPENAI_API_KEY;
+    configure({ llmProvider: 'openai' });
+    assert.throws(() => createProvider(loadConfig()), /OPENAI_API_KEY not set/);
+  });
+
+  it('should surface HTTP errors and timeouts', async () => {
+    const failing = await startFakeLlmServer({ responses: [{ status: 529, text: 'overloaded' }] });
+    try {
+      configure({ llmBaseUrl: failing.url });
+      await assert.rejects(extractMemoriesLLM(TURNS, '/p', 's'), /anthropic API 529: .*overloaded/);
+    } finally {
+      await failing.close();
+    }
+
+    configure({ llmModel: 'slow', llmTimeoutMs: 50 });
+    await assert.rejects(extractMemoriesLLM(TURNS, '/p', 's'), /timed out after 50ms/);
+  });
+
+  it('should reject an unknown provider', () => {
+    assert.throws(() => createProvider({ ...loadConfig(), llmProvider: 'bedrock' }), /Unknown LLM provider "bedrock"/);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { repairJson, validateMemoryItem, parseLlmResponse } from '../src/core/llm-response.js';
+import { extractMemoriesLLM } from '../src/core/llm-archiver.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+import { startFakeLlmServer } from '../src/testing/fake-llm-server.js';
+
+const GOOD = { category: 'decision', content: 'Use Postgres for the billing service', importance: 0.9 };
+const OTHER = { category: 'finding', content: 'The ledger client retries writes twice', importance: 0.5 };
+
+describe('LLM reply validation', () => {
+  it('should validate each item against the schema', () => {
+    assert.deepEqual(validateMemoryItem(GOOD), []);
+    assert.deepEqual(validateMemoryItem({ category: 'note', content: 'Keep the changelog in sync' }), []);
+    assert.deepEqual(validateMemoryItem('text'), ['not an object']);
+    const problems = validateMemoryItem({ category: 'idea', content: 'short', importance: 3, supersedes: 4 });
+    assert.equal(problems.length, 4);
+    assert.match(problems[0], /category must be one of architecture, .* \(got "idea"\)/);
+    assert.match(problems[1], /at least 10 characters/);
+    assert.match(problems[2], /importance/);
+    assert.match(problems[3], /supersedes/);
+  });
+
+  it('should repair fences, trailing commas and truncated arrays', () => {
+    assert.deepEqual(JSON.parse(repairJson('```json\n[{"a": 1,}, {"b": [2, 3,],},]\n```')), [{ a: 1 }, { b: [2, 3] }]);
+    assert.deepEqual(JSON.parse(repairJson('Here you go: [{"a": "x, ]"}, {"b": 2}, {"c": "cut off')), [{ a: 'x, ]' }, { b: 2 }]);
+    assert.deepEqual(JSON.parse(repairJson('[{"a": "unterminated')), []);
+    assert.equal(repairJson('no array here'), null);
+  });
+
+  it('should keep valid items and report the invalid ones', () => {
+    const reply = parseLlmResponse(JSON.stringify([GOOD, { category: 'idea', content: 'Some idea that is long enough' }, OTHER]));
+    assert.deepEqual(reply.items, [GOOD, OTHER]);
+    assert.equal(reply.dropped, 1);
+    assert.equal(reply.repaired, false);
+    assert.deepEqual(reply.errors.map(e => e.split(':')[0]), ['item 1']);
+
+    const fixed = parseLlmResponse(`\`\`\`json\n${JSON.stringify([GOOD, OTHER], null, 2).replace(/}\n]/, '},\n]')}\n\`\`\``);
+    assert.deepEqual(fixed.items, [GOOD, OTHER]);
+    assert.equal(fixed.repaired, true);
+
+    assert.deepEqual(parseLlmResponse('I found nothing worth keeping.').errors, ['reply contains no JSON array']);
+  });
+});
+
+describe('LLM reply repair with retries', () => {
+  let server, replies, dir;
+  let savedKey;
+  const TURNS = [{
+    userMessage: { text: 'Set up the database layer for the billing service please', uuid: 'u1' },
+    assistantMessages: [{ text: "We'll use Postgres with a connection pool instead of SQLite.", thinking: '' }],
+    allToolCalls: [],
+    allToolResults: [],
+  }];
+
+  before(async () => {
+    savedKey = process.env.ANTHROPIC_API_KEY;
+    server = await startFakeLlmServer({ handler: () => replies.shift() ?? '[]' });
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY; else process.env.ANTHROPIC_API_KEY = savedKey;
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetConfig();
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    Object.assign(loadConfig(), { llmBaseUrl: server.url });
+    server.requests.length = 0;
+    dir = mkdtempSync(join(tmpdir(), 'ic-llm-reply-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    resetConfig();
+  });
+
+  it('should feed validation errors back to the model and use the corrected reply', async () => {
+    const first = JSON.stringify([GOOD, { category: 'idea', content: 'Ledger client retries writes twice' }]);
+    replies = [first, JSON.stringify([GOOD, OTHER])];
+    let stats = null;
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { recordStats: s => { stats = s; } });
+    assert.deepEqual(memories.map(m => m.content), [GOOD.content, OTHER.content]);
+    assert.equal(server.requests.length, 2);
+
+    const retry = server.requests[1].body.messages;
+    assert.deepEqual(retry.map(m => m.role), ['user', 'assistant', 'user']);
+    assert.equal(retry[1].content, first);
+    assert.match(retry[2].content, /item 1: category must be one of/);
+    assert.deepEqual({ ...stats, errors: undefined }, { dropped: 0, repaired: 0, retries: 1, invalid: 0, errors: undefined });
+  });
+
+  it('should keep the first reply when the retry is worse and count what was dropped', async () => {
+    replies = ['[' + JSON.stringify(GOOD) + ', {"category": "note", "content": 42},]', 'sorry, no'];
+    let stats = null;
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { recordStats: s => { stats = s; } });
+    assert.deepEqual(memories.map(m => m.content), [GOOD.content]);
+    assert.equal(stats.dropped, 1);
+    assert.equal(stats.repaired, 1);
+    assert.equal(stats.retries, 1);
+    assert.match(stats.errors[0], /item 1: content must be a string/);
+  });
+
+  it('should give the retry only the time the first request left', async () => {
+    loadConfig().llmTimeoutMs = 600;
+    const calls = [];
+    replies = [{ text: 'sorry, no', delayMs: 400 }, { text: JSON.stringify([GOOD]), delayMs: 400 }];
+    const started = Date.now();
+    const memories = await extractMemoriesLLM(TURNS, '/p', 's', { recordCall: call => calls.push(call) });
+    assert.ok(Date.now() - started < 750, 'the chunk kept to llmTimeoutMs');
+    assert.deepEqual(memories, []);
+    assert.deepEqual(calls.map(c => c.status), ['ok', 'timeout']);
+    assert.ok(Number(calls[1].error.match(/timed out after (\d+)ms$/)[1]) <= 200);
+  });
+
+  it('should not retry when llmRepairRetries is 0', async () => {
+    loadConfig().llmRepairRetries = 0;
+    replies = ['no json at all'];
+    let stats = null;
+    assert.deepEqual(await extractMemoriesLLM(TURNS, '/p', 's', { recordStats: s => { stats = s; } }), []);
+    assert.equal(server.requests.length, 1);
+    assert.equal(stats.invalid, 1);
+  });
+
+  it('should record the counters in session stats', async () => {
+    loadConfig().extractionMode = 'llm';
+    replies = ['[' + JSON.stringify(GOOD) + ', {"category": "note"}', 'still [broken'];
+    const path = join(dir, 'sess.jsonl');
+    writeFileSync(path, [
+      { type: 'user', uuid: 'u1', parentUuid: null, sessionId: 'sess', message: { role: 'user', content: TURNS[0].userMessage.text } },
+      { type: 'assistant', uuid: 'a1', parentUuid: 'u1', sessionId: 'sess', message: { role: 'assistant', content: TURNS[0].assistantMessages[0].text } },
+    ].map(l => JSON.stringify(l)).join('\n') + '\n');
+
+    const db = new Store(':memory:').open();
+    try {
+      const logs = [];
+      const result = await archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/p', log: msg => logs.push(msg) });
+      assert.equal(result.inserted, 1);
+      const [session] = db.getStats().sessions;
+      assert.deepEqual([session.llm_dropped, session.llm_repaired, session.llm_retries, session.llm_invalid], [1, 1, 1, 0]);
+      assert.ok(logs.some(l => l.startsWith('llm replies: 1 items dropped, 1 repaired, 1 retries')));
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createRequire } from 'module';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+import { Store } from '../src/db/store.js';
+import { resetConfig } from '../src/core/config.js';
+import {
+  MIGRATIONS, LATEST_VERSION, getSchemaVersion, getMigrationStatus, runMigrations,
+} from '../src/db/migrations.js';
+
+const require = createRequire(import.meta.url);
+
+describe('migrations registry', () => {
+  it('should be ordered with contiguous versions starting at 1', () => {
+    MIGRATIONS.forEach((m, i) => {
+      assert.equal(m.version, i + 1);
+      assert.equal(typeof m.up, 'function');
+      assert.ok(m.name);
+    });
+    assert.equal(LATEST_VERSION, MIGRATIONS.length);
+  });
+});
+
+describe('runMigrations', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-migrate-'));
+    dbPath = join(dir, 'memories.db');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should bring a fresh database to the latest version without a backup', () => {
+    const db = new Store(dbPath).open();
+    assert.equal(getSchemaVersion(db.db), LATEST_VERSION);
+    assert.equal(db.migration.from, 0);
+    assert.equal(db.migration.applied.length, MIGRATIONS.length);
+    assert.equal(db.migration.backupPath, null);
+    db.close();
+  });
+
+  it('should be a no-op when already at the latest version', () => {
+    new Store(dbPath).open().close();
+    const db = new Store(dbPath).open();
+    assert.deepEqual(db.migration.applied, []);
+    assert.equal(db.migration.to, LATEST_VERSION);
+    db.close();
+  });
+
+  it('should report applied and pending steps', () => {
+    const Database = require('better-sqlite3');
+    const raw = new Database(':memory:');
+    const before = getMigrationStatus(raw);
+    assert.equal(before.current, 0);
+    assert.equal(before.pending.length, MIGRATIONS.length);
+
+    runMigrations(raw);
+    const after = getMigrationStatus(raw);
+    assert.equal(after.current, LATEST_VERSION);
+    assert.equal(after.pending.length, 0);
+    assert.equal(after.applied.length, MIGRATIONS.length);
+    raw.close();
+  });
+
+  it('should apply each step once when several processes open the database at once', async () => {
+    const storeUrl = pathToFileURL(join(import.meta.dirname, '..', 'src', 'db', 'store.js')).href;
+    const script = `import { Store } from '${storeUrl}';
+      const db = new Store(process.argv[1]).open();
+      console.log(db.migration.applied.length);
+      db.close();`;
+    const open = () => new Promise(resolve => {
+      const child = spawn('node', ['--input-type=module', '-e', script, dbPath], { timeout: 20000 });
+      let out = '';
+      let err = '';
+      child.stdout.on('data', d => { out += d; });
+      child.stderr.on('data', d => { err += d; });
+      child.on('close', code => resolve({ code, applied: Number(out.trim()), err }));
+    });
+    const runs = await Promise.all([open(), open(), open()]);
+    assert.deepEqual(runs.map(r => r.code), [0, 0, 0], runs.map(r => r.err).join('\n'));
+    assert.equal(runs.reduce((n, r) => n + r.applied, 0), MIGRATIONS.length);
+
+    const db = new Store(dbPath).open();
+    assert.equal(getSchemaVersion(db.db), LATEST_VERSION);
+    db.close();
+  });
+
+  describe('with an extra upgrade step', () => {
+    const extra = {
+      version: LATEST_VERSION + 1,
+      name: 'test column',
+      up(db) { db.exec('ALTER TABLE memories ADD COLUMN test_col TEXT'); },
+    };
+
+    afterEach(() => {
+      const idx = MIGRATIONS.indexOf(extra);
+      if (idx !== -1) MIGRATIONS.splice(idx, 1);
+    });
+
+    it('should back up an existing database before upgrading it', () => {
+      const first = new Store(dbPath).open();
+      first.insertMemory({
+        project: '/p', sessionId: 's', category: 'note',
+        content: 'Survives the upgrade', keywords: 'survives upgrade', score: 0.5, sourceHash: 'mig-1',
+      });
+      first.close();
+
+      MIGRATIONS.push(extra);
+      const db = new Store(dbPath).open();
+      assert.equal(db.migration.from, LATEST_VERSION);
+      assert.equal(db.migration.to, extra.version);
+      assert.ok(db.migration.backupPath);
+      assert.ok(existsSync(db.migration.backupPath));
+
+      const cols = db.db.prepare("SELECT name FROM pragma_table_info('memories')").all().map(c => c.name);
+      assert.ok(cols.includes('test_col'));
+      assert.equal(db.getTopMemories('/p', 10)[0].content, 'Survives the upgrade');
+      db.close();
+
+      const Database = require('better-sqlite3');
+      const backup = new Database(db.migration.backupPath, { readonly: true });
+      assert.equal(getSchemaVersion(backup), LATEST_VERSION);
+      assert.equal(backup.prepare('SELECT COUNT(*) as cnt FROM memories').get().cnt, 1);
+      backup.close();
+    });
+
+    it('should roll back a failing step and leave the version unchanged', () => {
+      new Store(dbPath).open().close();
+      const broken = {
+        version: LATEST_VERSION + 1,
+        name: 'broken',
+        up(db) {
+          db.exec('CREATE TABLE half_done (id INTEGER)');
+          db.exec('THIS IS NOT SQL');
+        },
+      };
+      MIGRATIONS.push(broken);
+      try {
+        assert.throws(() => new Store(dbPath).open(), /Migration v\d+ \(broken\) failed/);
+      } finally {
+        MIGRATIONS.splice(MIGRATIONS.indexOf(broken), 1);
+      }
+
+      const db = new Store(dbPath).open();
+      assert.equal(getSchemaVersion(db.db), LATEST_VERSION);
+      const tables = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table'").all().map(t => t.name);
+      assert.ok(!tables.includes('half_done'));
+      db.close();
+      assert.ok(readdirSync(dir).some(f => f.endsWith('.bak')), 'backup taken before the failed step');
+    });
+  });
+});
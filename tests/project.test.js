@@ -0,0 +1,282 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import {
+  resolveProject, resolveGitProject, normalizeRemoteUrl, registerProjectResolver, clearProjectCache, transcriptSlug,
+  resolveScope, loadProjectResolver, GLOBAL_PROJECT,
+} from '../src/core/project.js';
+import { restoreContext, recallForPrompt } from '../src/core/restorer.js';
+
+describe('project identity', () => {
+  let dir;
+
+  beforeEach(() => {
+    resetConfig();
+    clearProjectCache();
+    registerProjectResolver(null);
+    dir = mkdtempSync(join(tmpdir(), 'ic-proj-'));
+  });
+
+  afterEach(() => {
+    registerProjectResolver(null);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function makeRepo(name, remote) {
+    const root = join(dir, name);
+    mkdirSync(join(root, '.git'), { recursive: true });
+    mkdirSync(join(root, 'src', 'lib'), { recursive: true });
+    writeFileSync(join(root, '.git', 'config'), remote
+      ? `[core]\n\tbare = false\n[remote "origin"]\n\turl = ${remote}\n\tfetch = +refs/heads/*:refs/remotes/origin/*\n`
+      : '[core]\n\tbare = false\n');
+    return root;
+  }
+
+  it('should normalise remote URLs to one form', () => {
+    const expected = 'github.com/acme/app';
+    assert.equal(normalizeRemoteUrl('git@github.com:acme/app.git'), expected);
+    assert.equal(normalizeRemoteUrl('https://github.com/acme/app.git'), expected);
+    assert.equal(normalizeRemoteUrl('https://user@GitHub.com/acme/app/'), expected);
+    assert.equal(normalizeRemoteUrl('ssh://git@github.com:22/acme/app.git'), expected);
+  });
+
+  it('should use the path by default', () => {
+    const root = makeRepo('a', 'git@github.com:acme/app.git');
+    assert.equal(resolveProject(root), root);
+  });
+
+  it('should give clones of the same remote one identity', () => {
+    loadConfig().projectResolver = 'git';
+    const one = makeRepo('one', 'git@github.com:acme/app.git');
+    const two = makeRepo('two', 'https://github.com/acme/app');
+    assert.equal(resolveProject(join(one, 'src', 'lib')), 'github.com/acme/app');
+    assert.equal(resolveProject(two), 'github.com/acme/app');
+  });
+
+  it('should map worktrees without a remote to the main checkout', () => {
+    const main = makeRepo('main', null);
+    const wtGit = join(main, '.git', 'worktrees', 'feature');
+    mkdirSync(wtGit, { recursive: true });
+    writeFileSync(join(wtGit, 'commondir'), '../..\n');
+    const wt = join(dir, 'feature');
+    mkdirSync(wt);
+    writeFileSync(join(wt, '.git'), `gitdir: ${wtGit}\n`);
+    assert.equal(resolveGitProject(wt), main);
+  });
+
+  it('should fall back to the path outside a repository', () => {
+    loadConfig().projectResolver = 'git';
+    const plain = join(dir, 'plain');
+    mkdirSync(plain);
+    assert.equal(resolveProject(plain), plain);
+  });
+
+  it('should apply aliases after resolving', () => {
+    loadConfig().aliases = { '/old/checkout': '/new/checkout' };
+    assert.equal(resolveProject('/old/checkout'), '/new/checkout');
+    assert.equal(resolveProject('/other'), '/other');
+    assert.equal(resolveProject('constructor'), 'constructor');
+  });
+
+  it('should list enclosing directories as ancestors with the path resolver', () => {
+    const scope = resolveScope('/repo/packages/api');
+    assert.equal(scope.project, '/repo/packages/api');
+    assert.equal(scope.subpath, '');
+    assert.deepEqual(scope.ancestors, [
+      { project: '/repo/packages', depth: 1 },
+      { project: '/repo', depth: 2 },
+    ]);
+  });
+
+  it('should tag the subpath inside a git repository', () => {
+    loadConfig().projectResolver = 'git';
+    const root = makeRepo('mono', 'git@github.com:acme/mono.git');
+    const scope = resolveScope(join(root, 'src', 'lib'));
+    assert.equal(scope.project, 'github.com/acme/mono');
+    assert.equal(scope.subpath, 'src/lib');
+    assert.ok(scope.ancestors.every(a => a.project !== scope.project));
+    assert.equal(scope.ancestors[0].project, dir, 'first ancestor is the directory above the repo');
+  });
+
+  it('should support a custom resolver', () => {
+    registerProjectResolver(cwd => cwd.split('/').pop());
+    assert.equal(resolveProject('/x/y/service'), 'service');
+    assert.throws(() => registerProjectResolver('nope'), /function/);
+  });
+
+  it('should load a relative resolver module from the data directory', async () => {
+    writeFileSync(join(dir, 'resolver.mjs'), "export const resolveProject = (cwd) => 'custom:' + cwd.split('/').pop();");
+    Object.assign(loadConfig(), { dataDir: dir, projectResolver: 'resolver.mjs' });
+    await loadProjectResolver();
+    assert.equal(resolveProject('/x/y/service'), 'custom:service');
+  });
+});
+
+describe('Store.moveProject', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+    db.upsertSession('s1', '/old/app');
+    db.saveCheckpoint('s1', '/home/u/.claude/projects/-old-app/s1.jsonl', 10);
+    db.saveCheckpoint('s1:agent', '/home/u/.claude/projects/-old-app/s1/agent.jsonl', 4);
+    for (const [i, project] of ['/old/app', '/old/app', '/new/app'].entries()) {
+      db.insertMemory({
+        project, sessionId: 's1', category: 'note', content: `Memory ${i}`, keywords: `memory${i}`, score: 0.5, sourceHash: `mv-${i}`,
+      });
+    }
+  });
+
+  afterEach(() => db.close());
+
+  it('should refuse to move onto a project that has memories', () => {
+    assert.throws(() => db.moveProject('/old/app', '/new/app'), /use merge/);
+    assert.equal(db.exportAll('/old/app').length, 2, 'nothing changed');
+  });
+
+  it('should move memories, sessions, queued jobs and checkpoints', () => {
+    const job = db.enqueueJob({
+      kind: 'llm-extract', sessionId: 's1', project: '/old/app',
+      transcriptPath: '/home/u/.claude/projects/-old-app/s1.jsonl', startLine: 0, endLine: 10,
+    });
+    const result = db.moveProject('/old/app', '/renamed/app', { transcriptSlug });
+    assert.deepEqual(result, { memories: 2, sessions: 1, merges: 0, llmCalls: 0, jobs: 1, checkpoints: 2 });
+    assert.equal(db.getJob(job).project, '/renamed/app');
+    assert.equal(db.exportAll('/old/app').length, 0);
+    assert.equal(db.exportAll('/renamed/app').length, 2);
+    assert.equal(db.getStats().sessions[0].project, '/renamed/app');
+    assert.ok(db.getCheckpoint('s1', '/home/u/.claude/projects/-renamed-app/s1.jsonl'));
+    assert.ok(db.getCheckpoint('s1:agent', '/home/u/.claude/projects/-renamed-app/s1/agent.jsonl'));
+  });
+
+  it('should merge into an existing project', () => {
+    db.moveProject('/old/app', '/new/app', { merge: true });
+    assert.equal(db.exportAll('/new/app').length, 3);
+    assert.equal(db.search('memory0', '/new/app', 5).length, 1);
+  });
+
+  it('should reject unknown or identical projects', () => {
+    assert.throws(() => db.moveProject('/nope', '/x'), /No memories or sessions/);
+    assert.throws(() => db.moveProject('/old/app', '/old/app'), /same/);
+  });
+});
+
+describe('scoped retrieval', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => db.close());
+
+  function add(project, content, { subpath = '', score = 0.5 } = {}) {
+    return Number(db.insertMemory({
+      project, sessionId: 's', category: 'note', content, keywords: content.toLowerCase(), score,
+      sourceHash: `${project}:${subpath}:${content}`, subpath,
+    }));
+  }
+
+  it('should inherit ancestor memories at a lower weight', () => {
+    const own = add('/repo/packages/api', 'API uses fastify', { score: 0.5 });
+    const root = add('/repo', 'Monorepo uses pnpm workspaces', { score: 0.5 });
+    add('/elsewhere', 'Unrelated project');
+
+    const rows = db.getScopedMemories(resolveScope('/repo/packages/api'), 10);
+    assert.deepEqual(rows.map(r => r.id), [own, root]);
+    assert.equal(rows[0].scope_weight, 1);
+    assert.ok(rows[1].scope_weight < 1);
+
+    const { ids } = restoreContext(rows, 4000);
+    assert.deepEqual(ids, [own, root]);
+  });
+
+  it('should boost memories archived from the current subpath', () => {
+    const scope = { project: 'github.com/acme/mono', subpath: 'packages/api', ancestors: [] };
+    const other = add(scope.project, 'Web uses vite', { subpath: 'packages/web', score: 0.6 });
+    const here = add(scope.project, 'API uses fastify', { subpath: 'packages/api', score: 0.5 });
+    const top = add(scope.project, 'Root readme', { score: 0.55 });
+    assert.deepEqual(db.getScopedMemories(scope, 10).map(r => r.id), [here, other, top]);
+  });
+
+  it('should rank scoped search results across ancestors', () => {
+    const own = add('/repo/api', 'Retry queue uses exponential backoff');
+    const parent = add('/repo', 'Retry queue configuration lives in config/queue.js');
+    const results = db.searchScoped('retry queue', resolveScope('/repo/api'), 5);
+    assert.deepEqual(results.map(r => r.id), [own, parent]);
+    assert.ok(results[0].scope_score >= results[1].scope_score);
+  });
+});
+
+describe('global memories', () => {
+  let db;
+  const scope = { project: '/repo', subpath: '', ancestors: [] };
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => db.close());
+
+  function add(project, content, score = 0.5) {
+    return Number(db.insertMemory({
+      project, sessionId: 's', category: 'note', content, keywords: content.toLowerCase(), score,
+      sourceHash: `${project}:${content}`,
+    }));
+  }
+
+  it('should blend global memories into scoped retrieval within their share', () => {
+    for (let i = 0; i < 10; i++) add('/repo', `Project note ${i}`, 0.9);
+    const globals = [add(GLOBAL_PROJECT, 'CI runs Node 20', 0.7), add(GLOBAL_PROJECT, 'Prefer tabs', 0.6), add(GLOBAL_PROJECT, 'Squash merges', 0.5)];
+
+    const rows = db.getScopedMemories(scope, 10);
+    assert.equal(rows.length, 10);
+    assert.deepEqual(rows.filter(r => r.project === GLOBAL_PROJECT).map(r => r.id), globals.slice(0, 2));
+  });
+
+  it('should leave global memories out when their share is zero', () => {
+    loadConfig().globalRestoreFraction = 0;
+    add('/repo', 'Project note');
+    add(GLOBAL_PROJECT, 'CI runs Node 20');
+    assert.deepEqual(db.getScopedMemories(scope, 10).map(r => r.project), ['/repo']);
+  });
+
+  it('should not treat the global scope as having a separate global share', () => {
+    const id = add(GLOBAL_PROJECT, 'CI runs Node 20');
+    const rows = db.getScopedMemories({ project: GLOBAL_PROJECT, subpath: '', ancestors: [] }, 10);
+    assert.deepEqual(rows.map(r => r.id), [id]);
+  });
+
+  it('should cap global results in scoped search', () => {
+    const own = add('/repo', 'Node version pinned in .nvmrc');
+    const g1 = add(GLOBAL_PROJECT, 'CI uses Node 20 everywhere');
+    add(GLOBAL_PROJECT, 'Node upgrades go through the platform team');
+    add('/other', 'Node 18 on the legacy box');
+
+    const results = db.searchScoped('node', scope, 3);
+    assert.deepEqual(results.map(r => r.id).sort(), [own, g1].sort());
+  });
+
+  it('should restore global memories in their own section within the budget share', () => {
+    const own = add('/repo', 'Project uses fastify');
+    const globals = Array.from({ length: 20 }, (_, i) => add(GLOBAL_PROJECT, `Team convention number ${i} about formatting and naming`));
+
+    const { text, ids } = restoreContext(db.getScopedMemories(scope, 30), 400);
+    assert.ok(ids.includes(own));
+    assert.match(text, /### Global \(all projects\)\n- Team convention/);
+    const restored = ids.filter(id => globals.includes(id)).length;
+    assert.ok(restored > 0 && restored < 20);
+  });
+
+  it('should tag global memories in prompt recall', () => {
+    const { text } = recallForPrompt([{ id: 1, project: GLOBAL_PROJECT, category: 'decision', content: 'Use pnpm' }]);
+    assert.match(text, /- \[global decision\] Use pnpm/);
+  });
+});
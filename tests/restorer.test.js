@@ -89,3 +89,55 @@ describe('recallForPrompt', () => {
     assert.equal(ids.length, 0);
   });
 });
+
+describe('superseded memories', () => {
+  beforeEach(() => resetConfig());
+
+  const now = new Date().toISOString();
+
+  it('should be left out of restored context', () => {
+    const memories = [
+      { id: 1, category: 'decision', content: 'Going with SQLite', score: 0.9, access_count: 0, created_at: now, last_accessed: now, superseded_by: 2 },
+      { id: 2, category: 'decision', content: 'Use Postgres instead of SQLite', score: 0.9, access_count: 0, created_at: now, last_accessed: now, superseded_by: null },
+    ];
+    const { text, ids } = restoreContext(memories, 4000);
+    assert.ok(!text.includes('Going with SQLite'));
+    assert.deepEqual(ids, [2]);
+  });
+
+  it('should be marked in prompt recall', () => {
+    const { text } = recallForPrompt([
+      { id: 1, category: 'decision', content: 'Going with SQLite', superseded_by: 2 },
+    ]);
+    assert.ok(text.includes('Going with SQLite (superseded by #2)'));
+  });
+});
+
+describe('pinned memories', () => {
+  beforeEach(() => resetConfig());
+
+  const now = new Date().toISOString();
+  const old = new Date(Date.now() - 365 * 86400000).toISOString();
+
+  it('should be restored first even with low importance', () => {
+    const filler = Array.from({ length: 40 }, (_, i) => ({
+      id: 100 + i, category: 'architecture', content: `Important architecture fact number ${i} with some extra words`,
+      score: 1.0, access_count: 5, created_at: now, last_accessed: now,
+    }));
+    const pinned = { id: 1, category: 'note', content: 'Team-wide pinned note', score: 0.05, access_count: 0, created_at: old, last_accessed: old, pinned: 1 };
+    const { text, ids } = restoreContext([...filler, pinned], 200);
+    assert.ok(ids.includes(1));
+    assert.ok(text.includes('Team-wide pinned note'));
+    assert.ok(ids.length < filler.length, 'budget still applies');
+  });
+
+  it('should not let pinned memories exceed their reserved slice', () => {
+    const pinned = Array.from({ length: 20 }, (_, i) => ({
+      id: i + 1, category: 'note', content: `Pinned note ${i} padded with enough words to cost tokens`,
+      score: 0.1, access_count: 0, created_at: old, last_accessed: old, pinned: 1,
+    }));
+    const fresh = { id: 99, category: 'decision', content: 'Fresh decision', score: 0.9, access_count: 0, created_at: now, last_accessed: now };
+    const { ids } = restoreContext([...pinned, fresh], 200);
+    assert.ok(ids.includes(99), 'unpinned memories still get the rest of the budget');
+  });
+});
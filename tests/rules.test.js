@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { loadRules, rulePackFiles, DEFAULT_RULES } from '../src/core/rules.js';
+import { extractMemories } from '../src/core/archiver.js';
+
+describe('rule packs', () => {
+  let dir, project;
+
+  beforeEach(() => {
+    resetConfig();
+    dir = mkdtempSync(join(tmpdir(), 'ic-rules-'));
+    loadConfig().dataDir = join(dir, 'data');
+    mkdirSync(join(dir, 'data', 'rules'), { recursive: true });
+    project = join(dir, 'repo');
+    mkdirSync(join(project, '.infinite-context'), { recursive: true });
+    mkdirSync(join(project, 'services', 'api'), { recursive: true });
+  });
+
+  afterEach(() => {
+    resetConfig();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writePack = (path, pack) => writeFileSync(path, JSON.stringify(pack));
+  const turnWith = ({ commands = [], text = '', thinking = '' }) => ({
+    userMessage: { text: '' },
+    assistantMessages: [{ text, thinking }],
+    allToolCalls: commands.map(command => ({ name: 'Bash', input: { command } })),
+    allToolResults: [],
+  });
+
+  it('should find data-dir packs and the nearest project pack', () => {
+    writePack(join(dir, 'data', 'rules', 'b.json'), {});
+    writePack(join(dir, 'data', 'rules', 'a.json'), {});
+    writeFileSync(join(dir, 'data', 'rules', 'README.md'), '');
+    writePack(join(project, '.infinite-context', 'rules.json'), {});
+
+    assert.deepEqual(rulePackFiles(join(project, 'services', 'api')), [
+      join(dir, 'data', 'rules', 'a.json'),
+      join(dir, 'data', 'rules', 'b.json'),
+      join(project, '.infinite-context', 'rules.json'),
+    ]);
+  });
+
+  it('should extend the built-in command patterns with category and score', async () => {
+    writePack(join(dir, 'data', 'rules', 'team.json'), {
+      name: 'team',
+      commands: ['pnpm\\s+(install|add)', { pattern: 'terraform\\s+apply', category: 'decision', score: 0.85 }],
+    });
+    const { rules, errors, packs } = await loadRules(project);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(packs.at(-1), { file: join(dir, 'data', 'rules', 'team.json'), name: 'team', counts: { commands: 2 } });
+
+    const memories = extractMemories([turnWith({ commands: ['pnpm add zod', 'terraform apply -auto-approve', 'npm test'] })], '/p', 's', { rules });
+    assert.deepEqual(memories.map(m => [m.category, m.content]), [
+      ['note', 'Ran command: pnpm add zod'],
+      ['decision', 'Ran command: terraform apply -auto-approve'],
+      ['note', 'Ran command: npm test'],
+    ]);
+    assert.equal(memories[1].score, 0.85);
+  });
+
+  it('should load JS module packs and apply noise, architecture and score overrides', async () => {
+    writeFileSync(join(dir, 'data', 'rules', 'team.mjs'), `export default {
+      noise: ["^let's take a look"],
+      architecture: [{ pattern: '\\\\bhexagonal\\\\b', category: 'finding' }],
+      scores: { decision: 0.3 },
+    };`);
+    const { rules, errors } = await loadRules(project);
+    assert.deepEqual(errors, []);
+
+    const memories = extractMemories([turnWith({
+      text: "Let's take a look at the failing handler first.\nWe should keep the queue in Postgres for now.",
+      thinking: 'The service follows a hexagonal layout with ports for storage.',
+    })], '/p', 's', { rules });
+    const decisions = memories.filter(m => m.category === 'decision');
+    assert.deepEqual(decisions.map(m => m.content), ['We should keep the queue in Postgres for now.']);
+    assert.ok(decisions[0].score < 0.4, 'pack score replaces the category weight');
+    assert.deepEqual(memories.filter(m => m.category === 'finding').map(m => m.content), [
+      'The service follows a hexagonal layout with ports for storage.',
+    ]);
+  });
+
+  it('should not run JS packs from the repository', async () => {
+    writeFileSync(join(project, '.infinite-context', 'rules.mjs'), `globalThis.repoPackRan = true;
+      export default { commands: ['kubectl\\s+apply'] };`);
+    const { rules, errors } = await loadRules(join(project, 'services', 'api'));
+    assert.equal(globalThis.repoPackRan, undefined);
+    assert.deepEqual(rulePackFiles(project), []);
+    assert.equal(rules.commands.length, DEFAULT_RULES.commands.length);
+    assert.deepEqual(errors, [`${join(project, '.infinite-context', 'rules.mjs')}: not loaded, JS rule packs only load from ${join(dir, 'data', 'rules')} (use rules.json)`]);
+  });
+
+  it('should report invalid packs and entries but keep the valid rules', async () => {
+    writeFileSync(join(dir, 'data', 'rules', 'broken.json'), '{ not json');
+    writePack(join(project, '.infinite-context', 'rules.json'), {
+      commands: ['kubectl\\s+apply', '(', { pattern: 'bazel build', category: 'bogus' }],
+      noise: [{ pattern: 'x', score: 0.5 }],
+      scores: { note: 2 },
+      extra: true,
+    });
+    const { rules, errors } = await loadRules(project);
+    const file = join(project, '.infinite-context', 'rules.json');
+    assert.equal(errors.length, 6);
+    assert.match(errors[0], /broken\.json: /);
+    assert.ok(errors.includes(`${file}: unknown key "extra"`));
+    assert.ok(errors.some(e => e.startsWith(`${file}: commands[1]: invalid pattern`)));
+    assert.ok(errors.some(e => e.startsWith(`${file}: commands[2]: category must be one of`)));
+    assert.ok(errors.includes(`${file}: noise[0]: noise patterns take no score`));
+    assert.ok(errors.includes(`${file}: scores.note: score must be a number between 0 and 1`));
+    assert.equal(rules.commands.length, DEFAULT_RULES.commands.length + 1);
+    assert.deepEqual(rules.scores, {});
+  });
+});
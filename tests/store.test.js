@@ -1,7 +1,7 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { Store } from '../src/db/store.js';
-import { resetConfig } from '../src/core/config.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
 
 describe('Store', () => {
   let db;
@@ -121,6 +121,13 @@ describe('Store', () => {
     db.saveCheckpoint('s1', '/path/transcript.jsonl', 100);
     const cp2 = db.getCheckpoint('s1', '/path/transcript.jsonl');
     assert.equal(cp2.last_line_number, 100);
+    assert.equal(cp2.byte_offset, 0);
+    assert.equal(cp2.boundary_hash, null);
+
+    db.saveCheckpoint('s1', '/path/transcript.jsonl', 120, { byteOffset: 8192, boundaryHash: 'abc' });
+    const cp3 = db.getCheckpoint('s1', '/path/transcript.jsonl');
+    assert.equal(cp3.byte_offset, 8192);
+    assert.equal(cp3.boundary_hash, 'abc');
   });
 
   it('should track sessions', () => {
@@ -159,3 +166,154 @@ describe('Store', () => {
     assert.equal(memories[2].content, 'Low');
   });
 });
+
+describe('Store supersession', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => db.close());
+
+  function decision(content, hash, metadata, project = '/p') {
+    return Number(db.insertMemory({
+      project, sessionId: 's', category: 'decision', content,
+      keywords: content.toLowerCase(), score: 0.9, sourceHash: hash, metadata,
+    }));
+  }
+
+  it('should supersede earlier decisions about the replaced subject', () => {
+    const old = decision('Going with SQLite for storage', 'sup-1');
+    const other = decision('Use React for the frontend', 'sup-2');
+    const elsewhere = decision('Going with SQLite here too', 'sup-3', null, '/other');
+    const reversal = decision('Use Postgres instead of SQLite', 'sup-4', { replaces: ['sqlite'] });
+
+    assert.equal(db.getMemoryById(old).superseded_by, reversal);
+    assert.equal(db.getMemoryById(other).superseded_by, null);
+    assert.equal(db.getMemoryById(elsewhere).superseded_by, null, 'other projects untouched');
+    assert.deepEqual(db.getTopMemories('/p', 10).map(m => m.id).sort(), [other, reversal].sort());
+  });
+
+  it('should only supersede memories that chose the subject', () => {
+    const chose = decision('We use the SQLite driver from better-sqlite3', 'sup-10');
+    const mentions = decision('Fixtures stay small because SQLite copies them per test', 'sup-11');
+    const reversal = decision('Use Postgres instead of SQLite', 'sup-12', { replaces: ['sqlite'] });
+    assert.equal(db.getMemoryById(chose).superseded_by, reversal);
+    assert.equal(db.getMemoryById(mentions).superseded_by, null);
+  });
+
+  it('should not supersede memories that also moved away from the subject', () => {
+    const first = decision('Drop SQLite instead of patching it', 'sup-5', { replaces: ['sqlite'] });
+    decision('Use Postgres instead of SQLite', 'sup-6', { replaces: ['sqlite'] });
+    assert.equal(db.getMemoryById(first).superseded_by, null);
+  });
+
+  it('should link and unlink manually with validation', () => {
+    const a = decision('Use REST endpoints', 'sup-7');
+    const b = decision('Use GraphQL for the API', 'sup-8');
+    const c = decision('Use gRPC for internal calls', 'sup-9', null, '/other');
+
+    db.setSuperseded(a, b);
+    assert.equal(db.getMemoryById(a).superseded_by, b);
+    assert.deepEqual(db.getSupersededBy(b).map(m => m.id), [a]);
+
+    assert.throws(() => db.setSuperseded(b, a), /cycle/);
+    assert.throws(() => db.setSuperseded(a, a), /itself/);
+    assert.throws(() => db.setSuperseded(a, c), /different projects/);
+    assert.throws(() => db.setSuperseded(a, 9999), /not found/);
+
+    db.clearSuperseded(a);
+    assert.equal(db.getMemoryById(a).superseded_by, null);
+  });
+
+  it('should clear the link when the superseding memory is deleted', () => {
+    const a = decision('Use REST endpoints', 'sup-10');
+    const b = decision('Use GraphQL for the API', 'sup-11');
+    db.setSuperseded(a, b);
+    db.deleteMemory(b);
+    assert.equal(db.getMemoryById(a).superseded_by, null);
+  });
+
+  it('should supersede the session\'s raw failures of a resolved call', () => {
+    const error = (content, hash, metadata, sessionId = 's') => Number(db.insertMemory({
+      project: '/p', sessionId, category: 'error', content, keywords: 'npm test', score: 0.8, sourceHash: hash, metadata,
+    }));
+    const raw = error('`npm test` failed with: boom', 'err-1', { tool: 'Bash', call: 'Bash:npm test' });
+    const otherCall = error('`npm run lint` failed with: 2 problems', 'err-2', { tool: 'Bash', call: 'Bash:npm run lint' });
+    const otherSession = error('`npm test` failed with: boom', 'err-3', { tool: 'Bash', call: 'Bash:npm test' }, 's2');
+    assert.deepEqual(db.getOpenErrors('s').map(e => e.call), ['Bash:npm test', 'Bash:npm run lint']);
+
+    const fix = error('`npm test` failed with: boom → fixed by editing src/a.js', 'err-4', {
+      tool: 'Bash', call: 'Bash:npm test', resolves: 'Bash:npm test', files: ['src/a.js'],
+    });
+    assert.equal(db.getMemoryById(raw).superseded_by, fix);
+    assert.equal(db.getMemoryById(otherCall).superseded_by, null);
+    assert.equal(db.getMemoryById(otherSession).superseded_by, null);
+    assert.deepEqual(db.getOpenErrors('s'), [{ call: 'Bash:npm run lint', content: '`npm run lint` failed with: 2 problems' }]);
+  });
+});
+
+describe('Store pinned memories', () => {
+  let db;
+
+  beforeEach(() => {
+    resetConfig();
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => db.close());
+
+  function add(content, score, hash, project = '/p') {
+    return Number(db.insertMemory({
+      project, sessionId: 's', category: 'note', content, keywords: content.toLowerCase(), score, sourceHash: hash,
+    }));
+  }
+
+  it('should survive every prune path and never decay', () => {
+    const pinned = add('Pinned low score', 0.01, 'pin-1');
+    add('Unpinned low score', 0.01, 'pin-2');
+    db.setPinned(pinned);
+    db.db.prepare("UPDATE memories SET created_at = datetime('now', '-90 days'), last_accessed = datetime('now', '-90 days')").run();
+
+    assert.equal(db.countBelowScore(0.5), 1);
+    assert.equal(db.countOld(30), 1);
+    assert.equal(db.decayAndPrune(), 1);
+    assert.equal(db.pruneOld(30), 0);
+    assert.equal(db.pruneBelowScore(0.5), 0);
+    assert.equal(db.getMemoryById(pinned).score, 0.01);
+  });
+
+  it('should not decay pinned scores', () => {
+    const id = add('Pinned', 0.8, 'pin-3');
+    db.setPinned(id);
+    db.db.prepare("UPDATE memories SET last_accessed = datetime('now', '-10 days')").run();
+    db.decayAndPrune();
+    assert.equal(db.getMemoryById(id).score, 0.8);
+  });
+
+  it('should keep pinned memories when enforcing the project limit', () => {
+    const ids = [0.1, 0.2, 0.3, 0.4].map((s, i) => add(`M${i}`, s, `pin-l${i}`));
+    db.setPinned(ids[0]);
+    const prev = loadConfig().maxMemoriesPerProject;
+    loadConfig().maxMemoriesPerProject = 2;
+    try {
+      assert.equal(db.enforceProjectLimit('/p'), 2);
+    } finally {
+      loadConfig().maxMemoriesPerProject = prev;
+    }
+    const left = db.exportAll('/p').map(m => m.id).sort();
+    assert.deepEqual(left, [ids[0], ids[3]].sort());
+  });
+
+  it('should list pinned memories first and unpin', () => {
+    const low = add('Low', 0.1, 'pin-4');
+    add('High', 0.9, 'pin-5');
+    db.setPinned(low);
+    assert.equal(db.getTopMemories('/p', 1)[0].id, low);
+    db.setPinned(low, false);
+    assert.equal(db.getMemoryById(low).pinned, 0);
+    assert.equal(db.setPinned(9999), 0);
+  });
+});
@@ -1,9 +1,9 @@
 import { describe, it, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { writeFileSync, unlinkSync, mkdirSync } from 'fs';
+import { writeFileSync, appendFileSync, unlinkSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
-import { parseTranscript, groupIntoTurns } from '../src/core/transcript-parser.js';
+import { parseTranscript, groupIntoTurns, transcriptBranches } from '../src/core/transcript-parser.js';
 
 const TMP_DIR = join(tmpdir(), 'ic-test-' + Date.now());
 mkdirSync(TMP_DIR, { recursive: true });
@@ -102,6 +102,148 @@ describe('parseTranscript', () => {
   });
 });
 
+describe('parseTranscript resume offsets', () => {
+  const user = (text) => JSON.stringify({ type: 'user', message: { role: 'user', content: text } });
+
+  it('should resume from the stored byte offset', () => {
+    const path = writeTempTranscript([]);
+    writeFileSync(path, [user('first'), '', user('second')].join('\n') + '\n', 'utf-8');
+    const first = parseTranscript(path);
+    assert.equal(first.lastLine, 2);
+    assert.equal(first.byteOffset, Buffer.byteLength(user('first') + '\n\n'));
+
+    appendFileSync(path, user('third \u00e9\u4e2d') + '\n' + user('fourth') + '\n');
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.deepEqual(next.messages.map(m => [m.lineNum, m.text]), [[3, 'third \u00e9\u4e2d'], [4, 'fourth']]);
+    assert.equal(next.lastLine, 4);
+
+    const idle = parseTranscript(path, next.lastLine, next);
+    assert.equal(idle.messages.length, 0);
+    assert.equal(idle.lastLine, 4);
+    assert.equal(idle.byteOffset, next.byteOffset);
+  });
+
+  it('should rescan by line count when the boundary line changed', () => {
+    const path = writeTempTranscript([]);
+    writeFileSync(path, [user('one'), user('two'), user('three')].join('\n') + '\n', 'utf-8');
+    const first = parseTranscript(path, 0);
+    writeFileSync(path, [user('ONE'), user('TWO'), user('THREE'), user('four')].join('\n') + '\n', 'utf-8');
+
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.deepEqual(next.messages.map(m => m.text), ['four']);
+    assert.equal(next.lastLine, 4);
+  });
+
+  it('should report fewer lines after a truncation so callers can detect rollback', () => {
+    const path = writeTempTranscript([]);
+    writeFileSync(path, [user('one'), user('two'), user('three')].join('\n') + '\n', 'utf-8');
+    const first = parseTranscript(path);
+    writeFileSync(path, user('one') + '\n', 'utf-8');
+
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.equal(next.messages.length, 0);
+    assert.equal(next.lastLine, 1);
+  });
+
+  it('should leave a half-written trailing line for the next pass', () => {
+    const path = writeTempTranscript([]);
+    const full = user('complete record');
+    writeFileSync(path, user('one') + '\n' + full.slice(0, 20), 'utf-8');
+    const first = parseTranscript(path);
+    assert.equal(first.lastLine, 1);
+
+    appendFileSync(path, full.slice(20) + '\n');
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.deepEqual(next.messages.map(m => m.text), ['complete record']);
+  });
+
+  it('should stream files larger than one read chunk', () => {
+    const path = writeTempTranscript([]);
+    const big = 'x'.repeat(300 * 1024);
+    writeFileSync(path, [user(big), user(big), user(big), user(big), user('tail')].join('\n') + '\n', 'utf-8');
+    const first = parseTranscript(path, 4);
+    assert.deepEqual(first.messages.map(m => m.text), ['tail']);
+    assert.equal(first.lastLine, 5);
+  });
+});
+
+describe('parseTranscript branches', () => {
+  const msg = (uuid, parentUuid, text, extra = {}) =>
+    ({ type: 'user', message: { role: 'user', content: text }, uuid, parentUuid, ...extra });
+
+  it('should report where a rewound branch forks off', () => {
+    const path = writeTempTranscript([msg('u1', null, 'one'), msg('u2', 'u1', 'two'), msg('u3', 'u2', 'three')]);
+    const first = parseTranscript(path);
+    assert.equal(first.lastUuid, 'u3');
+    assert.equal(first.forkUuid, null);
+
+    appendFileSync(path, JSON.stringify(msg('u2b', 'u1', 'two again')) + '\n');
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.equal(next.forkUuid, 'u1');
+    assert.deepEqual(next.messages.map(m => m.text), ['two again']);
+    assert.deepEqual([...transcriptBranches(path).abandoned].sort(), ['u2', 'u3']);
+  });
+
+  // Shaped like a real transcript with parallel tool calls: each tool_use is
+  // its own line, and a tool_result's parent is the line of its tool_use, so
+  // results and later calls sit beside the chain rather than on it.
+  const PARALLEL = [
+    msg('u1', null, 'Run the tests and the linter'),
+    { type: 'assistant', uuid: 'a1', parentUuid: 'u1', message: { role: 'assistant', content: [{ type: 'text', text: 'Running both.' }] } },
+    { type: 'assistant', uuid: 'a2', parentUuid: 'a1', message: { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } }] } },
+    { type: 'assistant', uuid: 'a3', parentUuid: 'a2', message: { role: 'assistant', content: [{ type: 'tool_use', id: 't2', name: 'Bash', input: { command: 'npm run lint' } }] } },
+    { type: 'user', uuid: 'r1', parentUuid: 'a2', sourceToolAssistantUUID: 'a2', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: '2 failing', is_error: true }] } },
+    { type: 'user', uuid: 'r2', parentUuid: 'a3', sourceToolAssistantUUID: 'a3', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't2', content: 'ok' }] } },
+    { type: 'assistant', uuid: 'a4', parentUuid: 'r2', message: { role: 'assistant', content: [{ type: 'tool_use', id: 't3', name: 'Read', input: { file_path: 'src/a.js' } }] } },
+    { type: 'assistant', uuid: 'a5', parentUuid: 'a4', message: { role: 'assistant', content: [{ type: 'tool_use', id: 't4', name: 'Read', input: { file_path: 'src/b.js' } }] } },
+    { type: 'user', uuid: 'r4', parentUuid: 'a5', sourceToolAssistantUUID: 'a5', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't4', content: 'b' }] } },
+    { type: 'user', uuid: 'r3', parentUuid: 'a4', sourceToolAssistantUUID: 'a4', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't3', content: 'a' }] } },
+    { type: 'assistant', uuid: 'a6', parentUuid: 'r3', message: { role: 'assistant', content: [{ type: 'text', text: 'The tests fail in src/a.js.' }] } },
+  ];
+
+  it('should keep the tool calls and results of parallel tool use', () => {
+    const path = writeTempTranscript(PARALLEL);
+    const { messages, forkUuid } = parseTranscript(path);
+    assert.equal(messages.length, PARALLEL.length);
+    assert.equal(forkUuid, null);
+    assert.equal(transcriptBranches(path).abandoned.size, 0);
+
+    const [turn] = groupIntoTurns(messages);
+    assert.deepEqual(turn.toolExchanges.map(e => [e.call.id, e.result?.toolUseId, e.isError]), [
+      ['t1', 't1', true], ['t2', 't2', false], ['t3', 't3', false], ['t4', 't4', false],
+    ]);
+  });
+
+  it('should not report a fork when a pass ended beside the chain', () => {
+    const path = writeTempTranscript(PARALLEL.slice(0, 8));
+    const first = parseTranscript(path);
+    assert.equal(first.lastUuid, 'a5');
+    appendFileSync(path, PARALLEL.slice(8).map(l => JSON.stringify(l)).join('\n') + '\n');
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.equal(next.forkUuid, null);
+    assert.deepEqual(next.messages.map(m => m.uuid), ['r4', 'r3', 'a6']);
+  });
+
+  it('should still drop a rewound prompt beside parallel tool results', () => {
+    const path = writeTempTranscript([...PARALLEL, msg('u2', 'a6', 'Fix them'), msg('u2b', 'a6', 'Fix only src/a.js')]);
+    assert.deepEqual([...transcriptBranches(path).abandoned], ['u2']);
+  });
+
+  it('should follow compaction boundaries without reporting a fork', () => {
+    const path = writeTempTranscript([msg('u1', null, 'one')]);
+    const first = parseTranscript(path);
+    appendFileSync(path, [
+      JSON.stringify({ type: 'system', subtype: 'compact_boundary', uuid: 'c1', parentUuid: null, logicalParentUuid: 'u1' }),
+      JSON.stringify(msg('u2', 'c1', 'after compaction')),
+    ].join('\n') + '\n');
+
+    const next = parseTranscript(path, first.lastLine, first);
+    assert.equal(next.forkUuid, null);
+    assert.deepEqual(next.messages.map(m => m.text), ['after compaction']);
+    assert.equal(transcriptBranches(path).abandoned.size, 0);
+  });
+});
+
 describe('groupIntoTurns', () => {
   it('should group user + assistant into turns', () => {
     const messages = [
@@ -131,4 +273,38 @@ describe('groupIntoTurns', () => {
     assert.equal(turns[0].assistantMessages.length, 2);
     assert.equal(turns[0].allToolCalls.length, 2);
   });
+
+  it('should pair tool results with their calls', () => {
+    const call = (id, command) => ({ name: 'Bash', id, input: { command } });
+    const result = (toolUseId, content, isError = false) => ({ toolUseId, content, isError });
+    const messages = [
+      { role: 'user', text: 'Run the tests', toolCalls: [], toolResults: [], lineNum: 1 },
+      { role: 'assistant', text: '', thinking: '', toolCalls: [call('t1', 'npm test'), call('t2', 'npm run lint')], toolResults: [],
+        lineNum: 2, timestamp: '2025-01-01T10:00:00.000Z' },
+      { role: 'user', text: '', toolCalls: [], toolResults: [result('t2', 'ok'), result('t1', '1 failing', true)],
+        lineNum: 3, timestamp: '2025-01-01T10:00:04.500Z' },
+      { role: 'user', text: '', toolCalls: [], toolResults: [result('gone', 'stray')], lineNum: 4 },
+    ];
+
+    const [turn] = groupIntoTurns(messages);
+    assert.equal(turn.toolExchanges.length, 3);
+    const [test, lint, orphan] = turn.toolExchanges;
+    assert.equal(test.call.input.command, 'npm test');
+    assert.equal(test.result.content, '1 failing');
+    assert.equal(test.isError, true);
+    assert.equal(test.durationMs, 4500);
+    assert.equal(lint.result.content, 'ok');
+    assert.equal(lint.isError, false);
+    assert.equal(orphan.call, null);
+    assert.equal(orphan.result.content, 'stray');
+  });
+
+  it('should leave calls without a result unpaired', () => {
+    const [turn] = groupIntoTurns([
+      { role: 'user', text: 'Go', toolCalls: [], toolResults: [], lineNum: 1 },
+      { role: 'assistant', text: '', thinking: '', toolCalls: [{ name: 'Read', id: 'r1', input: {} }], toolResults: [], lineNum: 2 },
+    ]);
+    assert.equal(turn.toolExchanges[0].result, null);
+    assert.equal(turn.toolExchanges[0].durationMs, null);
+  });
 });
@@ -0,0 +1,152 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { createProvider } from '../src/core/llm-provider.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+import { formatRuns } from '../src/core/extractors.js';
+import { drainQueue } from '../src/core/worker.js';
+import { llmBudget, estimateCost, usageReport } from '../src/core/usage.js';
+import { startFakeLlmServer } from '../src/testing/fake-llm-server.js';
+
+const line = (uuid, parentUuid, role, content) =>
+  JSON.stringify({ type: role, uuid, parentUuid, sessionId: 'sess', cwd: '/work/app', message: { role, content } }) + '\n';
+
+const TRANSCRIPT = line('u1', null, 'user', 'Set up the docker build for the api service please')
+  + line('a1', 'u1', 'assistant', "We'll use a multi-stage Dockerfile instead of a single stage image.");
+
+const REPLY = JSON.stringify([{ category: 'decision', content: 'The api image is built with a multi-stage Dockerfile', importance: 0.9 }]);
+
+const call = (project, inputTokens, outputTokens, extra = {}) => ({
+  project, sessionId: 'sess', provider: 'anthropic', model: 'claude-opus-4-6', status: 'ok',
+  inputTokens, outputTokens, latencyMs: 100, ...extra,
+});
+
+describe('LLM usage accounting', () => {
+  let server, handler, dir, path, db;
+  let savedKey;
+
+  before(async () => {
+    savedKey = process.env.ANTHROPIC_API_KEY;
+    server = await startFakeLlmServer({ handler: req => handler(req) });
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY; else process.env.ANTHROPIC_API_KEY = savedKey;
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetConfig();
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    Object.assign(loadConfig(), { llmBaseUrl: server.url, extractionMode: 'llm' });
+    server.requests.length = 0;
+    handler = () => ({ text: REPLY, usage: { inputTokens: 1200, outputTokens: 80 } });
+    dir = mkdtempSync(join(tmpdir(), 'ic-usage-'));
+    path = join(dir, 'sess.jsonl');
+    writeFileSync(path, TRANSCRIPT);
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => {
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+    resetConfig();
+  });
+
+  const archive = (opts = {}) => archiveTranscript(db, { sessionId: 'sess', transcriptPath: path, project: '/work/app', ...opts });
+
+  it('should report every request with its status, tokens and latency', async () => {
+    const calls = [];
+    const provider = createProvider(loadConfig(), { onCall: c => calls.push(c) });
+    await provider.complete({ system: 's', prompt: 'p' });
+    handler = () => ({ status: 500, text: 'boom' });
+    await assert.rejects(provider.complete({ system: 's', prompt: 'p' }), /500/);
+    handler = () => ({ text: '[]', delayMs: 300 });
+    await assert.rejects(provider.complete({ system: 's', prompt: 'p', timeoutMs: 50 }), /timed out/);
+
+    assert.deepEqual(calls.map(c => [c.status, c.inputTokens, c.outputTokens]), [
+      ['ok', 1200, 80], ['error', null, null], ['timeout', null, null],
+    ]);
+    assert.ok(calls.every(c => c.provider === 'anthropic' && c.model === 'claude-opus-4-6' && c.latencyMs >= 0));
+    assert.match(calls[1].error, /anthropic API 500/);
+  });
+
+  it('should log the calls of an archive run per project and month', async () => {
+    await archive();
+    const [row] = db.getLlmUsage();
+    assert.equal(row.month, new Date().toISOString().slice(0, 7));
+    assert.deepEqual([row.project, row.model, row.calls, row.failed, row.input_tokens, row.output_tokens],
+      ['/work/app', 'claude-opus-4-6', 1, 0, 1200, 80]);
+    assert.equal(db.getMonthlyLlmTokens('/work/app'), 1280);
+    assert.deepEqual(db.getLlmDaily(30).map(d => d.calls), [1]);
+  });
+
+  it('should fall back to rules once the monthly budget is used up', async () => {
+    loadConfig().projects = { '/work/app': { llmMonthlyTokenBudget: 1000 } };
+    db.recordLlmCall(call('/work/app', 900, 100));
+    db.recordLlmCall(call('/work/other', 50000, 1000));
+    const logs = [];
+    const result = await archive({ background: true, log: msg => logs.push(msg) });
+    assert.equal(server.requests.length, 0);
+    assert.equal(result.queuedJob, null);
+    assert.match(formatRuns(result.extractors),
+      /^llm skipped: monthly LLM token budget used up \(1000 of 1000 tokens\), rules \(fallback for llm\)=\d+$/);
+    assert.ok(result.inserted > 0);
+    assert.ok(result.memories.every(m => !m.metadata?.pendingJob));
+  });
+
+  it('should use the LLM while the budget lasts', async () => {
+    loadConfig().llmMonthlyTokenBudget = 5000;
+    db.recordLlmCall(call('/work/app', 900, 100));
+    await archive();
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(llmBudget(db, '/work/app'), { budget: 5000, used: 2280, exceeded: false });
+  });
+
+  it('should fail queued jobs without calling the LLM once the budget is used up', async () => {
+    loadConfig().llmMonthlyTokenBudget = 1000;
+    const { queuedJob } = await archive({ background: true });
+    const standIns = db.exportAll().map(m => m.content);
+    db.recordLlmCall(call('/work/app', 2000, 0));
+
+    const summary = await drainQueue(db);
+    assert.equal(summary.failed, 1);
+    assert.equal(server.requests.length, 0);
+    const job = db.getJob(queuedJob);
+    assert.equal(job.status, 'failed');
+    assert.match(job.last_error, /monthly LLM token budget used up \(2000 of 1000 tokens\)/);
+    assert.deepEqual(db.exportAll().map(m => m.content), standIns);
+  });
+
+  it('should estimate cost from llmPrices and list project budgets', () => {
+    Object.assign(loadConfig(), {
+      llmPrices: { 'claude-opus-4-6': { input: 15, output: 75 } },
+      projects: { '/work/capped': { llmMonthlyTokenBudget: 10000 } },
+      llmMonthlyTokenBudget: 1000000,
+    });
+    db.recordLlmCall(call('/work/app', 100000, 10000));
+    db.recordLlmCall(call('/work/app', 0, 0, { status: 'error', inputTokens: null, outputTokens: null, model: 'local' }));
+
+    const report = usageReport(db);
+    assert.deepEqual(report.rows.map(r => [r.project, r.model, r.calls, r.failed, r.cost]), [
+      ['/work/app', 'claude-opus-4-6', 1, 0, 2.25],
+      ['/work/app', 'local', 1, 1, null],
+    ]);
+    assert.deepEqual(report.budgets, [
+      { project: '/work/app', budget: 1000000, used: 110000, exceeded: false },
+      { project: '/work/capped', budget: 10000, used: 0, exceeded: false },
+    ]);
+    assert.deepEqual(usageReport(db, { project: '/work/capped' }).rows, []);
+    assert.equal(estimateCost({ model: 'unknown', input_tokens: 5, output_tokens: 5 }), null);
+  });
+
+  it('should ignore a budget that is not a positive number', () => {
+    resetConfig();
+    Object.assign(loadConfig(), { projects: { '/work/app': { llmMonthlyTokenBudget: '100' } } });
+    assert.deepEqual(llmBudget(db, '/work/app'), { budget: null, used: null, exceeded: false });
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, appendFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Store } from '../src/db/store.js';
+import { resetConfig, loadConfig } from '../src/core/config.js';
+import { archiveTranscript } from '../src/core/archive-pipeline.js';
+import { formatRuns } from '../src/core/extractors.js';
+import { drainQueue, runningWorker, claimWorker, releaseWorker, spawnWorker, jobsDue } from '../src/core/worker.js';
+import { parseTranscript } from '../src/core/transcript-parser.js';
+import { startFakeLlmServer } from '../src/testing/fake-llm-server.js';
+
+const line = (uuid, parentUuid, role, content) =>
+  JSON.stringify({ type: role, uuid, parentUuid, sessionId: 'sess', cwd: '/work/app', message: { role, content } }) + '\n';
+
+const TURN_1 = line('u1', null, 'user', 'Set up the docker build for the api service please')
+  + line('a1', 'u1', 'assistant', "We'll use a multi-stage Dockerfile instead of a single stage image.");
+const TURN_2 = line('u2', 'a1', 'user', 'Now add a healthcheck to the compose file for the api')
+  + line('a2', 'u2', 'assistant', 'Going with a curl healthcheck because the image already ships curl.');
+
+const REPLY = JSON.stringify([{ category: 'decision', content: 'The api image is built with a multi-stage Dockerfile', importance: 0.9 }]);
+
+describe('background extraction', () => {
+  let server, handler, dir, path, db;
+  let savedKey;
+
+  before(async () => {
+    savedKey = process.env.ANTHROPIC_API_KEY;
+    server = await startFakeLlmServer({ handler: req => handler(req) });
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.ANTHROPIC_API_KEY; else process.env.ANTHROPIC_API_KEY = savedKey;
+    await server.close();
+  });
+
+  beforeEach(() => {
+    resetConfig();
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    Object.assign(loadConfig(), { llmBaseUrl: server.url, extractionMode: 'llm', jobRetryDelayMs: 1000 });
+    server.requests.length = 0;
+    handler = () => REPLY;
+    dir = mkdtempSync(join(tmpdir(), 'ic-worker-'));
+    path = join(dir, 'sess.jsonl');
+    writeFileSync(path, TURN_1);
+    db = new Store(':memory:').open();
+  });
+
+  afterEach(() => {
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+    resetConfig();
+  });
+
+  const archive = (opts = {}) => archiveTranscript(db, {
+    sessionId: 'sess', transcriptPath: path, project: '/work/app', background: true, ...opts,
+  });
+  const contents = () => db.exportAll().map(m => m.content);
+
+  it('should queue LLM extraction and archive rule-based stand-ins meanwhile', async () => {
+    const result = await archive();
+    assert.ok(result.queuedJob);
+    assert.equal(server.requests.length, 0, 'no LLM call inside the hook');
+    assert.match(formatRuns(result.extractors), /^llm queued as job \d+, rules \(fallback for llm\)=\d+$/);
+
+    const job = db.getJob(result.queuedJob);
+    assert.equal(job.status, 'pending');
+    assert.deepEqual([job.start_line, job.end_line], [0, 2]);
+    assert.equal(job.payload.parentSessionId, 'sess');
+    assert.ok(result.memories.length > 0);
+    assert.ok(result.memories.every(m => m.metadata.pendingJob === result.queuedJob));
+    assert.ok(db.getCheckpoint('sess', path));
+  });
+
+  it('should fall back to rules instead of queueing without an API key', async () => {
+    delete process.env.ANTHROPIC_API_KEY;
+    const result = await archive();
+    assert.equal(result.queuedJob, null);
+    assert.deepEqual(db.getJobCounts(), { pending: 0, running: 0, done: 0, failed: 0 });
+    assert.match(formatRuns(result.extractors), /^llm failed: ANTHROPIC_API_KEY not set.*, rules \(fallback for llm\)=\d+$/);
+    assert.ok(result.memories.length > 0);
+    assert.ok(result.memories.every(m => !m.metadata?.pendingJob));
+  });
+
+  it('should not leave a job behind when its stand-ins fail to store', async () => {
+    db.insertMany = () => { throw new Error('disk full'); };
+    await assert.rejects(archive(), /disk full/);
+    assert.deepEqual(db.getJobCounts(), { pending: 0, running: 0, done: 0, failed: 0 });
+    assert.equal(db.getCheckpoint('sess', path), undefined);
+  });
+
+  it('should replace the stand-ins once the job lands', async () => {
+    const { queuedJob } = await archive();
+    const standIns = contents();
+    const summary = await drainQueue(db);
+    assert.deepEqual(summary, { done: 1, continued: 0, retried: 0, failed: 0, inserted: 1 });
+    assert.equal(db.getJob(queuedJob).status, 'done');
+    assert.deepEqual(contents(), ['The api image is built with a multi-stage Dockerfile']);
+    assert.ok(!contents().some(c => standIns.includes(c)));
+    assert.match(server.requests[0].body.messages[0].content, /multi-stage Dockerfile/);
+  });
+
+  it('should only send the queued line range to the model', async () => {
+    await archive();
+    appendFileSync(path, TURN_2);
+    const second = await archive();
+    assert.deepEqual([db.getJob(second.queuedJob).start_line, db.getJob(second.queuedJob).end_line], [2, 4]);
+    await drainQueue(db);
+    const prompts = server.requests.map(r => r.body.messages[0].content);
+    assert.equal(prompts.length, 2);
+    assert.ok(prompts[0].includes('docker build') && !prompts[0].includes('healthcheck'));
+    assert.ok(prompts[1].includes('healthcheck') && !prompts[1].includes('docker build'));
+  });
+
+  it('should retry with backoff and keep the stand-ins when the job finally fails', async () => {
+    loadConfig().jobMaxAttempts = 2;
+    handler = () => ({ status: 503, text: 'unavailable' });
+    const { queuedJob } = await archive();
+    const standIns = contents();
+
+    const before = Date.now();
+    const first = await drainQueue(db, { once: true });
+    assert.equal(first.retried, 1);
+    const job = db.getJob(queuedJob);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.match(job.last_error, /503/);
+    assert.ok(job.run_after >= before + 1000);
+    assert.equal(jobsDue(db), false, 'a hook does not start the worker for a retry not yet due');
+    assert.equal(jobsDue(db, job.run_after), true);
+
+    const waits = [];
+    const second = await drainQueue(db, { sleep: async ms => { waits.push(ms); db.retryJob(queuedJob, job.last_error, 0); } });
+    assert.equal(second.failed, 1);
+    assert.ok(waits.length === 1 && waits[0] > 0);
+    assert.equal(db.getJob(queuedJob).status, 'failed');
+    assert.deepEqual(contents(), standIns);
+    assert.ok(db.exportAll().every(m => !JSON.parse(m.metadata || '{}').pendingJob));
+  });
+
+  it('should keep pinned stand-ins when the job lands', async () => {
+    await archive();
+    const [standIn] = db.exportAll();
+    db.setPinned(standIn.id);
+    await drainQueue(db);
+    assert.ok(contents().includes(standIn.content));
+    assert.ok(contents().includes('The api image is built with a multi-stage Dockerfile'));
+  });
+
+  it('should keep problem → solution stand-ins so the errors they resolved stay closed', async () => {
+    const { queuedJob } = await archive();
+    const call = 'Bash:npm test';
+    const error = db.insertMemory({
+      project: '/work/app', sessionId: 'sess', category: 'error', content: '`npm test` failed with: 2 failing',
+      keywords: 'npm test failing', score: 0.5, sourceHash: 'err', metadata: { call },
+    });
+    const fix = db.insertMemory({
+      project: '/work/app', sessionId: 'sess', category: 'error', content: '`npm test` failed, fixed by editing src/app.js',
+      keywords: 'npm test fixed', score: 0.8, sourceHash: 'fix', metadata: { call, resolves: call, pendingJob: queuedJob },
+    });
+    assert.equal(db.getMemoryById(error).superseded_by, fix);
+
+    await drainQueue(db);
+    assert.ok(db.getMemoryById(fix));
+    assert.equal(JSON.parse(db.getMemoryById(fix).metadata).pendingJob, undefined);
+    assert.equal(db.getMemoryById(error).superseded_by, fix);
+  });
+
+  it('should continue a job whose turns did not fit in one pass', async () => {
+    Object.assign(loadConfig(), { llmMaxTranscriptChars: 120, llmMaxChunks: 1, llmChunkOverlapTurns: 0 });
+    appendFileSync(path, TURN_2);
+    const { queuedJob } = await archive();
+    const summary = await drainQueue(db);
+    assert.equal(summary.continued, 1);
+    assert.equal(summary.done, 1);
+    assert.equal(db.getJob(queuedJob).status, 'done');
+    assert.equal(server.requests.length, 2);
+  });
+
+  it('should run LLM extraction inline when not in the background', async () => {
+    const result = await archive({ background: false });
+    assert.equal(result.queuedJob, null);
+    assert.equal(server.requests.length, 1);
+    loadConfig().backgroundExtraction = false;
+    appendFileSync(path, TURN_2);
+    assert.equal((await archive()).queuedJob, null);
+    assert.deepEqual(db.getJobCounts(), { pending: 0, running: 0, done: 0, failed: 0 });
+  });
+
+  it('should release jobs held by a stopped worker', async () => {
+    const { queuedJob } = await archive();
+    db.claimJob('gone', Date.now() - 60 * 60 * 1000);
+    assert.equal(db.claimJob('other'), null);
+    await drainQueue(db);
+    assert.equal(db.getJob(queuedJob).status, 'done');
+  });
+
+  it('should stop parsing at the end of a line range', () => {
+    appendFileSync(path, TURN_2);
+    const parsed = parseTranscript(path, 1, { endLine: 3 });
+    assert.equal(parsed.lastLine, 3);
+    assert.deepEqual(parsed.messages.map(m => m.uuid), ['a1', 'u2']);
+  });
+
+  it('should track the running worker by pid', () => {
+    const pidPath = join(dir, 'worker.pid');
+    assert.equal(runningWorker(pidPath), null);
+    assert.ok(claimWorker(pidPath));
+    assert.equal(runningWorker(pidPath), process.pid);
+    assert.equal(spawnWorker({ pidPath }), false, 'no second worker while one runs');
+    releaseWorker(pidPath);
+    assert.ok(!existsSync(pidPath));
+
+    writeFileSync(pidPath, '999999999');
+    assert.equal(runningWorker(pidPath), null);
+    assert.ok(claimWorker(pidPath));
+    assert.equal(readFileSync(pidPath, 'utf-8'), String(process.pid));
+  });
+});